@@ -0,0 +1,202 @@
+const cron = require('node-cron');
+const { time, TimestampStyles, roleMention, userMention } = require('discord.js');
+
+// Most interested members mentioned in one reminder
+const MAX_MENTIONS = 50;
+
+const LEAD_TIME_PATTERN = /^(\d+)\s*([mhd])$/i;
+const LEAD_TIME_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "24h", "15m", "2d" → milliseconds
+function parseLeadTime(value) {
+    const match = String(value).trim().match(LEAD_TIME_PATTERN);
+    return match ? Number(match[1]) * LEAD_TIME_UNITS[match[2].toLowerCase()] : null;
+}
+
+function validateAnnouncements(announcements, context) {
+    if (!announcements) {
+        return;
+    }
+    if (!Array.isArray(announcements.leadTimes)) {
+        throw new Error(`${context}: announcement leadTimes must be a list such as ["24h", "15m"]`);
+    }
+    const invalid = announcements.leadTimes.filter(leadTime => !parseLeadTime(leadTime));
+    if (invalid.length > 0) {
+        throw new Error(`${context}: invalid reminder lead time ${invalid.join(', ')} (use minutes, hours or days, e.g. 15m, 24h, 2d)`);
+    }
+}
+
+// Posts announcements for synced events in each pair's configured text channel:
+// when an event is newly synced, when its time or location changes, and at the
+// configured lead times before it starts. Which reminders were sent is kept in
+// the event metadata, so reminders survive restarts; a minutely check sends
+// those that are due.
+class Announcer {
+    constructor(bot) {
+        this.bot = bot;
+        this.reminderTask = null;
+    }
+
+    start() {
+        const pairs = Array.from(this.bot.syncPairs.values()).filter(pair => pair.announcements);
+        if (pairs.length === 0) {
+            return;
+        }
+
+        this.reminderTask = cron.schedule('* * * * *', () => this.checkReminders());
+        for (const pair of pairs) {
+            this.bot.log('info', `[${pair.id}] Announcements in channel ${pair.announcements.channelId}, reminders ${pair.announcements.leadTimes.join(', ') || 'off'} before start`);
+        }
+    }
+
+    stop() {
+        this.reminderTask?.stop();
+    }
+
+    async getChannel(pair) {
+        const guild = this.bot.client.guilds.cache.get(pair.guildId);
+        const channel = guild?.channels.cache.get(pair.announcements.channelId) ||
+            await guild?.channels.fetch(pair.announcements.channelId).catch(() => null);
+
+        if (!channel?.isTextBased()) {
+            this.bot.log('warn', `[${pair.id}] Announcement channel ${pair.announcements.channelId} not found or not a text channel`);
+            return null;
+        }
+        return channel;
+    }
+
+    describeEvent(discordEvent) {
+        const start = new Date(discordEvent.scheduledStartTimestamp);
+        const location = discordEvent.channelId ? `<#${discordEvent.channelId}>` : discordEvent.entityMetadata?.location;
+
+        return [
+            `🕒 ${time(start, TimestampStyles.LongDateTime)} (${time(start, TimestampStyles.RelativeTime)})`,
+            location ? `📍 ${location}` : null,
+            discordEvent.url
+        ];
+    }
+
+    async send(pair, discordEvent, heading, { mentionInterested = false } = {}) {
+        try {
+            const channel = await this.getChannel(pair);
+            if (!channel) {
+                return;
+            }
+
+            const { mentionRoleId } = pair.announcements;
+            const mentions = [];
+            const allowedMentions = { users: [], roles: [] };
+
+            if (mentionRoleId) {
+                mentions.push(roleMention(mentionRoleId));
+                allowedMentions.roles.push(mentionRoleId);
+            }
+            if (mentionInterested && pair.announcements.mentionInterested) {
+                const subscribers = await discordEvent.fetchSubscribers({ limit: MAX_MENTIONS });
+                for (const { user } of subscribers.values()) {
+                    mentions.push(userMention(user.id));
+                    allowedMentions.users.push(user.id);
+                }
+            }
+
+            const content = [heading, ...this.describeEvent(discordEvent), mentions.join(' ')]
+                .filter(Boolean)
+                .join('\n');
+
+            if (this.bot.dryRun) {
+                this.bot.dryRun.record({ target: 'discord', action: 'message', guildId: pair.guildId, id: channel.id, name: discordEvent.name, changes: { content: { to: heading } } });
+                return;
+            }
+
+            await this.bot.queueDiscordRequest(async () => {
+                await channel.send({ content, allowedMentions });
+            }, `/channels/${channel.id}`);
+        } catch (error) {
+            this.bot.log('warn', `[${pair.id}] Failed to post announcement for ${discordEvent.name}`, error);
+        }
+    }
+
+    // Starts reminder tracking for an event's start time. Lead times that have
+    // already passed count as sent, so a new or moved event does not get a burst.
+    resetReminders(pair, googleEventId, startTime) {
+        const sent = pair.announcements.leadTimes.filter(leadTime => startTime - parseLeadTime(leadTime) <= Date.now());
+        pair.updateMetadata(googleEventId, { reminders: { startTime, sent } });
+    }
+
+    async eventCreated(pair, googleEventId, discordEvent) {
+        if (!pair.announcements) {
+            return;
+        }
+
+        this.resetReminders(pair, googleEventId, discordEvent.scheduledStartTimestamp);
+        if (pair.announcements.announceNew) {
+            await this.send(pair, discordEvent, `📅 **New event: ${discordEvent.name}**`);
+        }
+    }
+
+    async eventChanged(pair, googleEventId, discordEvent, changedFields) {
+        if (!pair.announcements) {
+            return;
+        }
+
+        const timeChanged = changedFields.includes('startTime') || changedFields.includes('endTime');
+        if (timeChanged) {
+            this.resetReminders(pair, googleEventId, discordEvent.scheduledStartTimestamp);
+        }
+
+        if (pair.announcements.announceChanges && (timeChanged || changedFields.includes('location'))) {
+            const changes = [timeChanged && 'time', changedFields.includes('location') && 'location'].filter(Boolean);
+            await this.send(pair, discordEvent, `✏️ **Event updated: ${discordEvent.name}** (new ${changes.join(' and ')})`, { mentionInterested: true });
+        }
+    }
+
+    async checkReminders() {
+        const now = Date.now();
+
+        for (const pair of this.bot.syncPairs.values()) {
+            const guild = this.bot.client.guilds.cache.get(pair.guildId);
+            if (!pair.announcements || pair.paused || !guild) {
+                continue;
+            }
+
+            let changed = false;
+            for (const [googleEventId, discordEventId] of pair.googleToDiscordMap) {
+                const discordEvent = guild.scheduledEvents.cache.get(discordEventId);
+                const startTime = discordEvent?.scheduledStartTimestamp;
+                if (!startTime) {
+                    continue;
+                }
+
+                // Events synced before announcements were enabled, or moved in Discord
+                const reminders = pair.getMetadata(googleEventId)?.reminders;
+                if (!reminders || reminders.startTime !== startTime) {
+                    this.resetReminders(pair, googleEventId, startTime);
+                    changed = true;
+                    continue;
+                }
+
+                const due = pair.announcements.leadTimes.filter(leadTime =>
+                    !reminders.sent.includes(leadTime) && startTime - parseLeadTime(leadTime) <= now
+                );
+                if (due.length === 0 || startTime <= now) {
+                    continue;
+                }
+
+                // Mark first so a failed post is not repeated every minute
+                pair.updateMetadata(googleEventId, { reminders: { startTime, sent: [...reminders.sent, ...due] } });
+                changed = true;
+                await this.send(pair, discordEvent, `⏰ **${discordEvent.name}** starts ${time(new Date(startTime), TimestampStyles.RelativeTime)}`, { mentionInterested: true });
+            }
+
+            if (changed) {
+                await this.bot.saveEventMappings();
+            }
+        }
+    }
+}
+
+module.exports = {
+    Announcer,
+    parseLeadTime,
+    validateAnnouncements
+};
@@ -0,0 +1,176 @@
+// Syncs Discord "interested" members to Google Calendar attendees. Members
+// opt in by linking their Discord account to an email address, either in the
+// sync config (`attendees.userEmails`) or with `/calendar link-email`.
+
+const SEND_UPDATES = ['all', 'externalOnly', 'none'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// How Google response statuses are shown in Discord, in display order
+const RESPONSE_LABELS = {
+    accepted: '✅ Going',
+    tentative: '❔ Maybe',
+    declined: '❌ Not going',
+    needsAction: '✉️ Invited'
+};
+
+function isValidEmail(email) {
+    return EMAIL_PATTERN.test(email || '');
+}
+
+function validateAttendees(attendees) {
+    if (!SEND_UPDATES.includes(attendees.sendUpdates)) {
+        throw new Error(`ATTENDEE_SEND_UPDATES must be one of ${SEND_UPDATES.join(', ')} (got ${attendees.sendUpdates})`);
+    }
+    const invalid = Object.entries(attendees.userEmails).filter(([, email]) => !isValidEmail(email));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid attendee email for Discord user ${invalid.map(([userId]) => userId).join(', ')}`);
+    }
+}
+
+// "✅ Going: 3 · ❔ Maybe: 1" for the people invited to a Google event (rooms are left out)
+function formatResponseSummary(attendees = []) {
+    const counts = {};
+    for (const attendee of attendees) {
+        if (attendee.resource) continue;
+        const status = RESPONSE_LABELS[attendee.responseStatus] ? attendee.responseStatus : 'needsAction';
+        counts[status] = (counts[status] || 0) + 1;
+    }
+
+    const parts = Object.keys(RESPONSE_LABELS)
+        .filter(status => counts[status])
+        .map(status => `${RESPONSE_LABELS[status]}: ${counts[status]}`);
+    return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+// Names of the people invited to a Google event, for the {attendees} placeholder
+function formatAttendeeList(attendees = []) {
+    return attendees
+        .filter(attendee => !attendee.resource)
+        .map(attendee => attendee.displayName || attendee.email)
+        .join(', ');
+}
+
+class AttendeeSync {
+    constructor(bot) {
+        this.bot = bot;
+        this.settings = bot.config.attendees;
+
+        // Emails set in the sync config cannot be changed with the slash command
+        this.configuredEmails = new Map(
+            Object.entries(this.settings.userEmails).map(([userId, email]) => [userId, email.toLowerCase()])
+        );
+        // Discord user ID -> { email, linkedAt }, linked with /calendar link-email
+        this.linkedEmails = new Map();
+    }
+
+    get enabled() {
+        return this.settings.enabled;
+    }
+
+    loadSnapshot(userEmails = {}) {
+        this.linkedEmails = new Map(Object.entries(userEmails));
+    }
+
+    toSnapshot() {
+        return Object.fromEntries(this.linkedEmails);
+    }
+
+    getEmail(userId) {
+        return this.configuredEmails.get(userId) || this.linkedEmails.get(userId)?.email || null;
+    }
+
+    isConfigured(userId) {
+        return this.configuredEmails.has(userId);
+    }
+
+    async linkEmail(userId, email) {
+        if (this.isConfigured(userId)) {
+            throw new Error('Your email address is set in the bot configuration, ask an admin to change it');
+        }
+        if (!isValidEmail(email)) {
+            throw new Error(`\`${email}\` is not a valid email address`);
+        }
+
+        this.linkedEmails.set(userId, { email: email.toLowerCase(), linkedAt: new Date().toISOString() });
+        await this.bot.saveEventMappings();
+    }
+
+    async unlinkEmail(userId) {
+        if (this.isConfigured(userId)) {
+            throw new Error('Your email address is set in the bot configuration, ask an admin to remove it');
+        }
+
+        const removed = this.linkedEmails.delete(userId);
+        if (removed) {
+            await this.bot.saveEventMappings();
+        }
+        return removed;
+    }
+
+    // Adds or removes a member as an attendee of the Google event linked to a
+    // Discord event, when they marked or unmarked it as interested. Only
+    // attendees the bot added are removed again, never people invited in Google.
+    async setAttendance(discordEvent, user, interested) {
+        const email = this.enabled ? this.getEmail(user.id) : null;
+        if (!email) {
+            return;
+        }
+
+        const pair = this.bot.findPairForDiscordEvent(discordEvent);
+        if (!pair || pair.paused) {
+            return;
+        }
+
+        const googleEventId = pair.discordToGoogleMap.get(discordEvent.id);
+
+        try {
+            const changed = await this.bot.queueGoogleRequest(async () => {
+                const { data: calEvent } = await this.bot.calendar.events.get({
+                    calendarId: pair.calendarId,
+                    eventId: googleEventId
+                });
+
+                const attendees = calEvent.attendees || [];
+                const isAttendee = attendees.some(attendee => attendee.email?.toLowerCase() === email);
+                const addedByBot = (pair.getMetadata(googleEventId)?.addedAttendees || []).includes(email);
+                if (isAttendee === interested || (!interested && !addedByBot)) {
+                    return false;
+                }
+
+                await this.bot.calendar.events.patch({
+                    calendarId: pair.calendarId,
+                    eventId: googleEventId,
+                    sendUpdates: this.settings.sendUpdates,
+                    resource: {
+                        attendees: interested
+                            ? [...attendees, { email }]
+                            : attendees.filter(attendee => attendee.email?.toLowerCase() !== email)
+                    }
+                });
+                return true;
+            }, pair.calendarId);
+
+            const added = pair.getMetadata(googleEventId)?.addedAttendees || [];
+            const addedAttendees = interested
+                ? (changed ? [...added, email] : added)
+                : added.filter(addedEmail => addedEmail !== email);
+            if (addedAttendees.length !== added.length) {
+                pair.updateMetadata(googleEventId, { addedAttendees });
+                await this.bot.saveEventMappings();
+            }
+
+            if (changed) {
+                this.bot.log('info', `[${pair.id}] ${interested ? 'Added' : 'Removed'} ${user.tag || user.id} ${interested ? 'to' : 'from'} the attendees of ${discordEvent.name}`);
+            }
+        } catch (error) {
+            this.bot.log('error', `[${pair.id}] Failed to update attendees of ${discordEvent.name} for ${user.tag || user.id}`, error);
+        }
+    }
+}
+
+module.exports = {
+    AttendeeSync,
+    formatAttendeeList,
+    formatResponseSummary,
+    validateAttendees
+};
@@ -0,0 +1,128 @@
+const { ChannelType, GuildScheduledEventEntityType } = require('discord.js');
+
+// Maps Google events onto Discord voice and stage channels, from configured
+// rules or from a channel named in the event's location
+
+const RULE_CRITERIA = ['location', 'keyword', 'calendarId'];
+
+// Discord jump link: https://discord.com/channels/<guild>/<channel>
+const JUMP_LINK_PATTERN = /discord(?:app)?\.com\/channels\/(\d+)\/(\d+)/;
+const CHANNEL_NAME_PATTERN = /#([\w-]+)/;
+
+// How a channel is stored in the synced `location` field: Discord's channel mention
+const CHANNEL_MENTION_PATTERN = /^<#(\d+)>$/;
+
+// Discord caps external event locations at 100 characters
+const MAX_LOCATION_LENGTH = 100;
+
+function validateChannelRules(rules, context) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${context}: channelRules must be a list of rules`);
+    }
+
+    rules.forEach((rule, index) => {
+        const where = `${context}, channel rule ${index + 1}`;
+
+        if (!rule.channelId) {
+            throw new Error(`${where}: channelId is required`);
+        }
+        if (!RULE_CRITERIA.some(key => rule[key] !== undefined)) {
+            throw new Error(`${where}: needs at least one of ${RULE_CRITERIA.join(', ')}`);
+        }
+        for (const key of ['location', 'keyword']) {
+            if (rule[key] === undefined) continue;
+            try {
+                new RegExp(rule[key]);
+            } catch (error) {
+                throw new Error(`${where}: invalid ${key} pattern: ${error.message}`);
+            }
+        }
+    });
+}
+
+function isEventChannel(channel) {
+    return channel?.type === ChannelType.GuildVoice || channel?.type === ChannelType.GuildStageVoice;
+}
+
+function getChannelEntityType(channel) {
+    return channel.type === ChannelType.GuildStageVoice
+        ? GuildScheduledEventEntityType.StageInstance
+        : GuildScheduledEventEntityType.Voice;
+}
+
+function toChannelMention(channelId) {
+    return `<#${channelId}>`;
+}
+
+function getMentionedChannelId(location) {
+    return location?.match(CHANNEL_MENTION_PATTERN)?.[1] || null;
+}
+
+// What Google shows for an event held in a Discord channel
+function formatChannelLocation(channel) {
+    return `#${channel.name} (${channel.url})`;
+}
+
+// Google Meet or other video conference link of an event
+function getConferenceLink(calEvent) {
+    return calEvent.hangoutLink ||
+        calEvent.conferenceData?.entryPoints?.find(entryPoint => entryPoint.entryPointType === 'video')?.uri ||
+        null;
+}
+
+class ChannelMapper {
+    constructor(rules = []) {
+        this.rules = rules.map(rule => ({
+            channelId: rule.channelId,
+            location: rule.location !== undefined ? new RegExp(rule.location, 'i') : null,
+            keyword: rule.keyword !== undefined ? new RegExp(rule.keyword, 'i') : null,
+            calendarId: rule.calendarId || null
+        }));
+    }
+
+    // The voice or stage channel a Google event should be held in, if any. The
+    // first matching rule wins; otherwise a jump link or "#channel-name" in the
+    // location is used.
+    findChannel(guild, calendarId, calEvent) {
+        const location = calEvent.location || '';
+        const text = `${calEvent.summary || ''}\n${calEvent.description || ''}`;
+
+        for (const rule of this.rules) {
+            if ((!rule.calendarId || rule.calendarId === calendarId) &&
+                (!rule.location || rule.location.test(location)) &&
+                (!rule.keyword || rule.keyword.test(text))) {
+                const channel = guild.channels.cache.get(rule.channelId);
+                if (isEventChannel(channel)) {
+                    return channel;
+                }
+            }
+        }
+
+        const link = location.match(JUMP_LINK_PATTERN);
+        if (link && link[1] === guild.id) {
+            const channel = guild.channels.cache.get(link[2]);
+            if (isEventChannel(channel)) {
+                return channel;
+            }
+        }
+
+        const name = location.match(CHANNEL_NAME_PATTERN)?.[1].toLowerCase();
+        if (name) {
+            return guild.channels.cache.find(channel => isEventChannel(channel) && channel.name.toLowerCase() === name) || null;
+        }
+
+        return null;
+    }
+}
+
+module.exports = {
+    ChannelMapper,
+    MAX_LOCATION_LENGTH,
+    validateChannelRules,
+    isEventChannel,
+    getChannelEntityType,
+    toChannelMention,
+    getMentionedChannelId,
+    formatChannelLocation,
+    getConferenceLink
+};
@@ -1,47 +1,444 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { CONFLICT_POLICIES } = require('./conflict-resolver');
+const { isValidTimeZone } = require('./event-times');
+const { validateFilterRules } = require('./event-filter');
+const { validateChannelRules, MAX_LOCATION_LENGTH } = require('./channel-mapping');
+const { validateRoutes } = require('./event-routing');
+const { DEFAULT_TEMPLATES, validateTemplates } = require('./event-templates');
+const { validateAnnouncements } = require('./announcements');
+const { validateAttendees } = require('./attendees');
+const { validateCoverRules } = require('./cover-images');
+const { validateLogging } = require('./logger');
+const { validatePush } = require('./push-notifications');
+const { validateGoogleAuth } = require('./google-auth');
+
+// Structured settings (sync pairs, rules, templates...) live in an optional JSON file
+const syncConfigPath = path.resolve(process.env.SYNC_CONFIG_PATH || './sync-config.json');
+
+function loadSyncConfig(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Failed to read sync config ${filePath}: ${error.message}`);
+  }
+}
+
+const syncConfig = loadSyncConfig(syncConfigPath);
+const hasConfiguredPairs = Array.isArray(syncConfig.syncPairs) && syncConfig.syncPairs.length > 0;
+const defaultConflictPolicy = process.env.CONFLICT_POLICY || syncConfig.conflictPolicy || 'google-wins';
+
+// Numeric setting from the environment, then the sync config file; 0 is a valid value
+function numberSetting(envValue, fileValue, fallback) {
+  if (envValue !== undefined && envValue !== '') {
+    return Number(envValue);
+  }
+  return fileValue ?? fallback;
+}
+
+// A schedule is one cron expression or several, e.g. faster syncs during business
+// hours. In SYNC_SCHEDULE several expressions are separated by semicolons.
+function toScheduleList(schedule) {
+  if (!schedule) {
+    return null;
+  }
+  const list = Array.isArray(schedule) ? schedule : schedule.split(';');
+  return list.map(expression => expression.trim()).filter(Boolean);
+}
+
+// Cron steps restart every hour and every day, so only intervals that divide an
+// hour or a day run evenly; null for the others, e.g. 45 or 90 minutes
+function intervalToCron(minutes) {
+  if (!Number.isInteger(minutes) || minutes <= 0) {
+    return null;
+  }
+  if (minutes < 60) {
+    return 60 % minutes === 0 ? `*/${minutes} * * * *` : null;
+  }
+  const hours = minutes / 60;
+  if (hours === 24) {
+    return '0 0 * * *';
+  }
+  return Number.isInteger(hours) && 24 % hours === 0 ? `0 */${hours} * * *` : null;
+}
+
+// The reverse: minutes between the runs of a cron expression that runs at a fixed
+// interval, null for others such as business hours only
+function cronToInterval(expression) {
+  const fields = expression.split(/\s+/);
+  if (fields.length !== 5 || fields.slice(2).some(field => field !== '*')) {
+    return null;
+  }
+  const [minute, hour] = fields;
+  const step = field => (field === '*' ? 1 : Number(field.match(/^\*\/(\d+)$/)?.[1]));
+  const fixed = field => /^\d+$/.test(field);
+
+  if (hour === '*') {
+    if (fixed(minute)) {
+      return 60;
+    }
+    return step(minute) > 0 && 60 % step(minute) === 0 ? step(minute) : null;
+  }
+  if (!fixed(minute)) {
+    return null;
+  }
+  if (fixed(hour)) {
+    return 24 * 60;
+  }
+  return step(hour) > 0 && 24 % step(hour) === 0 ? step(hour) * 60 : null;
+}
+
+const syncIntervalMinutes = parseInt(process.env.SYNC_INTERVAL_MINUTES) || syncConfig.syncIntervalMinutes || 5;
+const intervalSchedule = intervalToCron(syncIntervalMinutes);
+const defaultSyncSchedule = toScheduleList(process.env.SYNC_SCHEDULE || syncConfig.syncSchedule) || (intervalSchedule && [intervalSchedule]);
+// The longest time between syncs of any schedule, null when that cannot be told. A
+// schedule syncs at least as often as its most frequent fixed-interval expression.
+const scheduleIntervals = [defaultSyncSchedule, ...(hasConfiguredPairs ? syncConfig.syncPairs.map(pair => toScheduleList(pair.syncSchedule)) : [])]
+  .filter(Boolean)
+  .map(schedule => {
+    const intervals = schedule.map(cronToInterval).filter(interval => interval !== null);
+    return intervals.length > 0 ? Math.min(...intervals) : null;
+  });
+const longestSyncInterval = scheduleIntervals.includes(null) ? null : Math.max(...scheduleIntervals);
+const coversEnabled = process.env.COVER_SYNC_ENABLED
+  ? process.env.COVER_SYNC_ENABLED !== 'false'
+  : syncConfig.covers?.enabled !== false;
+
+const defaultLookbackHours = numberSetting(process.env.SYNC_LOOKBACK_HOURS, syncConfig.lookbackHours, 0);
+const defaultLookaheadDays = numberSetting(process.env.SYNC_LOOKAHEAD_DAYS, syncConfig.lookaheadDays, 30);
+
+// --dry-run on the command line plans one sync of every pair and exits;
+// DRY_RUN=true keeps the bot running but only reports what it would change
+const cliDryRun = process.argv.includes('--dry-run');
+const planOutputIndex = process.argv.indexOf('--plan-output');
+
+// Announcement settings from the environment; unset values are left to the sync config file
+const envAnnouncements = Object.fromEntries(Object.entries({
+  channelId: process.env.ANNOUNCEMENT_CHANNEL_ID,
+  leadTimes: process.env.REMINDER_LEAD_TIMES?.split(',').map(leadTime => leadTime.trim()).filter(Boolean),
+  mentionRoleId: process.env.ANNOUNCEMENT_ROLE_ID,
+  mentionInterested: process.env.ANNOUNCEMENT_MENTION_INTERESTED && process.env.ANNOUNCEMENT_MENTION_INTERESTED !== 'false'
+}).filter(([, value]) => value !== undefined));
+
+// Announcements are only posted for pairs that end up with a channel.
+// A pair can turn them off with "announcements": false.
+function buildAnnouncements(pairAnnouncements) {
+  if (pairAnnouncements === false) {
+    return null;
+  }
+
+  const announcements = {
+    channelId: null,
+    leadTimes: ['24h', '15m'],
+    mentionRoleId: null,
+    mentionInterested: true,
+    announceNew: true,
+    announceChanges: true,
+    ...syncConfig.announcements,
+    ...envAnnouncements,
+    ...pairAnnouncements
+  };
+  return announcements.channelId ? announcements : null;
+}
+
+// Templates from the sync config file, the pair's own taking precedence. A
+// pair's descriptionTemplate is short for templates.discord.description.
+function buildTemplates(pair) {
+  const layers = [
+    DEFAULT_TEMPLATES,
+    syncConfig.templates || {},
+    pair.descriptionTemplate ? { discord: { description: pair.descriptionTemplate } } : {},
+    pair.templates || {}
+  ];
+  const directions = new Set(layers.flatMap(layer => Object.keys(layer)));
+  return Object.fromEntries(Array.from(directions, direction =>
+    [direction, Object.assign({}, ...layers.map(layer => layer[direction]))]
+  ));
+}
+
+// Each pair syncs one Google calendar into one Discord guild. Without a
+// sync config file we fall back to the single GUILD_ID/GOOGLE_CALENDAR_ID pair.
+function buildSyncPairs() {
+  const pairs = hasConfiguredPairs
+    ? syncConfig.syncPairs
+    : [{ guildId: process.env.GUILD_ID, calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary' }];
+
+  return pairs.map(pair => ({
+    id: pair.id || `${pair.guildId}:${pair.calendarId || 'primary'}`,
+    guildId: pair.guildId,
+    calendarId: pair.calendarId || 'primary',
+    syncSchedule: toScheduleList(pair.syncSchedule) || defaultSyncSchedule,
+    lookbackHours: pair.lookbackHours ?? defaultLookbackHours,
+    lookaheadDays: pair.lookaheadDays ?? defaultLookaheadDays,
+    conflictPolicy: pair.conflictPolicy || defaultConflictPolicy,
+    // Top-level filter rules apply to every pair, followed by the pair's own
+    filters: [...(syncConfig.filters || []), ...(pair.filters || [])],
+    // Voice/stage channel rules; the pair's own rules are checked first
+    channelRules: [...(pair.channelRules || []), ...(syncConfig.channelRules || [])],
+    announcements: buildAnnouncements(pair.announcements),
+    // Telling several calendars in one guild apart
+    label: pair.label || null,
+    templates: buildTemplates(pair),
+    defaultLocation: pair.defaultLocation || null,
+    defaultChannelId: pair.defaultChannelId || null,
+    // Which events created in Discord go to this calendar; without routes it takes the rest
+    routes: pair.routes,
+    // Default Discord covers; the pair's own rules are checked first
+    coverRules: [...(pair.coverRules || []), ...(syncConfig.coverRules || [])]
+  }));
+}
 
 const config = {
   // Discord Configuration
   discord: {
     token: process.env.DISCORD_TOKEN,
     guildId: process.env.GUILD_ID,
-    rateLimitPerSecond: parseInt(process.env.DISCORD_RATE_LIMIT_PER_SECOND) || 50
+    rateLimitPerSecond: parseInt(process.env.DISCORD_RATE_LIMIT_PER_SECOND) || 50,
+    // Requests beyond this many waiting for the rate limiter fail straight away
+    maxQueuedRequests: parseInt(process.env.DISCORD_MAX_QUEUED_REQUESTS) || 500,
+    slashCommandsEnabled: process.env.SLASH_COMMANDS_ENABLED !== 'false',
+    // Start and complete synced events on time, and sync cancellations and status changes
+    statusSyncEnabled: process.env.EVENT_STATUS_SYNC !== 'false',
+    // Roles allowed to use /sync in addition to members with Manage Events
+    adminRoleIds: (process.env.SYNC_ADMIN_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
   },
 
   // Google Calendar Configuration
   google: {
     calendarId: process.env.GOOGLE_CALENDAR_ID || 'primary',
     credentialsPath: process.env.GOOGLE_CREDENTIALS_PATH || './credentials.json',
-    rateLimitPer100Seconds: parseInt(process.env.GOOGLE_RATE_LIMIT_PER_100_SECONDS) || 100
+    // service-account or oauth; by default the kind of credentials decides
+    authType: process.env.GOOGLE_AUTH_TYPE || null,
+    // The credentials JSON itself, or base64 of it, instead of the file
+    credentialsJson: process.env.GOOGLE_CREDENTIALS_JSON || null,
+    // Domain-wide delegation: the Workspace user a service account acts as
+    impersonateSubject: process.env.GOOGLE_IMPERSONATE_SUBJECT || null,
+    // Read-only Drive access, for cover images attached from Google Drive. Opt-in:
+    // with domain-wide delegation, Google refuses tokens for scopes the admin has not granted
+    driveAccess: process.env.GOOGLE_DRIVE_ACCESS === 'true' && coversEnabled,
+    // Signing in as a Google user; `npm run authorize` saves the refresh token to tokenPath
+    oauth: {
+      clientId: process.env.GOOGLE_OAUTH_CLIENT_ID || null,
+      clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET || null,
+      refreshToken: process.env.GOOGLE_OAUTH_REFRESH_TOKEN || null,
+      tokenPath: path.resolve(__dirname, process.env.GOOGLE_OAUTH_TOKEN_PATH || 'google-token.json')
+    },
+    // Incremental syncs pick up changes only; a periodic full sync catches events entering the window
+    fullResyncHours: parseInt(process.env.GOOGLE_FULL_RESYNC_HOURS) || 24,
+    rateLimitPer100Seconds: parseInt(process.env.GOOGLE_RATE_LIMIT_PER_100_SECONDS) || 100,
+    maxQueuedRequests: parseInt(process.env.GOOGLE_MAX_QUEUED_REQUESTS) || 500
   },
 
   // Application Configuration
   app: {
     environment: process.env.NODE_ENV || 'development',
-    logLevel: process.env.LOG_LEVEL || 'info',
-    syncIntervalMinutes: parseInt(process.env.SYNC_INTERVAL_MINUTES) || 5,
-    healthCheckPort: parseInt(process.env.HEALTH_CHECK_PORT) || 3000
+    syncIntervalMinutes,
+    healthCheckPort: parseInt(process.env.HEALTH_CHECK_PORT) || 3000,
+    // Serves /health, /ready and /metrics on the health check port
+    healthCheckEnabled: process.env.HEALTH_CHECK_ENABLED !== 'false',
+    // /ready fails once a sync pair has gone this long without a successful sync. Required
+    // when a schedule has longer gaps than its interval shows, e.g. business hours only
+    readyMaxSyncAgeMinutes: numberSetting(process.env.READY_MAX_SYNC_AGE_MINUTES, syncConfig.readyMaxSyncAgeMinutes, longestSyncInterval && longestSyncInterval * 3)
+  },
+
+  // Leveled logging to the console and, by default in production, to ./logs
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    // text, or json for one object per line
+    format: process.env.LOG_FORMAT || 'text',
+    toFile: process.env.LOG_TO_FILE
+      ? process.env.LOG_TO_FILE === 'true'
+      : process.env.NODE_ENV === 'production',
+    directory: path.resolve(__dirname, process.env.LOG_DIR || 'logs'),
+    // daily starts a new file every day, size once a file reaches maxSizeMb
+    rotation: process.env.LOG_ROTATION || 'daily',
+    maxSizeMb: parseFloat(process.env.LOG_MAX_SIZE_MB) || 10,
+    // Rotated files kept, including the current one
+    maxFiles: parseInt(process.env.LOG_MAX_FILES) || 7
   },
 
-  // Retry Configuration
+  // Report planned changes instead of making them
+  dryRun: {
+    enabled: cliDryRun || process.env.DRY_RUN === 'true' || syncConfig.dryRun === true,
+    once: cliDryRun,
+    // JSON file the plan is written to, besides the table in the log
+    outputFile: (planOutputIndex >= 0 && process.argv[planOutputIndex + 1]) || process.env.DRY_RUN_OUTPUT || null
+  },
+
+  // Time zones and all-day events
+  time: {
+    // Used when neither the event nor its calendar specifies a time zone
+    defaultTimeZone: process.env.DEFAULT_TIMEZONE || syncConfig.defaultTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    // Discord has no all-day events, so these are shown between these times of day
+    allDayStartTime: process.env.ALL_DAY_START_TIME || syncConfig.allDayStartTime || '09:00',
+    allDayEndTime: process.env.ALL_DAY_END_TIME || syncConfig.allDayEndTime || '17:00'
+  },
+
+  // Discord "interested" members as Google attendees
+  attendees: {
+    enabled: process.env.ATTENDEE_SYNC_ENABLED
+      ? process.env.ATTENDEE_SYNC_ENABLED === 'true'
+      : syncConfig.attendees?.enabled === true,
+    // Whether Google emails invitations and cancellations: all, externalOnly or none.
+    // Addresses linked with /calendar link-email are not verified, so none by default.
+    sendUpdates: process.env.ATTENDEE_SEND_UPDATES || syncConfig.attendees?.sendUpdates || 'none',
+    // Show Google RSVP counts in Discord event descriptions
+    showResponses: syncConfig.attendees?.showResponses !== false,
+    // Discord user ID -> email, set by admins
+    userEmails: syncConfig.attendees?.userEmails || {}
+  },
+
+  // Cover images of Discord events, from Google image attachments or cover rules
+  covers: {
+    enabled: coversEnabled,
+    // Downloaded images are kept here, so each is fetched only once
+    cacheDir: path.resolve(__dirname, process.env.COVER_CACHE_DIR || syncConfig.covers?.cacheDir || 'data/covers')
+  },
+
+  // Protection against mass deletions
+  safeguards: {
+    // A sync deleting more than this many Discord events, or more than this share
+    // of a pair's events, is stopped and reported instead
+    maxDeletionsPerSync: numberSetting(process.env.MAX_DELETIONS_PER_SYNC, syncConfig.safeguards?.maxDeletionsPerSync, 20),
+    maxDeletionPercent: numberSetting(process.env.MAX_DELETION_PERCENT, syncConfig.safeguards?.maxDeletionPercent, 50),
+    // Deleted events are kept this long so they can be restored with /sync restore
+    softDelete: process.env.SOFT_DELETE
+      ? process.env.SOFT_DELETE !== 'false'
+      : syncConfig.safeguards?.softDelete !== false,
+    trashRetentionDays: numberSetting(process.env.TRASH_RETENTION_DAYS, syncConfig.safeguards?.trashRetentionDays, 7),
+    alertChannelId: process.env.ALERT_CHANNEL_ID || syncConfig.safeguards?.alertChannelId || null
+  },
+
+  // Calendar → guild sync pairs
+  syncConfigPath,
+  syncPairs: buildSyncPairs(),
+
+  // Mapping Storage
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'json',
+    mappingsFile: path.resolve(__dirname, process.env.MAPPINGS_FILE || 'event-mappings.json'),
+    sqlitePath: path.resolve(__dirname, process.env.SQLITE_PATH || 'data/calendar-sync.db')
+  },
+
+  // Google Calendar push notifications. Google posts to webhookUrl, which has to
+  // reach the bot's HTTP server with the same path.
+  push: {
+    enabled: process.env.GOOGLE_PUSH_ENABLED
+      ? process.env.GOOGLE_PUSH_ENABLED === 'true'
+      : syncConfig.push?.enabled === true,
+    webhookUrl: process.env.GOOGLE_PUSH_WEBHOOK_URL || syncConfig.push?.webhookUrl || null,
+    // Notifications within this time lead to one sync
+    debounceSeconds: numberSetting(process.env.GOOGLE_PUSH_DEBOUNCE_SECONDS, syncConfig.push?.debounceSeconds, 5),
+    channelTtlHours: numberSetting(process.env.GOOGLE_PUSH_CHANNEL_TTL_HOURS, syncConfig.push?.channelTtlHours, 168),
+    // Scheduled syncs still run this often while notifications arrive
+    pollIntervalMinutes: numberSetting(process.env.GOOGLE_PUSH_POLL_INTERVAL_MINUTES, syncConfig.push?.pollIntervalMinutes, 60)
+  },
+
+  // Retry Configuration: attempts per operation, and the backoff between them.
+  // Rate-limited requests wait as long as the API asks, up to maxDelayMs.
   retry: {
     maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
-    baseDelayMs: parseInt(process.env.BASE_RETRY_DELAY_MS) || 1000
+    baseDelayMs: parseInt(process.env.BASE_RETRY_DELAY_MS) || 1000,
+    maxDelayMs: parseInt(process.env.MAX_RETRY_DELAY_MS) || 60000
   },
 
   // Validation
   validate() {
     const required = {
-      'DISCORD_TOKEN': this.discord.token,
-      'GUILD_ID': this.discord.guildId
+      'DISCORD_TOKEN': this.discord.token
     };
 
+    // GUILD_ID is only needed when no sync pairs are configured in the sync config file
+    if (!hasConfiguredPairs) {
+      required['GUILD_ID'] = this.discord.guildId;
+    }
+
     const missing = Object.keys(required).filter(key => !required[key]);
 
     if (missing.length > 0) {
       throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
 
+    if (!['json', 'sqlite'].includes(this.storage.backend)) {
+      throw new Error(`Unknown STORAGE_BACKEND: ${this.storage.backend} (expected json or sqlite)`);
+    }
+
+    if (!isValidTimeZone(this.time.defaultTimeZone)) {
+      throw new Error(`Unknown DEFAULT_TIMEZONE: ${this.time.defaultTimeZone}`);
+    }
+
+    const { allDayStartTime, allDayEndTime } = this.time;
+    if (![allDayStartTime, allDayEndTime].every(time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time)) || allDayStartTime >= allDayEndTime) {
+      throw new Error(`ALL_DAY_START_TIME and ALL_DAY_END_TIME must be HH:MM times with the start before the end (got ${allDayStartTime}-${allDayEndTime})`);
+    }
+
+    validateLogging(this.logging);
+    validateGoogleAuth(this.google);
+    validatePush(this.push);
+    validateAttendees(this.attendees);
+
+    if (this.app.healthCheckEnabled && this.app.readyMaxSyncAgeMinutes === null) {
+      throw new Error('READY_MAX_SYNC_AGE_MINUTES is required when a sync schedule does not run at a fixed interval (e.g. business hours only); set it to the longest time /ready may go without a sync');
+    }
+    if (this.app.readyMaxSyncAgeMinutes !== null && !(this.app.readyMaxSyncAgeMinutes > 0)) {
+      throw new Error(`READY_MAX_SYNC_AGE_MINUTES must be greater than 0 (got ${this.app.readyMaxSyncAgeMinutes})`);
+    }
+
+    const { maxDeletionsPerSync, maxDeletionPercent, trashRetentionDays } = this.safeguards;
+    if (!(maxDeletionsPerSync >= 0) || !(maxDeletionPercent >= 0 && maxDeletionPercent <= 100) || !(trashRetentionDays > 0)) {
+      throw new Error('MAX_DELETIONS_PER_SYNC must be >= 0, MAX_DELETION_PERCENT between 0 and 100 and TRASH_RETENTION_DAYS > 0');
+    }
+
+    const pairIds = new Set();
+    const pairTargets = new Set();
+    for (const pair of this.syncPairs) {
+      if (!pair.guildId || !pair.calendarId) {
+        throw new Error(`Sync pair ${pair.id} needs both a guildId and a calendarId`);
+      }
+      if (!pair.syncSchedule) {
+        throw new Error(`SYNC_INTERVAL_MINUTES=${syncIntervalMinutes} cannot be run evenly as a cron schedule; use a number of minutes that divides an hour or a day (e.g. 15, 30, 120), or set SYNC_SCHEDULE`);
+      }
+      if (!CONFLICT_POLICIES.includes(pair.conflictPolicy)) {
+        throw new Error(`Sync pair ${pair.id} has an unknown conflict policy: ${pair.conflictPolicy} (expected one of ${CONFLICT_POLICIES.join(', ')})`);
+      }
+      validateFilterRules(pair.filters, `Sync pair ${pair.id}`);
+      validateChannelRules(pair.channelRules, `Sync pair ${pair.id}`);
+      validateAnnouncements(pair.announcements, `Sync pair ${pair.id}`);
+      validateRoutes(pair.routes, `Sync pair ${pair.id}`);
+      validateTemplates(pair.templates, `Sync pair ${pair.id}`);
+      validateCoverRules(pair.coverRules, `Sync pair ${pair.id}`);
+      for (const key of ['label', 'defaultLocation', 'defaultChannelId']) {
+        if (pair[key] !== null && typeof pair[key] !== 'string') {
+          throw new Error(`Sync pair ${pair.id}: ${key} must be a string`);
+        }
+      }
+      if (pair.defaultLocation && pair.defaultLocation.length > MAX_LOCATION_LENGTH) {
+        throw new Error(`Sync pair ${pair.id}: defaultLocation is longer than ${MAX_LOCATION_LENGTH} characters`);
+      }
+      const invalidSchedules = pair.syncSchedule.filter(expression => !cron.validate(expression));
+      if (invalidSchedules.length > 0) {
+        throw new Error(`Sync pair ${pair.id} has an invalid cron schedule: ${invalidSchedules.join(', ')}`);
+      }
+      if (!(pair.lookbackHours >= 0) || !(pair.lookaheadDays > 0)) {
+        throw new Error(`Sync pair ${pair.id} needs lookbackHours >= 0 and lookaheadDays > 0 (got ${pair.lookbackHours} and ${pair.lookaheadDays})`);
+      }
+      if (pairIds.has(pair.id)) {
+        throw new Error(`Duplicate sync pair id: ${pair.id}`);
+      }
+      pairIds.add(pair.id);
+      // Two pairs syncing the same calendar into a guild would create every event twice
+      const target = `${pair.guildId}:${pair.calendarId}`;
+      if (pairTargets.has(target)) {
+        throw new Error(`Sync pair ${pair.id} syncs calendar ${pair.calendarId} into guild ${pair.guildId} a second time`);
+      }
+      pairTargets.add(target);
+    }
+
     return true;
   }
 };
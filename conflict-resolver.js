@@ -0,0 +1,54 @@
+const { SYNCED_FIELDS, createFingerprint, diffFingerprints } = require('./event-fingerprint');
+
+const CONFLICT_POLICIES = ['google-wins', 'discord-wins', 'last-writer-wins', 'merge'];
+
+// Picks the side each synced field is taken from when both Google and Discord
+// changed an event since the last sync. Fields use the shape returned by
+// getDiscordFields; timestamps are milliseconds (missing counts as oldest).
+function resolveConflict({ policy, baseline, googleFields, discordFields, googleUpdatedAt, discordUpdatedAt }) {
+    const googleChanged = diffFingerprints(baseline, createFingerprint(googleFields));
+    const discordChanged = diffFingerprints(baseline, createFingerprint(discordFields));
+    const lastWriter = (discordUpdatedAt || 0) > (googleUpdatedAt || 0) ? 'discord' : 'google';
+
+    const sources = {};
+    for (const field of SYNCED_FIELDS) {
+        switch (policy) {
+            case 'discord-wins':
+                sources[field] = 'discord';
+                break;
+            case 'last-writer-wins':
+                sources[field] = lastWriter;
+                break;
+            case 'merge':
+                // Keep each side's own edits; fields edited on both sides go to the last writer
+                if (googleChanged.includes(field) && discordChanged.includes(field)) {
+                    sources[field] = lastWriter;
+                } else {
+                    sources[field] = discordChanged.includes(field) ? 'discord' : 'google';
+                }
+                break;
+            default:
+                sources[field] = 'google';
+        }
+    }
+
+    const fields = {};
+    for (const field of SYNCED_FIELDS) {
+        fields[field] = sources[field] === 'discord' ? discordFields[field] : googleFields[field];
+    }
+
+    const winners = new Set(Object.values(sources));
+
+    return {
+        fields,
+        sources,
+        googleChanged,
+        discordChanged,
+        winner: winners.size === 1 ? sources.name : 'merged'
+    };
+}
+
+module.exports = {
+    CONFLICT_POLICIES,
+    resolveConflict
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Cover images of Discord scheduled events. An image attached to a Google event
+// becomes the Discord cover, else the image of the first matching cover rule.
+// Covers set in Discord are attached to the Google event as a link. Downloaded
+// images are cached on disk, so each is fetched only once.
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const DISCORD_COVER_PATTERN = /^https:\/\/cdn\.discordapp\.com\/guild-events\//;
+const IMAGE_URL_PATTERN = /\.(png|jpe?g|gif|webp)(\?|#|$)/i;
+const DISCORD_COVER_TITLE = 'Discord cover';
+
+// Discord rejects larger uploads
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+// A cover that failed to load is tried again after this long, or once the event's image changes
+const FAILED_RETRY_MS = 24 * 60 * 60 * 1000;
+
+function validateCoverRules(rules, context) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${context}: coverRules must be a list of rules`);
+    }
+
+    rules.forEach((rule, index) => {
+        const where = `${context}, cover rule ${index + 1}`;
+
+        if (typeof rule.image !== 'string' || !rule.image) {
+            throw new Error(`${where}: image is required`);
+        }
+        if (rule.keyword !== undefined) {
+            try {
+                new RegExp(rule.keyword);
+            } catch (error) {
+                throw new Error(`${where}: invalid keyword pattern: ${error.message}`);
+            }
+        }
+    });
+}
+
+function compileCoverRule(rule) {
+    return {
+        keyword: rule.keyword !== undefined ? new RegExp(rule.keyword, 'i') : null,
+        image: rule.image
+    };
+}
+
+function isDiscordCover(attachment) {
+    return DISCORD_COVER_PATTERN.test(attachment.fileUrl || '');
+}
+
+function isImageAttachment(attachment) {
+    return attachment.mimeType ? attachment.mimeType.startsWith('image/') : IMAGE_URL_PATTERN.test(attachment.fileUrl || '');
+}
+
+// The Google event's attachments with `coverUrl` as the only Discord cover
+function withDiscordCover(attachments = [], coverUrl) {
+    const others = attachments.filter(attachment => !isDiscordCover(attachment));
+    return coverUrl
+        ? [...others, { fileUrl: coverUrl, title: DISCORD_COVER_TITLE, mimeType: 'image/png' }]
+        : others;
+}
+
+class CoverImages {
+    constructor(bot) {
+        this.bot = bot;
+        this.settings = bot.config.covers;
+        // Replaced in tests
+        this.fetch = (url, options) => fetch(url, options);
+    }
+
+    // Where a Google event's cover comes from: a cover set in Discord and linked
+    // from the event, an attached image (Drive files as drive:<file ID>, skipped
+    // without Drive access), or the pair's cover rules. Rules with a keyword in
+    // the title or description go before those without.
+    getSource(pair, calEvent) {
+        const attachments = calEvent.attachments || [];
+        const discordCover = attachments.find(isDiscordCover);
+        if (discordCover) {
+            return discordCover.fileUrl;
+        }
+
+        for (const image of attachments.filter(isImageAttachment)) {
+            if (image.fileId) {
+                if (this.bot.config.google.driveAccess) {
+                    return `drive:${image.fileId}`;
+                }
+                this.bot.log('warn', `[${pair.id}] Skipping Google Drive image ${image.title || image.fileId} of ${calEvent.summary}: set GOOGLE_DRIVE_ACCESS=true to use Drive files as covers`);
+            } else if (/^https:\/\//i.test(image.fileUrl || '')) {
+                // Anyone who can edit the calendar sets these, so paths and other URLs are ignored
+                return image.fileUrl;
+            }
+        }
+
+        const text = `${calEvent.summary || ''}\n${calEvent.description || ''}`;
+        const rule = pair.coverRules.find(candidate => candidate.keyword?.test(text)) ||
+            pair.coverRules.find(candidate => !candidate.keyword);
+        return rule ? rule.image : null;
+    }
+
+    // The cover for a Google event when it differs from the one the bot last set
+    // (`previous`, from the event metadata): { source, image } with the image
+    // data, or a null image to remove the cover. { source, failed: true } when
+    // the image could not be loaded, and null when the cover stays as it is.
+    async getCoverChange(pair, calEvent, previous = null) {
+        if (!this.settings.enabled) {
+            return null;
+        }
+
+        const source = this.getSource(pair, calEvent);
+        const retry = !!previous?.failedAt && Date.now() - new Date(previous.failedAt).getTime() >= FAILED_RETRY_MS;
+        if (source === (previous?.source ?? null) && !retry) {
+            return null;
+        }
+        if (!source) {
+            return { source: null, image: null };
+        }
+
+        try {
+            return { source, image: await this.load(pair, source) };
+        } catch (error) {
+            this.bot.log('warn', `[${pair.id}] Failed to load cover image ${source} for ${calEvent.summary}, trying again in a day or once the image changes`, error);
+            return { source, failed: true };
+        }
+    }
+
+    // Remembers the cover the Discord event shows, by its Discord image hash, and
+    // when `source` failed to load, so that it is not downloaded on every sync
+    remember(pair, googleEventId, source, hash, failed = false) {
+        pair.updateMetadata(googleEventId, {
+            cover: source ? { source, hash: hash || null, ...(failed && { failedAt: new Date().toISOString() }) } : null
+        });
+    }
+
+    getDiscordCoverUrl(discordEvent) {
+        if (!this.settings.enabled || !discordEvent.image) {
+            return null;
+        }
+        return discordEvent.coverImageURL({ size: 1024 });
+    }
+
+    // Attachments for a new Google event created from a Discord event
+    getGoogleAttachments(discordEvent) {
+        const coverUrl = this.getDiscordCoverUrl(discordEvent);
+        return coverUrl ? withDiscordCover([], coverUrl) : null;
+    }
+
+    // True when the cover was set, changed or removed in Discord since the bot last saw it
+    hasDiscordChange(pair, googleEventId, discordEvent) {
+        if (!this.settings.enabled) {
+            return false;
+        }
+        return (discordEvent.image || null) !== (pair.getMetadata(googleEventId)?.cover?.hash ?? null);
+    }
+
+    // Links the Discord cover from the Google event in place of an earlier one
+    async linkDiscordCover(pair, discordEvent) {
+        const googleEventId = pair.discordToGoogleMap.get(discordEvent.id);
+        const calEvent = await this.bot.getGoogleCalendarEvent(pair, googleEventId);
+        const coverUrl = this.getDiscordCoverUrl(discordEvent);
+
+        const response = await this.bot.queueGoogleRequest(async () => {
+            return await this.bot.calendar.events.patch({
+                calendarId: pair.calendarId,
+                eventId: googleEventId,
+                supportsAttachments: true,
+                resource: { attachments: withDiscordCover(calEvent.attachments, coverUrl) }
+            });
+        }, pair.calendarId);
+
+        // The new etag keeps the next sync from taking the link for a Google change
+        pair.markSynced(response.data);
+        this.remember(pair, googleEventId, coverUrl, discordEvent.image);
+        await this.bot.saveEventMappings();
+
+        this.bot.log('info', coverUrl
+            ? `[${pair.id}] Linked the Discord cover of ${discordEvent.name} from its Google event`
+            : `[${pair.id}] Removed the Discord cover link from the Google event of ${discordEvent.name}`);
+    }
+
+    // Image data for a source: local files are read from disk, relative to the
+    // sync config file, anything else is downloaded once and then read from the cache
+    async load(pair, source) {
+        if (!/^(https?|drive):/.test(source)) {
+            // Only the admin's cover rules may name files on disk
+            if (!pair.coverRules.some(rule => rule.image === source)) {
+                throw new Error('Only cover rules can use local images');
+            }
+            return await fs.readFile(path.resolve(path.dirname(this.bot.config.syncConfigPath), source));
+        }
+
+        const cacheFile = path.join(this.settings.cacheDir, crypto.createHash('sha256').update(source).digest('hex'));
+        try {
+            return await fs.readFile(cacheFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        const image = await this.download(source);
+        // Nothing a dry run does is kept
+        if (!this.bot.dryRun) {
+            await fs.mkdir(this.settings.cacheDir, { recursive: true });
+            await fs.writeFile(cacheFile, image);
+        }
+        return image;
+    }
+
+    async download(source) {
+        let url = source;
+        let headers = {};
+
+        // Drive files are only readable with the bot's Google credentials
+        if (source.startsWith('drive:')) {
+            if (!this.bot.config.google.driveAccess) {
+                throw new Error('Google Drive access is turned off (GOOGLE_DRIVE_ACCESS)');
+            }
+            url = `${DRIVE_FILES_URL}/${encodeURIComponent(source.slice('drive:'.length))}?alt=media`;
+            headers = await this.bot.auth.getRequestHeaders();
+        }
+
+        const response = await this.fetch(url, { headers, signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`Download failed with ${response.status} ${response.statusText}`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.startsWith('image/')) {
+            throw new Error(`Not an image: ${contentType || 'no content type'}`);
+        }
+
+        const tooLarge = `Image is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`;
+        if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+            await response.body?.cancel();
+            throw new Error(tooLarge);
+        }
+
+        // Read in chunks, to stop as soon as the image is too large whatever the server claimed
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body || []) {
+            size += chunk.length;
+            if (size > MAX_IMAGE_BYTES) {
+                throw new Error(tooLarge);
+            }
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = {
+    CoverImages,
+    compileCoverRule,
+    validateCoverRules
+};
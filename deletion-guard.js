@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+// Percentages are only checked from this many deletions on, so removing one of
+// a pair's two events is not mistaken for an outage
+const MIN_DELETIONS_FOR_PERCENT = 3;
+
+// Set by Google; left out when a deleted event has to be inserted again
+const GOOGLE_SERVER_FIELDS = [
+    'kind', 'id', 'etag', 'status', 'htmlLink', 'iCalUID', 'created', 'updated', 'creator', 'organizer',
+    'sequence', 'recurringEventId', 'originalStartTime', 'hangoutLink', 'conferenceData'
+];
+
+// What is kept of a deleted Discord event
+function snapshotDiscordEvent(discordEvent) {
+    return {
+        id: discordEvent.id,
+        name: discordEvent.name,
+        description: discordEvent.description || null,
+        scheduledStartTime: new Date(discordEvent.scheduledStartTimestamp).toISOString(),
+        scheduledEndTime: discordEvent.scheduledEndTimestamp ? new Date(discordEvent.scheduledEndTimestamp).toISOString() : null,
+        entityType: discordEvent.entityType,
+        channelId: discordEvent.channelId || null,
+        location: discordEvent.entityMetadata?.location || null
+    };
+}
+
+// A kept Discord event in the shape of a discord.js one, to make a Google event from
+function fromDiscordSnapshot(pair, snapshot) {
+    return {
+        ...snapshot,
+        guildId: pair.guildId,
+        scheduledStartAt: new Date(snapshot.scheduledStartTime),
+        scheduledEndAt: snapshot.scheduledEndTime ? new Date(snapshot.scheduledEndTime) : null,
+        entityMetadata: snapshot.location ? { location: snapshot.location } : null
+    };
+}
+
+// Guards against losing events: a sync that would delete too many Discord events
+// at once (an empty calendar listing after a permission change, a wrong calendar
+// ID or an outage) is stopped and reported, and deleted events are kept for a
+// while so they can be restored.
+class DeletionGuard {
+    constructor(bot) {
+        this.bot = bot;
+        this.settings = bot.config.safeguards;
+    }
+
+    hasEnded(pair, calEventId, now = new Date()) {
+        const metadata = pair.getMetadata(calEventId);
+        const endsAt = metadata?.recurrence?.instanceEnd || metadata?.endsAt;
+        return !!endsAt && new Date(endsAt) <= now;
+    }
+
+    // Whether a sync may delete the Discord events of these Google events.
+    // Events that are simply over do not count.
+    async allowDeletions(pair, calEventIds) {
+        const count = calEventIds.filter(calEventId => !this.hasEnded(pair, calEventId)).length;
+        const total = pair.googleToDiscordMap.size;
+        const percent = total > 0 ? Math.round(count / total * 100) : 0;
+        const { maxDeletionsPerSync, maxDeletionPercent } = this.settings;
+
+        if (count <= maxDeletionsPerSync && (count < MIN_DELETIONS_FOR_PERCENT || percent <= maxDeletionPercent)) {
+            pair.blockedDeletions = null;
+            return true;
+        }
+
+        if (pair.deletionsApproved) {
+            this.bot.log('warn', `[${pair.id}] Deleting ${count} of ${total} synced events as approved`);
+            pair.deletionsApproved = false;
+            pair.blockedDeletions = null;
+            return true;
+        }
+
+        // Refused syncs are retried every run; only report the first one
+        const alreadyReported = pair.blockedDeletions?.count === count;
+        pair.blockedDeletions = { count, total, percent, detectedAt: new Date().toISOString() };
+
+        if (!alreadyReported) {
+            const message = `[${pair.id}] Refused to delete ${count} of ${total} synced events (${percent}%) in one sync. ` +
+                'Check the calendar ID and the calendar permissions, or use `/sync approve-deletions` if the deletions are intended.';
+            this.bot.log('error', message);
+            await this.alert(`🛑 ${message}`);
+        }
+        return false;
+    }
+
+    approveDeletions(pair) {
+        pair.deletionsApproved = true;
+        this.bot.log('info', `[${pair.id}] Deletion of ${pair.blockedDeletions?.count ?? 0} events approved`);
+    }
+
+    async alert(message) {
+        if (!this.settings.alertChannelId) {
+            return;
+        }
+
+        try {
+            const channel = await this.bot.client.channels.fetch(this.settings.alertChannelId);
+            if (!channel?.isTextBased()) {
+                this.bot.log('warn', `Alert channel ${this.settings.alertChannelId} not found or not a text channel`);
+                return;
+            }
+            if (this.bot.dryRun) {
+                this.bot.dryRun.record({ target: 'discord', action: 'message', id: channel.id, name: 'Alert', changes: { content: { to: message } } });
+                return;
+            }
+            await this.bot.queueDiscordRequest(async () => {
+                await channel.send(message);
+            }, `/channels/${channel.id}`);
+        } catch (error) {
+            this.bot.log('warn', 'Failed to post alert', error);
+        }
+    }
+
+    // Keeps what was deleted on either side for the retention period.
+    // seriesKey is the mapped ID, googleEventId the Google event actually removed.
+    trash(pair, { deletedFrom, seriesKey, googleEventId, discordEvent = null, calEvent = null }) {
+        if (!this.settings.softDelete) {
+            return;
+        }
+
+        pair.addToTrash({
+            id: crypto.randomBytes(4).toString('hex'),
+            deletedAt: new Date().toISOString(),
+            deletedFrom,
+            googleEventId: googleEventId || seriesKey,
+            origin: pair.getMetadata(seriesKey)?.origin || null,
+            name: discordEvent?.name || calEvent?.summary || googleEventId || seriesKey,
+            discord: discordEvent ? snapshotDiscordEvent(discordEvent) : null,
+            google: calEvent || null
+        });
+    }
+
+    purgeTrash(pair) {
+        pair.purgeTrash(new Date(Date.now() - this.settings.trashRetentionDays * 24 * 60 * 60 * 1000));
+    }
+
+    // Brings a deleted event back in Google Calendar and recreates its Discord
+    // event. Returns a description of what was restored.
+    async restore(pair, entryId) {
+        const entry = pair.getTrashEntry(entryId);
+        if (!entry) {
+            throw new Error(`No deleted event \`${entryId}\` in \`${pair.id}\``);
+        }
+
+        const calEvent = await this.restoreGoogleEvent(pair, entry);
+        let result;
+
+        if (calEvent.recurringEventId) {
+            // One instance of a series; the series itself is still synced
+            result = `Restored **${entry.name}** in Google Calendar; Discord follows on the next sync.`;
+        } else if (pair.googleToDiscordMap.has(calEvent.id)) {
+            result = `**${entry.name}** is synced again.`;
+        } else if (this.bot.getDiscordTimes(pair, calEvent).start <= new Date()) {
+            result = `Restored **${entry.name}** in Google Calendar. It has already started, so it was not recreated in Discord.`;
+        } else {
+            const guild = this.bot.client.guilds.cache.get(pair.guildId);
+            if (!guild) {
+                throw new Error(`Guild not found: ${pair.guildId}`);
+            }
+            await this.bot.createDiscordEvent(pair, guild, calEvent);
+            pair.updateMetadata(calEvent.id, { origin: entry.origin || 'google' });
+            result = `Restored **${entry.name}** in Google Calendar and Discord.`;
+        }
+
+        pair.removeFromTrash(entryId);
+        await this.bot.saveEventMappings();
+        this.bot.log('info', `[${pair.id}] Restored deleted event ${entry.name}`);
+        return result;
+    }
+
+    async restoreGoogleEvent(pair, entry) {
+        const { calendar } = this.bot;
+
+        return await this.bot.queueGoogleRequest(async () => {
+            try {
+                const { data } = await calendar.events.get({ calendarId: pair.calendarId, eventId: entry.googleEventId });
+                if (data.status !== 'cancelled') {
+                    return data;
+                }
+
+                // Google keeps deleted events around for a while; undeleting keeps the ID
+                const response = await calendar.events.patch({
+                    calendarId: pair.calendarId,
+                    eventId: entry.googleEventId,
+                    resource: { status: 'confirmed' }
+                });
+                return response.data;
+            } catch (error) {
+                const status = error.code || error.response?.status;
+                if ((status !== 404 && status !== 410) || (!entry.google && !entry.discord)) {
+                    throw error;
+                }
+            }
+
+            // Gone for good: insert the kept copy as a new event, or make one from the
+            // Discord event when Google had already purged the event at deletion
+            const resource = entry.google
+                ? Object.fromEntries(Object.entries(entry.google).filter(([key]) => !GOOGLE_SERVER_FIELDS.includes(key)))
+                : this.bot.buildGoogleEventData(pair, fromDiscordSnapshot(pair, entry.discord));
+            const response = await calendar.events.insert({ calendarId: pair.calendarId, resource });
+            return response.data;
+        }, pair.calendarId);
+    }
+}
+
+module.exports = { DeletionGuard };
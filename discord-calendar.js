@@ -1,47 +1,131 @@
-const { Client, GatewayIntentBits, ScheduledEvent } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, ScheduledEvent, GuildScheduledEventStatus, GuildScheduledEventEntityType } = require('discord.js');
 const { google } = require('googleapis');
-const fs = require('fs').promises;
+const { AsyncResource } = require('async_hooks');
 const cron = require('node-cron');
-const path = require('path');
-
+const SyncPair = require('./sync-pair');
+const { createMappingStore, SNAPSHOT_VERSION } = require('./mapping-store');
+const { getDiscordFields, createFingerprint, diffFingerprints, diffFields } = require('./event-fingerprint');
+const { resolveConflict } = require('./conflict-resolver');
+const { SyncCommands } = require('./slash-commands');
+const { getSeriesKey, isRecurringInstance, getDiscordRecurrence, parseRecurrenceMarker, pickCurrentInstance } = require('./recurrence');
+const {
+    MAX_LOCATION_LENGTH,
+    isEventChannel,
+    getChannelEntityType,
+    toChannelMention,
+    getMentionedChannelId,
+    formatChannelLocation,
+    getConferenceLink
+} = require('./channel-mapping');
+const { zonedTimeToDate, toZonedDateString, toZonedTimeString, addDays, parseAllDayMarker } = require('./event-times');
+const { Announcer } = require('./announcements');
+const { AttendeeSync, formatResponseSummary, formatAttendeeList } = require('./attendees');
+const { EventLifecycle } = require('./event-lifecycle');
+const { routeDiscordEvent } = require('./event-routing');
+const { CoverImages } = require('./cover-images');
+const {
+    MAX_NAME_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    extractValue,
+    htmlToMarkdown,
+    markdownToHtml,
+    renderTemplate,
+    renderWithin,
+    truncate
+} = require('./event-templates');
+const { DeletionGuard } = require('./deletion-guard');
+const { DryRunPlan } = require('./dry-run');
+const { Metrics } = require('./metrics');
+const { Logger, createCorrelationId } = require('./logger');
+const { createGoogleAuth } = require('./google-auth');
+const { PushNotifications } = require('./push-notifications');
+const { RateLimiter, classifyError, getDiscordBucket, getHeader } = require('./rate-limiter');
+const HealthServer = require('./health');
+
+// The Discord client, Google calendar client and mapping store can be passed
+// in, so the bot can run against fakes; by default they are built from the config.
 class CalendarSyncBot {
-    constructor() {
-        // Load config (which loads .env)
-        this.config = require('./config');
+    constructor({ config = require('./config'), client = null, calendar = null, mappingStore = null, logger = null } = {}) {
+        // Config (loading it also loads .env)
+        this.config = config;
+        this.logger = logger || new Logger(this.config.logging);
 
         // Validate environment variables
         this.validateConfig();
 
         // Discord client setup
-        this.client = new Client({
+        this.client = client || new Client({
             intents: [
                 GatewayIntentBits.Guilds,
                 GatewayIntentBits.GuildScheduledEvents
-            ]
+            ],
+            // Interested-member events name users that are usually not cached
+            partials: [Partials.User]
         });
 
         // Google Calendar setup
         this.calendar = null;
         this.auth = null;
 
-        // Sync mappings - separate tracking for each direction
-        this.googleToDiscordMap = new Map(); // Google Event ID -> Discord Event ID
-        this.discordToGoogleMap = new Map(); // Discord Event ID -> Google Event ID
-        this.mappingsFile = path.join(__dirname, 'event-mappings.json');
+        // In dry-run mode writes are collected in a plan instead of being made
+        this.dryRun = this.config.dryRun.enabled ? new DryRunPlan() : null;
+        if (calendar) {
+            this.useCalendar(calendar);
+        }
+
+        // Calendar → guild sync pairs, each with its own mappings, schedule and stats
+        this.syncPairs = new Map(
+            this.config.syncPairs.map(pairConfig => [pairConfig.id, new SyncPair(pairConfig)])
+        );
+
+        // Mappings of pairs that are no longer configured are kept, not dropped
+        this.retainedPairSnapshots = {};
+
+        // Pluggable mapping storage (JSON file or SQLite)
+        this.mappingStore = mappingStore || createMappingStore(this.config.storage, {
+            legacyPairId: this.getLegacyPairId(),
+            readOnly: !!this.dryRun,
+            log: (level, message) => this.log(level, message)
+        });
+
+        // /sync slash commands
+        this.syncCommands = new SyncCommands(this);
+        this.announcer = new Announcer(this);
+        this.attendeeSync = new AttendeeSync(this);
+        this.covers = new CoverImages(this);
+        this.lifecycle = new EventLifecycle(this);
+        this.deletionGuard = new DeletionGuard(this);
+        this.push = new PushNotifications(this);
 
         // Track events currently being synced to prevent loops
         this.currentlySyncing = new Set();
 
-        // Rate limiting
-        this.discordQueue = [];
-        this.googleQueue = [];
-        this.discordRateLimit = { requests: 0, resetTime: Date.now() };
-        this.googleRateLimit = { requests: 0, resetTime: Date.now() };
+        // /health, /ready and /metrics
+        this.metrics = new Metrics();
+        this.healthServer = this.config.app.healthCheckEnabled ? new HealthServer(this, this.config.app.healthCheckPort) : null;
+
+        // Rate limiting; Discord buckets are routes such as /guilds/123, Google buckets calendar IDs
+        const onRateLimited = api => ({ bucket, pauseMs }) => {
+            this.metrics.recordRateLimit(api);
+            this.log('warn', `${api === 'discord' ? 'Discord' : 'Google'} rate limit hit${bucket ? ` for ${bucket}` : ''}, pausing ${pauseMs}ms`);
+        };
+        this.discordQueue = new RateLimiter({
+            name: 'Discord',
+            limit: this.config.discord.rateLimitPerSecond,
+            windowMs: 1000,
+            maxQueueSize: this.config.discord.maxQueuedRequests,
+            onRateLimited: onRateLimited('discord')
+        });
+        this.googleQueue = new RateLimiter({
+            name: 'Google',
+            limit: this.config.google.rateLimitPer100Seconds,
+            windowMs: 100000,
+            maxQueueSize: this.config.google.maxQueuedRequests,
+            onRateLimited: onRateLimited('google')
+        });
+        this.restListeners = null;
 
         this.setupDiscordEvents();
-        this.setupGoogleAuth();
-        this.loadEventMappings();
-        this.startRateLimitProcessor();
     }
 
     validateConfig() {
@@ -50,126 +134,191 @@ class CalendarSyncBot {
     }
 
     log(level, message, error = null) {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-
-        if (level === 'error') {
-            console.error(logMessage);
-            if (error) console.error(error);
-        } else if (level === 'warn') {
-            console.warn(logMessage);
-        } else {
-            console.log(logMessage);
-        }
+        this.logger.log(level, message, error);
+    }
+
+    getPairsForGuild(guildId) {
+        return Array.from(this.syncPairs.values()).filter(pair => pair.guildId === guildId);
+    }
+
+    // The pair that owns a mapped Discord event, if any
+    findPairForDiscordEvent(discordEvent) {
+        return this.getPairsForGuild(discordEvent.guildId)
+            .find(pair => pair.hasDiscordEvent(discordEvent.id)) || null;
+    }
+
+    // Single-guild mappings from before sync pairs existed belong to the pair
+    // matching GUILD_ID/GOOGLE_CALENDAR_ID, or the first pair
+    getLegacyPairId() {
+        const pairs = Array.from(this.syncPairs.values());
+        const legacyPair = pairs.find(pair =>
+            pair.guildId === this.config.discord.guildId &&
+            pair.calendarId === this.config.google.calendarId
+        ) || pairs[0];
+
+        return legacyPair.id;
     }
 
     async loadEventMappings() {
         try {
-            const data = await fs.readFile(this.mappingsFile, 'utf8');
-            const mappings = JSON.parse(data);
+            const snapshot = await this.mappingStore.load();
+            if (!snapshot) {
+                this.log('info', 'No existing event mappings found, starting fresh');
+                return;
+            }
 
-            // Load both directions
-            this.googleToDiscordMap = new Map(Object.entries(mappings.googleToDiscord || {}));
-            this.discordToGoogleMap = new Map(Object.entries(mappings.discordToGoogle || {}));
+            this.attendeeSync.loadSnapshot(snapshot.userEmails);
 
-            this.log('info', `Loaded ${this.googleToDiscordMap.size} Google→Discord and ${this.discordToGoogleMap.size} Discord→Google mappings`);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                this.log('warn', 'Failed to load event mappings, starting fresh', error);
-            } else {
-                this.log('info', 'No existing event mappings found, starting fresh');
+            for (const [pairId, pairSnapshot] of Object.entries(snapshot.pairs)) {
+                const pair = this.syncPairs.get(pairId);
+                if (pair) {
+                    pair.loadSnapshot(pairSnapshot);
+                } else {
+                    this.retainedPairSnapshots[pairId] = pairSnapshot;
+                    this.log('warn', `Keeping mappings for unknown sync pair: ${pairId}`);
+                }
+            }
+
+            for (const pair of this.syncPairs.values()) {
+                this.log('info', `[${pair.id}] Loaded ${pair.googleToDiscordMap.size} Google→Discord and ${pair.discordToGoogleMap.size} Discord→Google mappings`);
             }
+        } catch (error) {
+            this.log('warn', 'Failed to load event mappings, starting fresh', error);
         }
     }
 
     async saveEventMappings() {
+        // Nothing a dry run does is kept
+        if (this.dryRun) {
+            return;
+        }
+
         try {
-            const mappings = {
-                googleToDiscord: Object.fromEntries(this.googleToDiscordMap),
-                discordToGoogle: Object.fromEntries(this.discordToGoogleMap)
+            const snapshot = {
+                version: SNAPSHOT_VERSION,
+                pairs: { ...this.retainedPairSnapshots },
+                userEmails: this.attendeeSync.toSnapshot()
             };
-            await fs.writeFile(this.mappingsFile, JSON.stringify(mappings, null, 2));
+            for (const pair of this.syncPairs.values()) {
+                snapshot.pairs[pair.id] = pair.toSnapshot();
+            }
+            await this.mappingStore.save(snapshot);
             this.log('debug', 'Event mappings saved');
         } catch (error) {
             this.log('error', 'Failed to save event mappings', error);
         }
     }
 
+    // discord.js handles Discord's rate limits itself; what it learns from the
+    // rate-limit headers also holds back the requests still waiting in our queue
     startRateLimitProcessor() {
-        // Process Discord queue (50 requests per second)
-        setInterval(() => {
-            if (Date.now() > this.discordRateLimit.resetTime) {
-                this.discordRateLimit.requests = 0;
-                this.discordRateLimit.resetTime = Date.now() + 1000;
-            }
+        const { rest } = this.client;
+        if (!rest) {
+            return;
+        }
 
-            while (this.discordQueue.length > 0 && this.discordRateLimit.requests < 50) {
-                const { fn, resolve, reject } = this.discordQueue.shift();
-                this.discordRateLimit.requests++;
-                fn().then(resolve).catch(reject);
+        this.restListeners = {
+            response: (request, response) => {
+                const remaining = getHeader(response.headers, 'x-ratelimit-remaining');
+                const resetAfter = getHeader(response.headers, 'x-ratelimit-reset-after');
+                if (remaining !== null && resetAfter !== null) {
+                    this.discordQueue.updateBucket(getDiscordBucket(request.path), {
+                        limit: Number(getHeader(response.headers, 'x-ratelimit-limit')) || 1,
+                        remaining: Number(remaining),
+                        resetAfterMs: Number(resetAfter) * 1000
+                    });
+                }
+                // The response is a copy made for listeners; its body is never read
+                response.body?.cancel?.()?.catch(() => {});
+            },
+            rateLimited: (info) => {
+                const bucket = info.global ? null : getDiscordBucket(info.url);
+                this.discordQueue.pause(bucket, info.timeToReset);
+                this.metrics.recordRateLimit('discord');
+                this.log('warn', `Discord rate limit hit on ${info.method.toUpperCase()} ${info.route}${info.global ? ' (global)' : ''}, waiting ${info.timeToReset}ms`);
             }
-        }, 20);
+        };
+        for (const [eventName, listener] of Object.entries(this.restListeners)) {
+            rest.on(eventName, listener);
+        }
+    }
 
-        // Process Google queue (100 requests per 100 seconds)
-        setInterval(() => {
-            if (Date.now() > this.googleRateLimit.resetTime) {
-                this.googleRateLimit.requests = 0;
-                this.googleRateLimit.resetTime = Date.now() + 100000;
+    stopRateLimitProcessor() {
+        if (this.restListeners) {
+            for (const [eventName, listener] of Object.entries(this.restListeners)) {
+                this.client.rest.off(eventName, listener);
             }
+            this.restListeners = null;
+        }
+        this.discordQueue.stop();
+        this.googleQueue.stop();
+    }
 
-            while (this.googleQueue.length > 0 && this.googleRateLimit.requests < 100) {
-                const { fn, resolve, reject } = this.googleQueue.shift();
-                this.googleRateLimit.requests++;
-                fn().then(resolve).catch(reject);
-            }
-        }, 1000);
+    // Bound so the request keeps the caller's correlation ID when the queue runs it
+    async queueDiscordRequest(fn, bucket = null) {
+        return await this.discordQueue.schedule(AsyncResource.bind(() => this.trackApiRequest('discord', fn)), bucket);
     }
 
-    async queueDiscordRequest(fn) {
-        return new Promise((resolve, reject) => {
-            this.discordQueue.push({ fn, resolve, reject });
-        });
+    async queueGoogleRequest(fn, bucket = null) {
+        return await this.googleQueue.schedule(AsyncResource.bind(() => this.trackApiRequest('google', fn)), bucket);
     }
 
-    async queueGoogleRequest(fn) {
-        return new Promise((resolve, reject) => {
-            this.googleQueue.push({ fn, resolve, reject });
-        });
+    // Counts failed requests for /metrics and remembers whether the API works for /ready
+    async trackApiRequest(api, fn) {
+        try {
+            const result = await fn();
+            this.metrics.recordApiSuccess(api);
+            return result;
+        } catch (error) {
+            this.metrics.recordApiError(api, error);
+            throw error;
+        }
     }
 
-    async retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
+    // Retries what can succeed later: rate limits after the delay the API asked
+    // for, other transient errors with exponential backoff and jitter. Errors
+    // such as validation failures are thrown straight away.
+    async retryOperation(operation, maxRetries = this.config.retry.maxRetries, baseDelay = this.config.retry.baseDelayMs) {
+        const { maxDelayMs } = this.config.retry;
+
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
                 return await operation();
             } catch (error) {
-                if (attempt === maxRetries) {
+                const { type, retryAfterMs } = classifyError(error);
+                if (type === 'permanent' || attempt === maxRetries) {
                     throw error;
                 }
 
-                const delay = baseDelay * Math.pow(2, attempt - 1);
-                this.log('warn', `Attempt ${attempt} failed, retrying in ${delay}ms`, error);
+                const backoff = Math.min(maxDelayMs, baseDelay * Math.pow(2, attempt - 1));
+                const delay = type === 'rate-limit' && retryAfterMs !== null
+                    ? Math.min(maxDelayMs, retryAfterMs)
+                    : Math.round(backoff / 2 + Math.random() * backoff / 2);
+                this.metrics.recordRetry();
+                this.log('warn', `Attempt ${attempt} failed (${type}), retrying in ${delay}ms`, error);
                 await new Promise(resolve => setTimeout(resolve, delay));
             }
         }
     }
 
     async setupGoogleAuth() {
-        await this.retryOperation(async () => {
-            try {
-                const credentials = JSON.parse(await fs.readFile('credentials.json', 'utf8'));
+        try {
+            const { auth, description } = await createGoogleAuth(this.config.google, (level, message, error) => this.log(level, message, error));
 
-                this.auth = new google.auth.GoogleAuth({
-                    credentials: credentials,
-                    scopes: ['https://www.googleapis.com/auth/calendar']
-                });
+            // Fetching a token shows straight away whether the credentials work
+            await this.retryOperation(() => auth.getAccessToken());
 
-                this.calendar = google.calendar({ version: 'v3', auth: this.auth });
-                this.log('info', 'Google Calendar API initialized');
-            } catch (error) {
-                this.log('error', 'Failed to setup Google Auth', error);
-                throw error;
-            }
-        });
+            this.auth = auth;
+            this.useCalendar(google.calendar({ version: 'v3', auth }));
+            this.log('info', `Google Calendar API initialized with ${description}`);
+        } catch (error) {
+            this.log('error', 'Failed to setup Google Auth', error);
+            throw error;
+        }
+    }
+
+    useCalendar(calendar) {
+        this.calendar = this.dryRun ? this.dryRun.wrapCalendar(calendar) : calendar;
     }
 
     setupDiscordEvents() {
@@ -177,100 +326,418 @@ class CalendarSyncBot {
             this.log('info', `Bot logged in as ${this.client.user.tag}`);
             this.log('info', `Bot is in ${this.client.guilds.cache.size} guilds`);
 
-            const guild = this.client.guilds.cache.get(this.config.discord.guildId);
-            if (guild) {
-                this.log('info', `Found target guild: ${guild.name}`);
-                this.log('info', `Guild has ${guild.scheduledEvents.cache.size} scheduled events`);
-            } else {
-                this.log('error', `Target guild not found: ${this.config.discord.guildId}`);
+            for (const pair of this.syncPairs.values()) {
+                const guild = this.client.guilds.cache.get(pair.guildId);
+                if (guild && this.dryRun) {
+                    this.dryRun.wrapGuild(guild);
+                }
+                if (guild) {
+                    this.log('info', `[${pair.id}] Found target guild: ${guild.name}`);
+                    this.log('info', `[${pair.id}] Guild has ${guild.scheduledEvents.cache.size} scheduled events`);
+                } else {
+                    this.log('error', `[${pair.id}] Target guild not found: ${pair.guildId}`);
+                }
+            }
+
+            // --dry-run: plan one sync of every pair, then exit
+            if (this.config.dryRun.once) {
+                this.runDryRun()
+                    .catch(error => this.log('error', 'Dry run failed', error))
+                    .finally(async () => {
+                        await this.stop();
+                        process.exit(0);
+                    });
+                return;
+            }
+
+            if (this.config.discord.slashCommandsEnabled) {
+                const guildIds = new Set(Array.from(this.syncPairs.values()).map(pair => pair.guildId));
+                for (const guildId of guildIds) {
+                    const guild = this.client.guilds.cache.get(guildId);
+                    if (guild) {
+                        this.syncCommands.register(guild);
+                    }
+                }
             }
 
             this.startSyncSchedule();
+            // Reminders and status changes happen on their own clock, not in a
+            // sync, so a dry run does not plan them minute by minute
+            if (!this.dryRun) {
+                this.announcer.start();
+                this.lifecycle.start();
+                this.push.start().catch(error => this.log('error', 'Failed to start Google push notifications', error));
+            }
         });
 
         this.client.on('error', (error) => {
             this.log('error', 'Discord client error', error);
         });
 
-        this.client.on('rateLimit', (rateLimitData) => {
-            this.log('warn', `Discord rate limit hit: ${rateLimitData.timeout}ms timeout`);
+        this.client.on('interactionCreate', (interaction) => {
+            this.logger.runWithCorrelation(createCorrelationId('command'), () => this.syncCommands.handle(interaction));
         });
 
         // Listen for Discord scheduled events changes
         this.client.on('guildScheduledEventCreate', (event) => {
-            this.log('debug', `Discord event created: ${event.name} (ID: ${event.id})`);
-            this.handleDiscordEventCreate(event);
+            this.runGatewayEvent(event, `Discord event created: ${event.name}`, () => this.handleDiscordEventCreate(event));
         });
 
         this.client.on('guildScheduledEventUpdate', (oldEvent, newEvent) => {
-            this.log('debug', `Discord event updated: ${newEvent.name} (ID: ${newEvent.id})`);
-            this.handleDiscordEventUpdate(oldEvent, newEvent);
+            this.runGatewayEvent(newEvent, `Discord event updated: ${newEvent.name}`, () => this.handleDiscordEventUpdate(oldEvent, newEvent));
         });
 
         this.client.on('guildScheduledEventDelete', (event) => {
-            this.log('debug', `Discord event deleted: ${event.name} (ID: ${event.id})`);
-            this.handleDiscordEventDelete(event);
+            this.runGatewayEvent(event, `Discord event deleted: ${event.name}`, () => this.handleDiscordEventDelete(event));
+        });
+
+        // Members marking events as interested
+        this.client.on('guildScheduledEventUserAdd', (event, user) => {
+            this.runGatewayEvent(event, `${user.tag || user.id} is interested in Discord event: ${event.name}`, () => this.attendeeSync.setAttendance(event, user, true));
+        });
+
+        this.client.on('guildScheduledEventUserRemove', (event, user) => {
+            this.runGatewayEvent(event, `${user.tag || user.id} is no longer interested in Discord event: ${event.name}`, () => this.attendeeSync.setAttendance(event, user, false));
         });
     }
 
     startSyncSchedule() {
-        // Sync every 5 minutes
-        cron.schedule('*/5 * * * *', () => {
-            this.syncCalendarToDiscord();
+        for (const pair of this.syncPairs.values()) {
+            pair.cronTasks = pair.syncSchedule.map(expression => cron.schedule(expression, () => {
+                this.runScheduledSync(pair);
+            }));
+            this.log('info', `[${pair.id}] Sync scheduled: ${pair.syncSchedule.join(', ')}`);
+
+            // Initial sync
+            this.syncCalendarToDiscord(pair);
+        }
+    }
+
+    // Overlapping schedules may fire in the same minute; sync only once. While push
+    // notifications arrive for the pair, polling only runs as an occasional safety net.
+    runScheduledSync(pair) {
+        const minute = Math.floor(Date.now() / 60000);
+        if (pair.lastScheduledRun === minute) {
+            return;
+        }
+
+        const lastStartedAt = pair.stats.lastSyncStartedAt ? new Date(pair.stats.lastSyncStartedAt).getTime() : 0;
+        if (this.push.isActive(pair) && Date.now() - lastStartedAt < this.config.push.pollIntervalMinutes * 60 * 1000) {
+            return;
+        }
+
+        pair.lastScheduledRun = minute;
+        this.syncCalendarToDiscord(pair);
+    }
+
+    // Handles a gateway event under its own correlation ID, or under the one of the
+    // sync run or handler whose write to this Discord event caused it
+    runGatewayEvent(discordEvent, label, fn) {
+        const correlationId = this.logger.recallCorrelation(discordEvent.id) || createCorrelationId('discord');
+        return this.logger.runWithCorrelation(correlationId, () => {
+            this.log('debug', `${label} (ID: ${discordEvent.id})`);
+            return this.runPlanned(label, fn);
         });
+    }
 
-        // Initial sync
-        this.syncCalendarToDiscord();
+    // Runs fn as is, or in dry-run mode reports the changes it planned and then
+    // puts every pair back the way it was, so each run plans against the real state
+    async runPlanned(label, fn) {
+        if (!this.dryRun) {
+            return await fn();
+        }
+
+        const snapshots = Array.from(this.syncPairs.values()).map(pair => [pair, pair.toSnapshot()]);
+        try {
+            return await fn();
+        } finally {
+            for (const [pair, snapshot] of snapshots) {
+                pair.loadSnapshot(snapshot);
+            }
+            await this.dryRun.report(label, { log: (level, message) => this.log(level, message), outputFile: this.config.dryRun.outputFile });
+        }
     }
 
-    async syncCalendarToDiscord() {
-        await this.retryOperation(async () => {
-            try {
-                this.log('info', 'Starting calendar sync...');
+    async runDryRun() {
+        this.log('info', '[dry run] Planning one sync of every pair; nothing is changed in Discord or Google Calendar');
+        await this.syncAllPairs();
+        if (this.config.discord.statusSyncEnabled) {
+            await this.runPlanned('Event status', () => this.lifecycle.advanceEvents());
+        }
+        if (this.config.dryRun.outputFile) {
+            this.log('info', `[dry run] Plan written to ${this.config.dryRun.outputFile}`);
+        }
+    }
 
-                const calendarEvents = await this.getUpcomingCalendarEvents();
+    async syncAllPairs() {
+        for (const pair of this.syncPairs.values()) {
+            await this.syncCalendarToDiscord(pair);
+        }
+    }
 
-                const guild = this.client.guilds.cache.get(this.config.discord.guildId);
-                if (!guild) {
-                    throw new Error('Guild not found');
-                }
+    async syncCalendarToDiscord(pair) {
+        return await this.logger.runWithCorrelation(createCorrelationId('sync'), () =>
+            this.runPlanned(`Sync of ${pair.id}`, () => this.runCalendarSync(pair))
+        );
+    }
+
+    async runCalendarSync(pair) {
+        if (pair.paused) {
+            this.log('debug', `[${pair.id}] Sync paused, skipping`);
+            return;
+        }
+
+        // Skip if the previous run for this pair is still going
+        if (pair.syncing) {
+            this.log('warn', `[${pair.id}] Previous sync still running, skipping`);
+            return;
+        }
 
-                for (const calEvent of calendarEvents) {
-                    await this.processCalendarEvent(guild, calEvent);
+        pair.syncing = true;
+        const startedAt = Date.now();
+        pair.stats.lastSyncStartedAt = new Date(startedAt).toISOString();
+
+        try {
+            await this.retryOperation(async () => {
+                try {
+                    this.log('info', `[${pair.id}] Starting calendar sync...`);
+
+                    const guild = this.client.guilds.cache.get(pair.guildId);
+                    if (!guild) {
+                        throw new Error(`Guild not found: ${pair.guildId}`);
+                    }
+
+                    this.deletionGuard.purgeTrash(pair);
+
+                    const { events, fullSync, nextSyncToken } = await this.fetchCalendarChanges(pair);
+                    const { timeMin, timeMax } = this.getSyncWindow(pair);
+                    const removedEventIds = [];
+                    const cancelledEventIds = [];
+                    const seriesInstances = new Map();
+
+                    for (const calEvent of events) {
+                        // Instances of recurring events are handled per series below
+                        if (isRecurringInstance(calEvent)) {
+                            if (!seriesInstances.has(calEvent.recurringEventId)) {
+                                seriesInstances.set(calEvent.recurringEventId, []);
+                            }
+                            seriesInstances.get(calEvent.recurringEventId).push(calEvent);
+                            continue;
+                        }
+
+                        // Cancelled events only show up in incremental results
+                        if (calEvent.status === 'cancelled') {
+                            removedEventIds.push(calEvent.id);
+                            cancelledEventIds.push(calEvent.id);
+                            continue;
+                        }
+
+                        // Events that moved out of the window are not created in Discord, but
+                        // ones already there stay (and keep being updated) until they end
+                        if (!this.isInSyncWindow(calEvent, timeMin, timeMax) &&
+                            (!pair.googleToDiscordMap.has(calEvent.id) || this.getEventEnd(calEvent) <= timeMin)) {
+                            removedEventIds.push(calEvent.id);
+                            continue;
+                        }
+
+                        if (this.skipFilteredEvent(pair, calEvent, removedEventIds)) {
+                            continue;
+                        }
+
+                        await this.processCalendarEvent(pair, guild, calEvent);
+                    }
+
+                    // Incremental results only hold the instances that changed, and a series
+                    // whose shown instance has ended must roll on even when nothing changed
+                    if (!fullSync) {
+                        for (const seriesId of new Set([...seriesInstances.keys(), ...pair.getEndedSeries()])) {
+                            seriesInstances.set(seriesId, await this.getSeriesInstances(pair, seriesId));
+                        }
+                    }
+
+                    // Discord shows each series as a single event for its next instance
+                    for (const [seriesId, instances] of seriesInstances) {
+                        const instance = pickCurrentInstance(instances);
+                        if (!instance || !this.isInSyncWindow(instance, timeMin, timeMax)) {
+                            removedEventIds.push(seriesId);
+                            continue;
+                        }
+
+                        if (this.skipFilteredEvent(pair, instance, removedEventIds)) {
+                            continue;
+                        }
+
+                        await this.processCalendarEvent(pair, guild, instance);
+                    }
+
+                    const deletionsAllowed = fullSync
+                        ? await this.cleanupDeletedEvents(pair, guild, events, removedEventIds)
+                        : await this.deleteMappedDiscordEvents(pair, guild, removedEventIds, cancelledEventIds);
+
+                    // Refused deletions are looked at again next run, so an approval can take effect
+                    if (deletionsAllowed) {
+                        if (fullSync) {
+                            pair.lastFullSyncAt = new Date().toISOString();
+                        }
+                        pair.syncToken = nextSyncToken || null;
+                    }
+                    pair.stats.lastSyncType = fullSync ? 'full' : 'incremental';
+                    await this.saveEventMappings();
+
+                    this.log('info', `[${pair.id}] ${fullSync ? 'Full' : 'Incremental'} calendar sync completed - processed ${events.length} events`);
+                } catch (error) {
+                    this.log('error', `[${pair.id}] Sync failed`, error);
+                    throw error;
                 }
+            });
 
-                await this.cleanupDeletedEvents(guild, calendarEvents);
-                await this.saveEventMappings();
+            pair.stats.syncCount++;
+            pair.stats.lastSyncCompletedAt = new Date().toISOString();
+            pair.stats.lastError = null;
+        } catch (error) {
+            pair.stats.failedSyncs++;
+            pair.stats.lastError = error.message;
+        } finally {
+            pair.stats.lastSyncDurationMs = Date.now() - startedAt;
+            this.metrics.observeSyncDuration(pair.id, pair.stats.lastSyncDurationMs / 1000);
+            pair.syncing = false;
+        }
+    }
+
+    // Events are synced from lookbackHours ago (by end time) to lookaheadDays ahead (by start time)
+    getSyncWindow(pair) {
+        const now = Date.now();
+
+        return {
+            timeMin: new Date(now - pair.lookbackHours * 60 * 60 * 1000),
+            timeMax: new Date(now + pair.lookaheadDays * 24 * 60 * 60 * 1000)
+        };
+    }
+
+    getEventEnd(calEvent) {
+        return new Date(calEvent.end.dateTime || calEvent.end.date);
+    }
+
+    isInSyncWindow(calEvent, timeMin, timeMax) {
+        const startTime = new Date(calEvent.start.dateTime || calEvent.start.date);
+
+        return this.getEventEnd(calEvent) > timeMin && startTime < timeMax;
+    }
 
-                this.log('info', `Calendar sync completed - processed ${calendarEvents.length} events`);
+    // Google events excluded by the pair's filter rules lose their Discord event,
+    // unless that event was created in Discord in the first place
+    skipFilteredEvent(pair, calEvent, removedEventIds) {
+        if (pair.filter.allowsGoogleEvent(calEvent)) {
+            return false;
+        }
+
+        this.log('debug', `[${pair.id}] Filtered out Google event: ${calEvent.summary}`);
+
+        const seriesKey = getSeriesKey(calEvent);
+        if (pair.getMetadata(seriesKey)?.origin !== 'discord') {
+            removedEventIds.push(seriesKey);
+        }
+        return true;
+    }
+
+    needsFullSync(pair) {
+        if (!pair.syncToken || !pair.lastFullSyncAt) {
+            return true;
+        }
+
+        const fullResyncMs = this.config.google.fullResyncHours * 60 * 60 * 1000;
+        return Date.now() - new Date(pair.lastFullSyncAt).getTime() > fullResyncMs;
+    }
+
+    // Returns only the events changed since the last sync, or the whole window
+    // when there is no usable sync token yet
+    async fetchCalendarChanges(pair) {
+        if (!this.needsFullSync(pair)) {
+            try {
+                const { items, nextSyncToken } = await this.listCalendarEvents(pair, {
+                    syncToken: pair.syncToken
+                });
+
+                this.log('debug', `[${pair.id}] Retrieved ${items.length} changed calendar events`);
+                return { events: items, fullSync: false, nextSyncToken };
             } catch (error) {
-                this.log('error', 'Sync failed', error);
-                throw error;
+                // 410 Gone: the sync token expired and a full sync is required
+                if (error.code !== 410 && error.response?.status !== 410) {
+                    throw error;
+                }
+
+                this.log('warn', `[${pair.id}] Sync token expired, falling back to full sync`);
+                pair.resetSyncToken();
             }
+        }
+
+        const { items, nextSyncToken } = await this.getUpcomingCalendarEvents(pair);
+        return { events: items, fullSync: true, nextSyncToken };
+    }
+
+    async getUpcomingCalendarEvents(pair) {
+        const { timeMin, timeMax } = this.getSyncWindow(pair);
+
+        const result = await this.listCalendarEvents(pair, {
+            timeMin: timeMin.toISOString(),
+            timeMax: timeMax.toISOString()
         });
+
+        this.log('debug', `[${pair.id}] Retrieved ${result.items.length} calendar events`);
+        return result;
     }
 
-    async getUpcomingCalendarEvents() {
-        return await this.queueGoogleRequest(async () => {
-            const now = new Date();
-            const oneMonthLater = new Date();
-            oneMonthLater.setMonth(now.getMonth() + 1);
-
-            const response = await this.calendar.events.list({
-                calendarId: this.config.google.calendarId,
-                timeMin: now.toISOString(),
-                timeMax: oneMonthLater.toISOString(),
-                singleEvents: true,
-                orderBy: 'startTime',
-            });
+    // Follows pagination until Google hands out the next sync token.
+    // orderBy is not allowed when a sync token is requested.
+    async listCalendarEvents(pair, params) {
+        const items = [];
+        let pageToken;
+        let nextSyncToken = null;
+
+        do {
+            const response = await this.queueGoogleRequest(async () => {
+                return await this.calendar.events.list({
+                    calendarId: pair.calendarId,
+                    singleEvents: true,
+                    ...params,
+                    pageToken
+                });
+            }, pair.calendarId);
+
+            items.push(...(response.data.items || []));
+            pair.calendarTimeZone = response.data.timeZone || pair.calendarTimeZone;
+            pair.calendarName = response.data.summary || pair.calendarName;
+            pageToken = response.data.nextPageToken;
+            nextSyncToken = response.data.nextSyncToken || nextSyncToken;
+        } while (pageToken);
+
+        return { items, nextSyncToken };
+    }
 
-            this.log('debug', `Retrieved ${response.data.items?.length || 0} calendar events`);
+    // Upcoming instances of a recurring series; empty once the series is gone
+    async getSeriesInstances(pair, seriesId) {
+        try {
+            const response = await this.queueGoogleRequest(async () => {
+                return await this.calendar.events.instances({
+                    calendarId: pair.calendarId,
+                    eventId: seriesId,
+                    timeMin: new Date().toISOString(),
+                    maxResults: 10
+                });
+            }, pair.calendarId);
             return response.data.items || [];
-        });
+        } catch (error) {
+            const status = error.code || error.response?.status;
+            if (status === 404 || status === 410) {
+                return [];
+            }
+            throw error;
+        }
     }
 
-    async processCalendarEvent(guild, calEvent) {
-        const syncKey = `google_process_${calEvent.id}`;
+    async processCalendarEvent(pair, guild, calEvent) {
+        const seriesKey = getSeriesKey(calEvent);
+        const syncKey = `google_process_${pair.id}_${seriesKey}`;
 
         // Prevent sync loops
         if (this.currentlySyncing.has(syncKey)) {
@@ -281,17 +748,22 @@ class CalendarSyncBot {
 
         try {
             await this.retryOperation(async () => {
-                const existingDiscordEventId = this.googleToDiscordMap.get(calEvent.id);
+                const existingDiscordEventId = pair.googleToDiscordMap.get(seriesKey);
 
                 this.log('debug', `Processing Google event: ${calEvent.summary}`);
                 this.log('debug', `Existing Discord event ID: ${existingDiscordEventId}`);
 
-                if (existingDiscordEventId) {
+                if (existingDiscordEventId && pair.isUnchanged(calEvent)) {
+                    this.log('debug', `Skipping unchanged Google event: ${calEvent.summary}`);
+                } else if (existingDiscordEventId) {
                     this.log('info', `Updating existing Discord event: ${calEvent.summary}`);
-                    await this.updateDiscordEvent(guild, existingDiscordEventId, calEvent);
+                    await this.updateDiscordEvent(pair, guild, existingDiscordEventId, calEvent);
+                } else if (this.getDiscordTimes(pair, calEvent).start <= new Date()) {
+                    // Discord only accepts new events that start in the future
+                    this.log('debug', `Skipping ${calEvent.summary} - already started`);
                 } else {
                     this.log('info', `Creating new Discord event: ${calEvent.summary}`);
-                    await this.createDiscordEvent(guild, calEvent);
+                    await this.createDiscordEvent(pair, guild, calEvent);
                 }
             });
         } finally {
@@ -299,39 +771,164 @@ class CalendarSyncBot {
         }
     }
 
-    async createDiscordEvent(guild, calEvent) {
+    // The synced Discord fields for a Google event, usable as create or edit payload
+    buildDiscordEventData(pair, calEvent) {
+        const { start, end } = this.getDiscordTimes(pair, calEvent);
+        const values = this.getGoogleTemplateValues(pair, calEvent);
+        const { discord: templates } = pair.templates;
+
+        return {
+            name: truncate(pair.labelName(renderTemplate(templates.name, values) || values.summary), MAX_NAME_LENGTH),
+            // Long Google descriptions are shortened so the rest of the template still fits
+            description: renderWithin(templates.description, values, 'description', MAX_DESCRIPTION_LENGTH),
+            scheduledStartTime: start,
+            scheduledEndTime: end,
+            ...this.toDiscordLocation(pair, this.getDiscordLocation(pair, calEvent, values))
+        };
+    }
+
+    // Placeholder values of the pair's Discord templates for a Google event
+    getGoogleTemplateValues(pair, calEvent) {
+        // RSVPs of the Google attendees, including members added from Discord
+        const responses = this.config.attendees.enabled && this.config.attendees.showResponses
+            ? formatResponseSummary(calEvent.attendees)
+            : null;
+
+        return {
+            summary: calEvent.summary || 'Untitled Event',
+            description: htmlToMarkdown(calEvent.description || ''),
+            location: calEvent.location || '',
+            link: calEvent.htmlLink || '',
+            meetLink: getConferenceLink(calEvent) || '',
+            organizer: calEvent.organizer?.displayName || calEvent.organizer?.email || '',
+            attendees: formatAttendeeList(calEvent.attendees),
+            calendar: pair.calendarName || pair.calendarId,
+            label: pair.label || '',
+            recurring: isRecurringInstance(calEvent) ? '🔁 Recurring event' : '',
+            responses: responses || ''
+        };
+    }
+
+    // Synced location for a Google event: a voice/stage channel picked by the
+    // pair's channel rules, else the location template, else the video conference
+    // link, else the pair's default channel or location
+    getDiscordLocation(pair, calEvent, values) {
+        const guild = this.client.guilds.cache.get(pair.guildId);
+        const channel = guild && pair.channelMapper.findChannel(guild, pair.calendarId, calEvent);
+        if (channel) {
+            return toChannelMention(channel.id);
+        }
+
+        const location = renderTemplate(pair.templates.discord.location, values) || values.meetLink;
+        if (!location && pair.defaultChannelId && isEventChannel(guild?.channels.cache.get(pair.defaultChannelId))) {
+            return toChannelMention(pair.defaultChannelId);
+        }
+
+        return (location || pair.defaultLocation || 'See calendar for details').substring(0, MAX_LOCATION_LENGTH);
+    }
+
+    // Create/edit payload fields for a synced location
+    toDiscordLocation(pair, location) {
+        const channelId = getMentionedChannelId(location);
+        const channel = channelId && this.client.guilds.cache.get(pair.guildId)?.channels.cache.get(channelId);
+
+        if (channel) {
+            return { entityType: getChannelEntityType(channel), channelId, entityMetadata: null };
+        }
+        return { entityType: GuildScheduledEventEntityType.External, channelId: null, entityMetadata: { location } };
+    }
+
+    // Channel events have no location text; Google gets the channel name and a jump link
+    toGoogleLocation(pair, location) {
+        const channelId = getMentionedChannelId(location);
+        const channel = channelId && this.client.guilds.cache.get(pair.guildId)?.channels.cache.get(channelId);
+
+        return channel ? formatChannelLocation(channel) : location;
+    }
+
+    // Time zone an event's dates are read in: the event's own, then the calendar's
+    getTimeZone(pair, calEvent = null) {
+        return calEvent?.start?.timeZone || pair.calendarTimeZone || this.config.time.defaultTimeZone;
+    }
+
+    // Discord has no all-day events. All-day and multi-day Google events run from
+    // the configured start time on the first day to the end time on the last day.
+    getDiscordTimes(pair, calEvent) {
+        if (!calEvent.start.date) {
+            return { start: new Date(calEvent.start.dateTime), end: new Date(calEvent.end.dateTime) };
+        }
+
+        const timeZone = this.getTimeZone(pair, calEvent);
+        const { allDayStartTime, allDayEndTime } = this.config.time;
+
+        return {
+            start: zonedTimeToDate(calEvent.start.date, allDayStartTime, timeZone),
+            // Google's end date is exclusive
+            end: zonedTimeToDate(addDays(calEvent.end.date, -1), allDayEndTime, timeZone)
+        };
+    }
+
+    // Google start/end for Discord times. With `allDay` set, times that span the
+    // configured all-day hours go back to Google as all-day dates.
+    toGoogleTimes(pair, startTime, endTime, allDay) {
+        const timeZone = this.getTimeZone(pair);
+        const { allDayStartTime, allDayEndTime } = this.config.time;
+
+        if (allDay && toZonedTimeString(startTime, timeZone) === allDayStartTime &&
+            toZonedTimeString(endTime, timeZone) === allDayEndTime) {
+            return {
+                start: { date: toZonedDateString(startTime, timeZone) },
+                end: { date: addDays(toZonedDateString(endTime, timeZone), 1) }
+            };
+        }
+
+        return {
+            start: { dateTime: new Date(startTime).toISOString(), timeZone },
+            end: { dateTime: new Date(endTime).toISOString(), timeZone }
+        };
+    }
+
+    // `preloadedCover` is the cover when the caller has loaded it already
+    async createDiscordEvent(pair, guild, calEvent, preloadedCover) {
+        // Loaded before queueing, so a slow download does not hold up other Discord requests
+        const cover = preloadedCover !== undefined ? preloadedCover : await this.covers.getCoverChange(pair, calEvent);
+
         return await this.queueDiscordRequest(async () => {
             try {
-                const startTime = new Date(calEvent.start.dateTime || calEvent.start.date);
-                const endTime = new Date(calEvent.end.dateTime || calEvent.end.date);
-
                 // Pre-add to currently syncing BEFORE creating the Discord event
                 // This prevents the Discord event listener from immediately triggering
                 const tempDiscordId = `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
                 const discordSyncKey = `discord_create_${tempDiscordId}`;
                 this.currentlySyncing.add(discordSyncKey);
 
+                const eventData = this.buildDiscordEventData(pair, calEvent);
                 const discordEvent = await guild.scheduledEvents.create({
-                    name: calEvent.summary || 'Untitled Event',
-                    description: this.formatEventDescription(calEvent),
-                    scheduledStartTime: startTime,
-                    scheduledEndTime: endTime,
+                    ...eventData,
+                    // discord.js takes the voice or stage channel as `channel`
+                    channel: eventData.channelId,
                     privacyLevel: 2, // GUILD_ONLY
-                    entityType: 3, // EXTERNAL (since it's from Google Calendar)
-                    entityMetadata: {
-                        location: calEvent.location || 'See calendar for details'
-                    }
+                    ...(cover?.image && { image: cover.image })
                 });
 
+                this.logger.rememberCorrelation(discordEvent.id);
+
                 // Now add the real Discord event ID to syncing protection
                 const realDiscordSyncKey = `discord_create_${discordEvent.id}`;
                 this.currentlySyncing.add(realDiscordSyncKey);
                 this.currentlySyncing.delete(discordSyncKey); // Remove temp key
 
                 // Store bidirectional mapping IMMEDIATELY
-                this.googleToDiscordMap.set(calEvent.id, discordEvent.id);
-                this.discordToGoogleMap.set(discordEvent.id, calEvent.id);
+                const seriesKey = getSeriesKey(calEvent);
+                pair.setMapping(seriesKey, discordEvent.id, 'google');
+                pair.markSynced(calEvent);
+                pair.trackInstance(calEvent);
+                pair.setFingerprint(seriesKey, createFingerprint(getDiscordFields(discordEvent)));
+                if (cover) {
+                    this.covers.remember(pair, seriesKey, cover.source, discordEvent.image, cover.failed);
+                }
+                pair.recordChange('googleToDiscord', 'created');
 
+                await this.announcer.eventCreated(pair, seriesKey, discordEvent);
                 await this.saveEventMappings();
 
                 // Remove from syncing after a delay
@@ -345,91 +942,269 @@ class CalendarSyncBot {
                 this.log('error', `Failed to create Discord event for ${calEvent.summary}`, error);
                 throw error;
             }
-        });
+        }, `/guilds/${guild.id}`);
     }
 
-    async updateDiscordEvent(guild, discordEventId, calEvent) {
+    async updateDiscordEvent(pair, guild, discordEventId, calEvent) {
+        const seriesKey = getSeriesKey(calEvent);
+        const isReplaced = discordEvent => !discordEvent ||
+            discordEvent.status === GuildScheduledEventStatus.Completed || discordEvent.status === GuildScheduledEventStatus.Canceled;
+
+        // Loaded before queueing, so a slow download does not hold up other Discord
+        // requests. A Discord event that is replaced by a new one needs the whole cover.
+        const replacing = isReplaced(guild.scheduledEvents.cache.get(discordEventId));
+        const cover = await this.covers.getCoverChange(pair, calEvent, replacing ? null : pair.getMetadata(seriesKey)?.cover);
+        const newEventCover = replacing ? cover : undefined;
+
         return await this.queueDiscordRequest(async () => {
             try {
                 const discordEvent = guild.scheduledEvents.cache.get(discordEventId);
                 if (!discordEvent) {
                     // Clean up broken mappings
-                    this.googleToDiscordMap.delete(calEvent.id);
-                    this.discordToGoogleMap.delete(discordEventId);
+                    pair.removeMapping(seriesKey, discordEventId);
                     this.log('warn', `Discord event ${discordEventId} no longer exists, creating new one`);
-                    await this.createDiscordEvent(guild, calEvent);
+                    await this.createDiscordEvent(pair, guild, calEvent, newEventCover);
                     return;
                 }
 
-                const startTime = new Date(calEvent.start.dateTime || calEvent.start.date);
-                const endTime = new Date(calEvent.end.dateTime || calEvent.end.date);
+                // An ended or cancelled Discord event can no longer be edited; the next
+                // instance of a series, or an event moved to a later time, gets a fresh one
+                if (isReplaced(discordEvent)) {
+                    if (this.getDiscordTimes(pair, calEvent).start <= new Date()) {
+                        this.log('debug', `Discord event ${discordEvent.name} is over, ignoring changes to ${calEvent.summary}`);
+                        pair.markSynced(calEvent);
+                        return;
+                    }
+
+                    pair.removeMapping(seriesKey, discordEventId);
+                    this.log('info', `Discord event ${discordEvent.name} is over, creating a new one for ${calEvent.summary}`);
+                    await this.createDiscordEvent(pair, guild, calEvent, newEventCover);
+                    return;
+                }
 
-                await discordEvent.edit({
-                    name: calEvent.summary || 'Untitled Event',
-                    description: this.formatEventDescription(calEvent),
-                    scheduledStartTime: startTime,
-                    scheduledEndTime: endTime,
-                    entityMetadata: {
-                        location: calEvent.location || 'See calendar for details'
+                // A series moving on to its next instance is not announced as a change
+                const previousInstanceId = pair.getMetadata(seriesKey)?.recurrence?.instanceId;
+                const rolledOver = isRecurringInstance(calEvent) && !!previousInstanceId && previousInstanceId !== calEvent.id;
+                pair.trackInstance(calEvent);
+
+                const eventData = this.buildDiscordEventData(pair, calEvent);
+                const desiredFields = this.maskRecurringTimes(discordEvent, getDiscordFields(eventData));
+                const currentFields = this.maskRecurringTimes(discordEvent, getDiscordFields(discordEvent));
+
+                // Discord was edited since the last sync without reaching Google
+                const baseline = pair.getFingerprint(seriesKey);
+                const discordChanged = baseline ? diffFingerprints(baseline, createFingerprint(currentFields)) : [];
+                if (discordChanged.length > 0) {
+                    if (diffFingerprints(baseline, createFingerprint(desiredFields)).length > 0) {
+                        await this.resolveEventConflict(pair, discordEvent, calEvent);
+                    } else {
+                        await this.updateGoogleCalendarEvent(pair, discordEvent, discordChanged);
                     }
-                });
+                    return;
+                }
+
+                // Compare against what Discord currently has and only send the differences
+                const changedFields = diffFields(currentFields, desiredFields);
+
+                pair.markSynced(calEvent);
+                pair.setFingerprint(seriesKey, createFingerprint(desiredFields));
+
+                // The Discord event keeps its cover when the new one cannot be loaded
+                if (cover?.failed) {
+                    this.covers.remember(pair, seriesKey, cover.source, discordEvent.image, true);
+                }
+                const coverChange = cover?.failed ? null : cover;
 
-                this.log('info', `Updated Discord event: ${calEvent.summary}`);
+                if (changedFields.length === 0 && !coverChange) {
+                    this.log('debug', `No synced fields changed for Discord event: ${calEvent.summary}`);
+                    return;
+                }
+
+                const payload = this.pickDiscordEventFields(eventData, changedFields);
+                // Discord does not allow moving the start of an event that is under way
+                if (discordEvent.status === GuildScheduledEventStatus.Active) {
+                    delete payload.scheduledStartTime;
+                }
+                if (coverChange) {
+                    payload.image = coverChange.image;
+                }
+
+                this.logger.rememberCorrelation(discordEvent.id);
+                const updatedEvent = await discordEvent.edit(payload);
+                if (coverChange) {
+                    this.covers.remember(pair, seriesKey, coverChange.source, (updatedEvent || discordEvent).image);
+                }
+
+                if (!rolledOver && changedFields.length > 0) {
+                    await this.announcer.eventChanged(pair, seriesKey, updatedEvent || discordEvent, changedFields);
+                }
+
+                const changes = coverChange ? [...changedFields, 'cover'] : changedFields;
+                pair.recordChange('googleToDiscord', 'updated');
+                this.log('info', `Updated Discord event: ${calEvent.summary} (changed: ${changes.join(', ')})`);
             } catch (error) {
                 this.log('error', `Failed to update Discord event for ${calEvent.summary}`, error);
                 throw error;
             }
-        });
+        }, `/guilds/${guild.id}`);
+    }
+
+    // Inverse of getDiscordFields
+    toDiscordEventData(pair, fields) {
+        return {
+            name: fields.name,
+            description: fields.description,
+            scheduledStartTime: new Date(fields.startTime),
+            scheduledEndTime: new Date(fields.endTime),
+            ...this.toDiscordLocation(pair, fields.location)
+        };
+    }
+
+    // Discord moves its own recurring events on to the next occurrence, so their
+    // times are left out of syncing and only the other fields are compared
+    maskRecurringTimes(discordEvent, fields) {
+        if (!discordEvent.recurrenceRule) {
+            return fields;
+        }
+        return { ...fields, startTime: null, endTime: null };
+    }
+
+    // A Google event's synced fields as they would appear in Discord
+    getGoogleFields(pair, calEvent) {
+        return getDiscordFields(this.buildDiscordEventData(pair, calEvent));
+    }
+
+    // Partial Discord edit payload. Start and end always travel together so
+    // Discord never sees an end time before the start time.
+    pickDiscordEventFields(eventData, changedFields) {
+        const payload = {};
+
+        if (changedFields.includes('name')) payload.name = eventData.name;
+        if (changedFields.includes('description')) payload.description = eventData.description;
+        if (changedFields.includes('startTime') || changedFields.includes('endTime')) {
+            payload.scheduledStartTime = eventData.scheduledStartTime;
+            payload.scheduledEndTime = eventData.scheduledEndTime;
+        }
+        if (changedFields.includes('location')) {
+            // Moving between a channel and an external location changes the entity
+            // type, and external events always need an end time
+            payload.entityType = eventData.entityType;
+            payload.channel = eventData.channelId;
+            payload.entityMetadata = eventData.entityMetadata;
+            payload.scheduledEndTime = eventData.scheduledEndTime;
+        }
+
+        return payload;
+    }
+
+    // Mapped events missing from a full listing were deleted, have ended or only
+    // moved out of the window. Those that moved stay in Discord until they end.
+    async cleanupDeletedEvents(pair, guild, currentCalendarEvents, removedEventIds = []) {
+        const currentCalendarEventIds = new Set(currentCalendarEvents.map(getSeriesKey));
+        removedEventIds.forEach(calEventId => currentCalendarEventIds.delete(calEventId));
+
+        const { timeMin } = this.getSyncWindow(pair);
+        const deletedEventIds = [];
+        const cancelledEventIds = [];
+
+        for (const calEventId of pair.googleToDiscordMap.keys()) {
+            if (currentCalendarEventIds.has(calEventId)) {
+                continue;
+            }
+
+            const reason = removedEventIds.includes(calEventId) ? 'removed' : await this.getRemovalReason(pair, calEventId, timeMin);
+            if (reason) {
+                deletedEventIds.push(calEventId);
+            }
+            if (reason === 'cancelled') {
+                cancelledEventIds.push(calEventId);
+            }
+        }
+
+        return await this.deleteMappedDiscordEvents(pair, guild, deletedEventIds, cancelledEventIds);
     }
 
-    async cleanupDeletedEvents(guild, currentCalendarEvents) {
-        const currentCalendarEventIds = new Set(currentCalendarEvents.map(e => e.id));
+    // Why a mapped event missing from a full listing is gone: 'ended', 'cancelled'
+    // (cancelled or deleted in Google) or null when it only moved out of the window
+    async getRemovalReason(pair, calEventId, timeMin) {
+        const metadata = pair.getMetadata(calEventId);
+        const endsAt = metadata?.recurrence?.instanceEnd || metadata?.endsAt;
+        if (endsAt && new Date(endsAt) <= timeMin) {
+            return 'ended';
+        }
 
+        try {
+            const calEvent = await this.getGoogleCalendarEvent(pair, calEventId);
+            return calEvent.status === 'cancelled' ? 'cancelled' : null;
+        } catch (error) {
+            const status = error.code || error.response?.status;
+            if (status === 404 || status === 410) {
+                return 'cancelled';
+            }
+            throw error;
+        }
+    }
+
+    // Removes the Discord events of Google events that are gone. Cancelled Google
+    // events cancel their Discord event instead, or end it if it is under way.
+    // Returns false when the deletion guard refused to delete that many events.
+    async deleteMappedDiscordEvents(pair, guild, calEventIds, cancelledEventIds = []) {
         const deletedEventIds = [];
-        for (const [calEventId, discordEventId] of this.googleToDiscordMap.entries()) {
-            if (!currentCalendarEventIds.has(calEventId)) {
+        for (const calEventId of calEventIds) {
+            const discordEventId = pair.googleToDiscordMap.get(calEventId);
+            if (discordEventId) {
                 deletedEventIds.push({ calEventId, discordEventId });
             }
         }
 
+        if (!await this.deletionGuard.allowDeletions(pair, deletedEventIds.map(({ calEventId }) => calEventId))) {
+            return false;
+        }
+
         for (const { calEventId, discordEventId } of deletedEventIds) {
+            // Events that are simply over are not worth restoring. The others keep a copy of
+            // what Google still has of them, so they can be restored once Google purged them.
+            const restorable = !this.deletionGuard.hasEnded(pair, calEventId);
+            const calEvent = restorable && this.config.safeguards.softDelete
+                ? await this.getGoogleCalendarEvent(pair, calEventId).catch(() => null)
+                : null;
+
             await this.retryOperation(async () => {
                 await this.queueDiscordRequest(async () => {
                     try {
                         const discordEvent = guild.scheduledEvents.cache.get(discordEventId);
-                        if (discordEvent) {
+                        const cancelStatus = {
+                            [GuildScheduledEventStatus.Scheduled]: GuildScheduledEventStatus.Canceled,
+                            [GuildScheduledEventStatus.Active]: GuildScheduledEventStatus.Completed
+                        }[discordEvent?.status];
+
+                        if (discordEvent && cancelledEventIds.includes(calEventId) && cancelStatus && this.config.discord.statusSyncEnabled) {
+                            await this.lifecycle.setStatus(discordEvent, cancelStatus);
+                            this.log('info', `${cancelStatus === GuildScheduledEventStatus.Canceled ? 'Cancelled' : 'Ended'} Discord event: ${discordEvent.name}`);
+                        } else if (discordEvent) {
+                            this.logger.rememberCorrelation(discordEvent.id);
                             await discordEvent.delete();
                             this.log('info', `Deleted Discord event: ${discordEvent.name}`);
                         }
+
+                        if (discordEvent && restorable) {
+                            this.deletionGuard.trash(pair, { deletedFrom: 'google', seriesKey: calEventId, discordEvent, calEvent });
+                        }
                         // Remove from both mappings
-                        this.googleToDiscordMap.delete(calEventId);
-                        this.discordToGoogleMap.delete(discordEventId);
+                        pair.removeMapping(calEventId, discordEventId);
+                        pair.recordChange('googleToDiscord', 'deleted');
                     } catch (error) {
                         this.log('error', `Failed to delete Discord event ${discordEventId}`, error);
                         throw error;
                     }
-                });
+                }, `/guilds/${guild.id}`);
             });
         }
 
         if (deletedEventIds.length > 0) {
-            this.log('info', `Cleaned up ${deletedEventIds.length} deleted events`);
+            this.log('info', `[${pair.id}] Cleaned up ${deletedEventIds.length} deleted events`);
         }
-    }
-
-    formatEventDescription(calEvent) {
-        let description = '';
-        
-        if (calEvent.description) {
-            // Truncate to Discord's limit (1000 characters for event descriptions)
-            description = calEvent.description.substring(0, 800);
-        }
-
-        if (calEvent.htmlLink) {
-            description += `\n\n[View in Google Calendar](${calEvent.htmlLink})`;
-        }
-
-        return description || 'No description available';
+        return true;
     }
 
     // Discord → Google Calendar sync methods
@@ -442,8 +1217,12 @@ class CalendarSyncBot {
         this.log('debug', `Creator: ${discordEvent.creator?.username || 'unknown'}`);
         this.log('debug', `Description: ${discordEvent.description?.substring(0, 100) || 'none'}`);
         this.log('debug', `Currently syncing: ${Array.from(this.currentlySyncing).join(', ') || 'none'}`);
-        this.log('debug', `Google→Discord mappings: ${this.googleToDiscordMap.size}`);
-        this.log('debug', `Discord→Google mappings: ${this.discordToGoogleMap.size}`);
+
+        const guildPairs = this.getPairsForGuild(discordEvent.guildId);
+        if (guildPairs.length === 0) {
+            this.log('debug', `❌ Skipping ${discordEvent.name} - guild ${discordEvent.guildId} has no sync pair`);
+            return;
+        }
 
         // Prevent sync loops
         if (this.currentlySyncing.has(syncKey)) {
@@ -452,31 +1231,40 @@ class CalendarSyncBot {
         }
 
         // Skip if this Discord event was created from a Google event
-        const isFromGoogle = Array.from(this.googleToDiscordMap.values()).includes(discordEvent.id);
+        const isFromGoogle = guildPairs.some(pair =>
+            Array.from(pair.googleToDiscordMap.values()).includes(discordEvent.id)
+        );
         if (isFromGoogle) {
             this.log('debug', `❌ Skipping ${discordEvent.name} - was created from Google Calendar`);
             return;
         }
 
-        // Check if this event was created by our bot specifically
-        const isBotCreated = discordEvent.creator && discordEvent.creator.bot &&
-                           discordEvent.creator.id === this.client.user.id;
-
-        if (isBotCreated) {
+        // Events the bot created are Google events, whatever their description says.
+        // creatorId is set even when the creator is not cached.
+        if ((discordEvent.creatorId || discordEvent.creator?.id) === this.client.user.id) {
             this.log('debug', `❌ Skipping ${discordEvent.name} - created by this bot`);
             return;
         }
 
-        // Additional check: if description contains our specific Google Calendar link pattern
-        if (discordEvent.description && discordEvent.description.includes('[View in Google Calendar]') &&
-            !discordEvent.description.includes('Synced from Discord')) {
-            this.log('debug', `❌ Skipping ${discordEvent.name} - appears to be synced from Google Calendar`);
+        // Skip if we already have a Google event for this Discord event
+        if (guildPairs.some(pair => pair.hasDiscordEvent(discordEvent.id))) {
+            this.log('debug', `❌ Skipping ${discordEvent.name} - already has Google Calendar event`);
             return;
         }
 
-        // Skip if we already have a Google event for this Discord event
-        if (this.discordToGoogleMap.has(discordEvent.id)) {
-            this.log('debug', `❌ Skipping ${discordEvent.name} - already has Google Calendar event`);
+        // With several calendars in the guild, the pairs' routes pick the one to sync to
+        const pair = routeDiscordEvent(guildPairs, discordEvent);
+        if (!pair) {
+            this.log('debug', `❌ Skipping ${discordEvent.name} - no route of guild ${discordEvent.guildId} matches`);
+            return;
+        }
+        if (pair.paused) {
+            this.log('debug', `❌ Skipping ${discordEvent.name} - sync pair ${pair.id} is paused`);
+            return;
+        }
+
+        if (!pair.filter.allowsDiscordEvent(discordEvent)) {
+            this.log('debug', `❌ Skipping ${discordEvent.name} - excluded by filter rules of ${pair.id}`);
             return;
         }
 
@@ -486,13 +1274,38 @@ class CalendarSyncBot {
 
         try {
             this.log('info', `Creating Google Calendar event from Discord: ${discordEvent.name}`);
-            const calendarEvent = await this.createGoogleCalendarEvent(discordEvent);
-
-            // Store bidirectional mapping IMMEDIATELY
-            this.discordToGoogleMap.set(discordEvent.id, calendarEvent.id);
-            this.googleToDiscordMap.set(calendarEvent.id, discordEvent.id);
+            const calendarEvent = await this.createGoogleCalendarEvent(pair, discordEvent);
+
+            // Store bidirectional mapping IMMEDIATELY. Remembering the etag keeps the
+            // next incremental sync from echoing this event back to Discord.
+            // The member's name and description stay; only the calendar's label is added
+            const name = truncate(pair.labelName(pair.unlabelName(discordEvent.name)), MAX_NAME_LENGTH);
+            pair.setMapping(calendarEvent.id, discordEvent.id, 'discord');
+            pair.markSynced(calendarEvent);
+            pair.setFingerprint(calendarEvent.id, createFingerprint({ ...this.maskRecurringTimes(discordEvent, getDiscordFields(discordEvent)), name }));
+            if (discordEvent.image) {
+                this.covers.remember(pair, calendarEvent.id, this.covers.getDiscordCoverUrl(discordEvent), discordEvent.image);
+            }
+            if (calendarEvent.recurrence) {
+                pair.updateMetadata(calendarEvent.id, {
+                    recurrence: { instanceId: null, instanceEnd: new Date(getDiscordFields(discordEvent).endTime).toISOString() }
+                });
+            }
+            pair.recordChange('discordToGoogle', 'created');
             await this.saveEventMappings();
 
+            if (name !== discordEvent.name) {
+                try {
+                    await this.queueDiscordRequest(async () => {
+                        this.logger.rememberCorrelation(discordEvent.id);
+                        await discordEvent.edit({ name });
+                    }, `/guilds/${discordEvent.guildId}`);
+                } catch (error) {
+                    // A later change from Google brings the label along
+                    this.log('warn', `Failed to label Discord event ${discordEvent.name}`, error);
+                }
+            }
+
             this.log('info', `Successfully synced Discord→Google: ${discordEvent.name}`);
         } catch (error) {
             this.log('error', `Failed to create Google Calendar event from Discord`, error);
@@ -509,16 +1322,55 @@ class CalendarSyncBot {
             return;
         }
 
+        // Started, ended or cancelled in Discord rather than by the bot
+        const statusChanged = !!oldEvent && oldEvent.status !== newEvent.status && !this.lifecycle.isOwnTransition(newEvent);
+
         // Only sync if this Discord event has a corresponding Google event
-        if (!this.discordToGoogleMap.has(newEvent.id)) {
+        const pair = this.findPairForDiscordEvent(newEvent);
+        if (!pair || pair.paused) {
+            return;
+        }
+
+        if (statusChanged && this.config.discord.statusSyncEnabled) {
+            this.currentlySyncing.add(syncKey);
+            try {
+                await this.syncDiscordStatus(pair, newEvent);
+            } catch (error) {
+                this.log('error', `Failed to sync status of Discord event ${newEvent.name} to Google Calendar`, error);
+            } finally {
+                this.currentlySyncing.delete(syncKey);
+            }
+
+            if (!pair.hasDiscordEvent(newEvent.id)) {
+                return;
+            }
+        }
+
+        // Updates that only echo our own Google→Discord edit, or touch fields we
+        // do not sync (status, interested count...), leave the fingerprint unchanged
+        const googleEventId = pair.discordToGoogleMap.get(newEvent.id);
+        const fingerprint = createFingerprint(this.maskRecurringTimes(newEvent, getDiscordFields(newEvent)));
+        const changedFields = diffFingerprints(pair.getFingerprint(googleEventId), fingerprint);
+        const coverChanged = this.covers.hasDiscordChange(pair, googleEventId, newEvent);
+
+        if (changedFields.length === 0 && !coverChanged) {
+            this.log('debug', `Skipping ${newEvent.name} - no synced fields changed`);
             return;
         }
 
         this.currentlySyncing.add(syncKey);
 
         try {
-            this.log('info', `Updating Google Calendar event from Discord: ${newEvent.name}`);
-            await this.updateGoogleCalendarEvent(newEvent);
+            if (changedFields.length > 0) {
+                // Kept for last-writer-wins in case this edit collides with a Google edit
+                pair.setDiscordUpdatedAt(googleEventId, Date.now());
+
+                this.log('info', `Updating Google Calendar event from Discord: ${newEvent.name} (changed: ${changedFields.join(', ')})`);
+                await this.updateGoogleCalendarEvent(pair, newEvent, changedFields);
+            }
+            if (coverChanged) {
+                await this.covers.linkDiscordCover(pair, newEvent);
+            }
         } catch (error) {
             this.log('error', `Failed to update Google Calendar event from Discord`, error);
         } finally {
@@ -535,7 +1387,13 @@ class CalendarSyncBot {
         }
 
         // Only sync if this Discord event has a corresponding Google event
-        if (!this.discordToGoogleMap.has(discordEvent.id)) {
+        const pair = this.findPairForDiscordEvent(discordEvent);
+        if (!pair || pair.paused) {
+            return;
+        }
+
+        // Discord clears out cancelled events; the cancellation itself was already synced
+        if (discordEvent.status === GuildScheduledEventStatus.Canceled && this.config.discord.statusSyncEnabled) {
             return;
         }
 
@@ -543,7 +1401,7 @@ class CalendarSyncBot {
 
         try {
             this.log('info', `Deleting Google Calendar event from Discord: ${discordEvent.name}`);
-            await this.deleteGoogleCalendarEvent(discordEvent);
+            await this.deleteGoogleCalendarEvent(pair, discordEvent);
         } catch (error) {
             this.log('error', `Failed to delete Google Calendar event from Discord`, error);
         } finally {
@@ -552,13 +1410,13 @@ class CalendarSyncBot {
     }
 
 
-    async createGoogleCalendarEvent(discordEvent) {
+    async createGoogleCalendarEvent(pair, discordEvent) {
         return await this.queueGoogleRequest(async () => {
             this.log('debug', `=== CREATING GOOGLE CALENDAR EVENT ===`);
             this.log('debug', `Discord event name: ${discordEvent.name}`);
             this.log('debug', `Discord event start time: ${discordEvent.scheduledStartAt}`);
             this.log('debug', `Discord event end time: ${discordEvent.scheduledEndAt}`);
-            this.log('debug', `Discord event location: ${discordEvent.entityMetadata?.location || 'none'}`);
+            this.log('debug', `Discord event location: ${discordEvent.entityMetadata?.location || discordEvent.channelId || 'none'}`);
 
             const startTime = discordEvent.scheduledStartAt ? discordEvent.scheduledStartAt : new Date(discordEvent.scheduledStartTimestamp);
             const endTime = discordEvent.scheduledEndAt ? discordEvent.scheduledEndAt : new Date(discordEvent.scheduledEndTimestamp);
@@ -566,91 +1424,356 @@ class CalendarSyncBot {
             this.log('debug', `Converted start time: ${startTime.toISOString()}`);
             this.log('debug', `Converted end time: ${endTime.toISOString()}`);
 
-            const eventData = {
-                summary: discordEvent.name,
-                description: `${discordEvent.description || ''}\n\nSynced from Discord`,
-                start: {
-                    dateTime: startTime.toISOString()
-                },
-                end: {
-                    dateTime: endTime.toISOString()
-                }
-            };
-
-            if (discordEvent.entityMetadata?.location) {
-                eventData.location = discordEvent.entityMetadata.location;
-            }
-
+            const eventData = this.buildGoogleEventData(pair, discordEvent);
             this.log('debug', `Google Calendar event data: ${JSON.stringify(eventData, null, 2)}`);
 
             const response = await this.calendar.events.insert({
-                calendarId: this.config.google.calendarId,
+                calendarId: pair.calendarId,
+                supportsAttachments: true,
                 resource: eventData
             });
 
-            this.log('info', `✅ Created Google Calendar event: ${discordEvent.name}`);
+            this.log('info', `✅ Created Google Calendar event: ${discordEvent.name}${eventData.recurrence ? ` (${eventData.recurrence[0]})` : ''}`);
             return response.data;
-        });
+        }, pair.calendarId);
     }
 
-    async updateGoogleCalendarEvent(discordEvent) {
+    // The Google event for a Discord event, filled in from the pair's Google templates
+    buildGoogleEventData(pair, discordEvent) {
+        const startTime = discordEvent.scheduledStartAt ? discordEvent.scheduledStartAt : new Date(discordEvent.scheduledStartTimestamp);
+        const endTime = discordEvent.scheduledEndAt ? discordEvent.scheduledEndAt : new Date(discordEvent.scheduledEndTimestamp);
+
+        // "[all-day]" in the description turns an event spanning the all-day hours into an all-day event
+        const recurrence = getDiscordRecurrence(discordEvent);
+        const { allDay, description } = parseAllDayMarker(
+            parseRecurrenceMarker(discordEvent.description)?.description ?? discordEvent.description
+        );
+
+        const values = this.getDiscordTemplateValues(pair, discordEvent, description);
+        const { google: templates } = pair.templates;
+        const eventData = {
+            summary: renderTemplate(templates.summary, values) || values.name,
+            description: markdownToHtml(renderTemplate(templates.description, values)),
+            ...this.toGoogleTimes(pair, startTime, endTime, allDay)
+        };
+
+        if (recurrence) {
+            eventData.recurrence = [recurrence];
+        }
+
+        const location = renderTemplate(templates.location, values);
+        if (location) {
+            eventData.location = location;
+        }
+
+        // The Discord cover is linked from the Google event
+        const attachments = this.covers.getGoogleAttachments(discordEvent);
+        if (attachments) {
+            eventData.attachments = attachments;
+        }
+        return eventData;
+    }
+
+    // Placeholder values of the pair's Google templates for a Discord event
+    getDiscordTemplateValues(pair, discordEvent, description) {
+        const location = getDiscordFields(discordEvent).location;
+        const channel = discordEvent.channelId &&
+            this.client.guilds.cache.get(discordEvent.guildId)?.channels.cache.get(discordEvent.channelId);
+
+        return {
+            name: pair.unlabelName(discordEvent.name),
+            description: description || '',
+            location: location ? this.toGoogleLocation(pair, location) : '',
+            link: discordEvent.url || '',
+            creator: discordEvent.creator?.globalName || discordEvent.creator?.username || '',
+            channel: channel ? `#${channel.name}` : ''
+        };
+    }
+
+    async getGoogleCalendarEvent(pair, googleEventId) {
         return await this.queueGoogleRequest(async () => {
-            const googleEventId = this.discordToGoogleMap.get(discordEvent.id);
+            const response = await this.calendar.events.get({
+                calendarId: pair.calendarId,
+                eventId: googleEventId
+            });
+            return response.data;
+        }, pair.calendarId);
+    }
 
-            if (!googleEventId) {
-                this.log('warn', `No Google Calendar event found for Discord event: ${discordEvent.name}`);
+    // Partial Google patch for the changed synced fields. What the Discord
+    // templates added around the Google values, as rendered for calEvent, is
+    // taken off again so only the edited values reach Google.
+    buildGooglePatch(pair, fields, changedFields, allDay, calEvent = null) {
+        const eventData = {};
+        const values = calEvent && this.getGoogleTemplateValues(pair, calEvent);
+        const untemplate = (text, field, key) => (values && extractValue(text, pair.templates.discord[field], values, key)) ?? text;
+
+        if (changedFields.includes('name')) {
+            eventData.summary = untemplate(pair.unlabelName(fields.name), 'name', 'summary');
+        }
+        if (changedFields.includes('description')) {
+            eventData.description = markdownToHtml(untemplate(fields.description, 'description', 'description'));
+        }
+        if (changedFields.includes('startTime') || changedFields.includes('endTime')) {
+            // Patches merge into the existing start/end, so clear whichever form is not used
+            const { start, end } = this.toGoogleTimes(pair, fields.startTime, fields.endTime, allDay);
+            eventData.start = { date: null, dateTime: null, ...start };
+            eventData.end = { date: null, dateTime: null, ...end };
+        }
+        if (changedFields.includes('location') && fields.location) {
+            eventData.location = getMentionedChannelId(fields.location)
+                ? this.toGoogleLocation(pair, fields.location)
+                : untemplate(fields.location, 'location', 'location');
+        }
+
+        return eventData;
+    }
+
+    // Writes Discord-side changes to Google. For a series, time changes move only
+    // the instance shown in Discord; everything else applies to the whole series.
+    async patchGoogleEvent(pair, googleEventId, fields, changedFields, calEvent = null) {
+        const metadata = pair.getMetadata(googleEventId);
+        const instanceId = metadata?.recurrence?.instanceId;
+        const timeFields = instanceId ? changedFields.filter(field => field === 'startTime' || field === 'endTime') : [];
+        const seriesFields = changedFields.filter(field => !timeFields.includes(field));
+        let response;
+
+        if (seriesFields.length > 0) {
+            response = await this.queueGoogleRequest(async () => {
+                return await this.calendar.events.patch({
+                    calendarId: pair.calendarId,
+                    eventId: googleEventId,
+                    resource: this.buildGooglePatch(pair, fields, seriesFields, metadata?.allDay, calEvent)
+                });
+            }, pair.calendarId);
+        }
+
+        if (timeFields.length > 0) {
+            response = await this.queueGoogleRequest(async () => {
+                return await this.calendar.events.patch({
+                    calendarId: pair.calendarId,
+                    eventId: instanceId,
+                    resource: this.buildGooglePatch(pair, fields, timeFields, metadata?.allDay, calEvent)
+                });
+            }, pair.calendarId);
+        }
+
+        return response.data;
+    }
+
+    async updateGoogleCalendarEvent(pair, discordEvent, changedFields) {
+        const googleEventId = pair.discordToGoogleMap.get(discordEvent.id);
+
+        if (!googleEventId) {
+            this.log('warn', `No Google Calendar event found for Discord event: ${discordEvent.name}`);
+            return;
+        }
+
+        // Google may have been edited since the last sync; check before overwriting it
+        const baseline = pair.getFingerprint(googleEventId);
+        let calEvent = null;
+        if (baseline) {
+            const instanceId = pair.getMetadata(googleEventId)?.recurrence?.instanceId;
+            calEvent = await this.getGoogleCalendarEvent(pair, instanceId || googleEventId);
+            const googleFields = this.maskRecurringTimes(discordEvent, this.getGoogleFields(pair, calEvent));
+
+            if (!pair.isUnchanged(calEvent) &&
+                diffFingerprints(baseline, createFingerprint(googleFields)).length > 0) {
+                await this.resolveEventConflict(pair, discordEvent, calEvent);
                 return;
             }
+        }
 
-            const eventData = {
-                summary: discordEvent.name,
-                description: `${discordEvent.description || ''}\n\nSynced from Discord`,
-                start: {
-                    dateTime: discordEvent.scheduledStartTimestamp ? new Date(discordEvent.scheduledStartTimestamp).toISOString() : discordEvent.scheduledStartAt.toISOString()
-                },
-                end: {
-                    dateTime: discordEvent.scheduledEndTimestamp ? new Date(discordEvent.scheduledEndTimestamp).toISOString() : discordEvent.scheduledEndAt.toISOString()
-                }
-            };
+        const fields = this.maskRecurringTimes(discordEvent, getDiscordFields(discordEvent));
+        const updatedEvent = await this.patchGoogleEvent(pair, googleEventId, fields, changedFields, calEvent);
 
-            if (discordEvent.entityMetadata?.location) {
-                eventData.location = discordEvent.entityMetadata.location;
-            }
+        pair.markSynced(updatedEvent);
+        pair.setFingerprint(googleEventId, createFingerprint(fields));
+        pair.recordChange('discordToGoogle', 'updated');
+        await this.saveEventMappings();
 
-            await this.calendar.events.update({
-                calendarId: this.config.google.calendarId,
-                eventId: googleEventId,
-                resource: eventData
-            });
+        this.log('info', `Updated Google Calendar event: ${discordEvent.name} (changed: ${changedFields.join(', ')})`);
+    }
+
+    // Both sides changed since the last sync: apply the pair's conflict policy,
+    // bring Google and Discord to the resolved state and keep a record for review
+    async resolveEventConflict(pair, discordEvent, calEvent) {
+        const seriesKey = getSeriesKey(calEvent);
+        const googleFields = this.maskRecurringTimes(discordEvent, this.getGoogleFields(pair, calEvent));
+        const discordFields = this.maskRecurringTimes(discordEvent, getDiscordFields(discordEvent));
+
+        const resolution = resolveConflict({
+            policy: pair.conflictPolicy,
+            baseline: pair.getFingerprint(seriesKey),
+            googleFields,
+            discordFields,
+            googleUpdatedAt: calEvent.updated ? new Date(calEvent.updated).getTime() : null,
+            discordUpdatedAt: pair.getDiscordUpdatedAt(seriesKey)
+        });
 
-            this.log('info', `Updated Google Calendar event: ${discordEvent.name}`);
+        pair.recordConflict({
+            detectedAt: new Date().toISOString(),
+            googleEventId: seriesKey,
+            discordEventId: discordEvent.id,
+            policy: pair.conflictPolicy,
+            winner: resolution.winner,
+            googleChanged: resolution.googleChanged,
+            discordChanged: resolution.discordChanged,
+            sources: resolution.sources,
+            google: googleFields,
+            discord: discordFields
         });
+
+        this.log('warn', `Conflict on ${discordEvent.name}: Google changed [${resolution.googleChanged.join(', ')}], ` +
+            `Discord changed [${resolution.discordChanged.join(', ')}] - resolved as ${resolution.winner} (${pair.conflictPolicy})`);
+
+        // Set the baseline first so the resulting Discord update is recognised as our own
+        pair.setFingerprint(seriesKey, createFingerprint(resolution.fields));
+        pair.trackInstance(calEvent);
+
+        const discordChanges = diffFields(discordFields, resolution.fields);
+        if (discordChanges.length > 0) {
+            await this.queueDiscordRequest(async () => {
+                this.logger.rememberCorrelation(discordEvent.id);
+                await discordEvent.edit(this.pickDiscordEventFields(this.toDiscordEventData(pair, resolution.fields), discordChanges));
+            }, `/guilds/${discordEvent.guildId}`);
+            pair.recordChange('googleToDiscord', 'updated');
+        }
+
+        const googleChanges = diffFields(googleFields, resolution.fields);
+        if (googleChanges.length > 0) {
+            pair.markSynced(await this.patchGoogleEvent(pair, seriesKey, resolution.fields, googleChanges, calEvent));
+            pair.recordChange('discordToGoogle', 'updated');
+        } else {
+            pair.markSynced(calEvent);
+        }
+
+        await this.saveEventMappings();
     }
 
-    async deleteGoogleCalendarEvent(discordEvent) {
+    // Status changes made in Discord. Google has no started or ended state, so a
+    // cancellation cancels the Google event, ending an event early shortens it,
+    // and starting a tentative event confirms it.
+    async syncDiscordStatus(pair, discordEvent) {
+        const googleEventId = pair.discordToGoogleMap.get(discordEvent.id);
+        const metadata = pair.getMetadata(googleEventId);
+
+        // Only the shown instance of a Google series is changed; Discord's own
+        // recurring events stand for the whole series
+        const instanceId = discordEvent.recurrenceRule ? null : metadata?.recurrence?.instanceId;
+        const eventId = instanceId || googleEventId;
+
+        const patchEvent = async resource => await this.queueGoogleRequest(async () => {
+            return await this.calendar.events.patch({ calendarId: pair.calendarId, eventId, resource });
+        }, pair.calendarId);
+
+        if (discordEvent.status === GuildScheduledEventStatus.Canceled) {
+            const response = await patchEvent({ status: 'cancelled' });
+            this.deletionGuard.trash(pair, { deletedFrom: 'discord', seriesKey: googleEventId, googleEventId: eventId, discordEvent, calEvent: response.data });
+
+            // A series keeps its mapping and moves on to the next instance
+            if (!instanceId) {
+                pair.removeMapping(googleEventId, discordEvent.id);
+            }
+            pair.recordChange('discordToGoogle', 'deleted');
+            await this.saveEventMappings();
+
+            this.log('info', `Cancelled Google Calendar event: ${discordEvent.name}`);
+            return;
+        }
+
+        if (discordEvent.recurrenceRule || metadata?.allDay) {
+            return;
+        }
+
+        const calEvent = await this.getGoogleCalendarEvent(pair, eventId);
+        const now = new Date();
+
+        if (discordEvent.status === GuildScheduledEventStatus.Completed && calEvent.end?.dateTime && new Date(calEvent.end.dateTime) > now) {
+            const end = new Date(Math.max(now.getTime(), new Date(calEvent.start.dateTime).getTime()));
+            await patchEvent({ end: { dateTime: end.toISOString(), timeZone: calEvent.end.timeZone } });
+            this.log('info', `Discord event ${discordEvent.name} ended early, shortened the Google Calendar event`);
+        } else if (discordEvent.status === GuildScheduledEventStatus.Active && calEvent.status === 'tentative') {
+            await patchEvent({ status: 'confirmed' });
+            this.log('info', `Discord event ${discordEvent.name} started, confirmed the Google Calendar event`);
+        }
+    }
+
+    async deleteGoogleCalendarEvent(pair, discordEvent) {
         return await this.queueGoogleRequest(async () => {
-            const googleEventId = this.discordToGoogleMap.get(discordEvent.id);
+            const googleEventId = pair.discordToGoogleMap.get(discordEvent.id);
 
             if (!googleEventId) {
                 this.log('warn', `No Google Calendar event found for Discord event: ${discordEvent.name}`);
                 return;
             }
 
+            // A Discord event standing for one instance of a Google series only
+            // cancels that instance; the series rolls on to the next one. Discord's
+            // own recurring events take the whole series with them.
+            const recurrence = pair.getMetadata(googleEventId)?.recurrence;
+            const isSeriesInstance = !!recurrence?.instanceId && !discordEvent.recurrenceRule;
+
+            // Discord clears out events that are over; keep the mapping so the next
+            // sync replaces it with the following instance
+            if (isSeriesInstance && new Date(recurrence.instanceEnd) <= new Date()) {
+                this.log('debug', `Discord event ${discordEvent.name} for an ended instance was removed, keeping the series`);
+                return;
+            }
+
+            // The same goes for a single event that is over: it stays in Google as
+            // a record, and only the mapping goes
+            const ended = discordEvent.status === GuildScheduledEventStatus.Completed ||
+                (!!discordEvent.scheduledEndAt && discordEvent.scheduledEndAt <= new Date());
+            if (!isSeriesInstance && ended) {
+                pair.removeMapping(googleEventId, discordEvent.id);
+                await this.saveEventMappings();
+                this.log('debug', `Discord event ${discordEvent.name} was removed after it ended, keeping the Google event`);
+                return;
+            }
+
+            const eventId = isSeriesInstance ? recurrence.instanceId : googleEventId;
+
+            // Kept in the trash so the deletion can be undone
+            const calEvent = this.config.safeguards.softDelete
+                ? await this.calendar.events.get({ calendarId: pair.calendarId, eventId }).then(response => response.data, () => null)
+                : null;
+
             await this.calendar.events.delete({
-                calendarId: this.config.google.calendarId,
-                eventId: googleEventId
+                calendarId: pair.calendarId,
+                eventId
             });
+            this.deletionGuard.trash(pair, { deletedFrom: 'discord', seriesKey: googleEventId, googleEventId: eventId, discordEvent, calEvent });
 
             // Remove from both mappings
-            this.discordToGoogleMap.delete(discordEvent.id);
-            this.googleToDiscordMap.delete(googleEventId);
+            pair.removeMapping(googleEventId, discordEvent.id);
+            pair.recordChange('discordToGoogle', 'deleted');
             await this.saveEventMappings();
 
             this.log('info', `Deleted Google Calendar event: ${discordEvent.name}`);
-        });
+        }, pair.calendarId);
     }
 
     async start() {
+        // Serving /health early lets orchestrators see the bot while it connects
+        if (this.healthServer) {
+            try {
+                await this.healthServer.start();
+            } catch (error) {
+                this.log('error', `Failed to start health check server on port ${this.healthServer.port}`, error);
+            }
+        }
+
+        // Syncs start once Discord is ready and need the calendar by then
+        if (!this.calendar) {
+            await this.setupGoogleAuth();
+        }
+        this.startRateLimitProcessor();
+
+        // Mappings must be loaded before the first sync can run
+        await this.mappingStore.open();
+        await this.loadEventMappings();
+
         await this.retryOperation(async () => {
             await this.client.login(this.config.discord.token);
             this.log('info', 'Discord bot started successfully');
@@ -659,15 +1782,60 @@ class CalendarSyncBot {
 
     async stop() {
         try {
+            for (const pair of this.syncPairs.values()) {
+                pair.cronTasks.forEach(task => task.stop());
+            }
+            this.announcer.stop();
+            this.lifecycle.stop();
+            await this.push.stop();
+            this.stopRateLimitProcessor();
+            await this.healthServer?.stop();
             await this.saveEventMappings();
+            await this.mappingStore.close();
             await this.client.destroy();
             this.log('info', 'Discord bot stopped successfully');
+            this.logger.close();
         } catch (error) {
             this.log('error', 'Error during shutdown', error);
         }
     }
 
+    // Ready once Discord is connected, Google requests work and every active
+    // pair has synced successfully within readyMaxSyncAgeMinutes
+    getReadiness() {
+        const pairs = Array.from(this.syncPairs.values())
+            .filter(pair => !pair.paused)
+            .map(pair => {
+                const lastSuccessAt = pair.stats.lastSyncCompletedAt;
+                // While push notifications arrive, a quiet calendar is only polled every pollIntervalMinutes
+                const maxAgeMinutes = this.push.isActive(pair)
+                    ? Math.max(this.config.app.readyMaxSyncAgeMinutes, this.config.push.pollIntervalMinutes * 3)
+                    : this.config.app.readyMaxSyncAgeMinutes;
+                return {
+                    id: pair.id,
+                    ok: !!lastSuccessAt && Date.now() - new Date(lastSuccessAt).getTime() <= maxAgeMinutes * 60 * 1000,
+                    maxAgeMinutes,
+                    lastSuccessAt,
+                    lastError: pair.stats.lastError
+                };
+            });
+
+        const checks = {
+            discord: { ok: this.client.isReady() },
+            google: { ok: !!this.calendar && this.metrics.isApiWorking('google') },
+            sync: { ok: pairs.every(pair => pair.ok), maxAgeMinutes: this.config.app.readyMaxSyncAgeMinutes, pairs }
+        };
+
+        return {
+            ready: Object.values(checks).every(check => check.ok),
+            timestamp: new Date().toISOString(),
+            checks
+        };
+    }
+
     async getHealthStatus() {
+        const pairs = Array.from(this.syncPairs.values());
+
         return {
             timestamp: new Date().toISOString(),
             status: 'healthy',
@@ -681,9 +1849,11 @@ class CalendarSyncBot {
                 calendar: !!this.calendar
             },
             eventMappings: {
-                googleToDiscord: this.googleToDiscordMap.size,
-                discordToGoogle: this.discordToGoogleMap.size
+                googleToDiscord: pairs.reduce((total, pair) => total + pair.googleToDiscordMap.size, 0),
+                discordToGoogle: pairs.reduce((total, pair) => total + pair.discordToGoogleMap.size, 0)
             },
+            syncPairs: pairs.map(pair => pair.getStatus()),
+            push: this.push.getStatus(),
             queues: {
                 discord: this.discordQueue.length,
                 google: this.googleQueue.length
@@ -692,31 +1862,38 @@ class CalendarSyncBot {
     }
 }
 
-// Usage
-const bot = new CalendarSyncBot();
-bot.start().catch(console.error);
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\nShutting down...');
-    await bot.stop();
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('\nShutting down...');
-    await bot.stop();
-    process.exit(0);
-});
-
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    bot.log('error', 'Uncaught exception', error);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    bot.log('error', 'Unhandled rejection', reason);
-});
-
-module.exports = CalendarSyncBot;
\ No newline at end of file
+
+// Started with `node discord-calendar.js`; requiring the module only exports the class
+if (require.main === module) {
+    const bot = new CalendarSyncBot();
+    bot.start().catch(async (error) => {
+        bot.log('error', 'Failed to start', error);
+        await bot.stop();
+        process.exit(1);
+    });
+
+    // Graceful shutdown
+    process.on('SIGINT', async () => {
+        console.log('\nShutting down...');
+        await bot.stop();
+        process.exit(0);
+    });
+
+    process.on('SIGTERM', async () => {
+        console.log('\nShutting down...');
+        await bot.stop();
+        process.exit(0);
+    });
+
+    process.on('uncaughtException', (error) => {
+        console.error('Uncaught Exception:', error);
+        bot.log('error', 'Uncaught exception', error);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        bot.log('error', 'Unhandled rejection', reason);
+    });
+}
+
+module.exports = CalendarSyncBot;
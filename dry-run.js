@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const { GuildScheduledEventStatus } = require('discord.js');
+
+// Dry-run mode: every write to Discord or Google Calendar is recorded in a plan
+// instead of being sent. Reads still reach the APIs, so the plan is based on the
+// real calendars and servers.
+
+const STATUS_NAMES = {
+    [GuildScheduledEventStatus.Scheduled]: 'scheduled',
+    [GuildScheduledEventStatus.Active]: 'active',
+    [GuildScheduledEventStatus.Completed]: 'completed',
+    [GuildScheduledEventStatus.Canceled]: 'canceled'
+};
+
+function toIsoString(value) {
+    return value === null || value === undefined ? null : new Date(value).toISOString();
+}
+
+// discord.js create/edit options, and how to read each from an existing event
+const DISCORD_FIELDS = {
+    name: { option: value => value, current: event => event.name },
+    description: { option: value => value, current: event => event.description },
+    scheduledStartTime: { option: toIsoString, current: event => toIsoString(event.scheduledStartTimestamp) },
+    scheduledEndTime: { option: toIsoString, current: event => toIsoString(event.scheduledEndTimestamp) },
+    entityType: { option: value => value, current: event => event.entityType },
+    channel: { option: value => value?.id ?? value ?? null, current: event => event.channelId ?? null },
+    entityMetadata: { option: value => value?.location ?? null, current: event => event.entityMetadata?.location ?? null },
+    status: { option: value => STATUS_NAMES[value], current: event => STATUS_NAMES[event.status] },
+    // Covers are uploaded as image data; the plan only says whether there is one
+    image: { option: value => (value ? 'new image' : null), current: event => event.image ?? null }
+};
+
+// Google fields worth showing, with start and end reduced to a single value
+// and attachments to their links
+function toGoogleValue(key, value) {
+    if ((key === 'start' || key === 'end') && value) {
+        return value.dateTime || value.date || null;
+    }
+    if (key === 'attachments' && value) {
+        return value.map(attachment => attachment.fileUrl);
+    }
+    return value ?? null;
+}
+
+function diffValues(before, after) {
+    const changes = {};
+    for (const [field, to] of Object.entries(after)) {
+        const from = before ? before[field] : undefined;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = from === undefined ? { to } : { from, to };
+        }
+    }
+    return changes;
+}
+
+function formatValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const singleLine = (text ?? 'null').replace(/\s+/g, ' ');
+    return singleLine.length > 40 ? `${singleLine.substring(0, 39)}…` : singleLine;
+}
+
+class DryRunPlan {
+    constructor() {
+        this.changes = [];
+        this.reportedCount = 0;
+        this.nextId = 1;
+        this.wrappedGuilds = new WeakSet();
+    }
+
+    fakeId() {
+        return `dry-run-${this.nextId++}`;
+    }
+
+    record(change) {
+        this.changes.push({ ...change, plannedAt: new Date().toISOString() });
+    }
+
+    // Google Calendar client whose inserts, patches and deletes only end up in the plan
+    wrapCalendar(calendar) {
+        const { events } = calendar;
+        const getCurrent = (calendarId, eventId) =>
+            events.get({ calendarId, eventId }).then(response => response.data, () => null);
+
+        const planPatch = async ({ calendarId, eventId, resource }) => {
+            const current = await getCurrent(calendarId, eventId);
+            const before = current && Object.fromEntries(Object.keys(resource).map(key => [key, toGoogleValue(key, current[key])]));
+            const after = Object.fromEntries(Object.entries(resource).map(([key, value]) => [key, toGoogleValue(key, value)]));
+
+            this.record({
+                target: 'google',
+                action: resource.status === 'cancelled' ? 'cancel' : 'update',
+                calendarId,
+                id: eventId,
+                name: resource.summary || current?.summary || eventId,
+                changes: diffValues(before, after)
+            });
+            return { data: { ...current, ...resource, id: eventId } };
+        };
+
+        return {
+            ...calendar,
+            events: {
+                list: params => events.list(params),
+                get: params => events.get(params),
+                instances: params => events.instances(params),
+                insert: async ({ calendarId, resource }) => {
+                    const id = this.fakeId();
+                    this.record({
+                        target: 'google',
+                        action: 'create',
+                        calendarId,
+                        id,
+                        name: resource.summary,
+                        changes: diffValues(null, Object.fromEntries(Object.entries(resource).map(([key, value]) => [key, toGoogleValue(key, value)])))
+                    });
+                    return { data: { ...resource, id, etag: null, status: 'confirmed' } };
+                },
+                patch: planPatch,
+                update: planPatch,
+                delete: async ({ calendarId, eventId }) => {
+                    const current = await getCurrent(calendarId, eventId);
+                    this.record({ target: 'google', action: 'delete', calendarId, id: eventId, name: current?.summary || eventId });
+                    return { data: '' };
+                }
+            }
+        };
+    }
+
+    // Replaces the guild's scheduled event writes with planning. discord.js routes
+    // event.edit() and event.delete() through the manager, so those are covered too.
+    wrapGuild(guild) {
+        if (this.wrappedGuilds.has(guild)) {
+            return;
+        }
+        this.wrappedGuilds.add(guild);
+
+        const manager = guild.scheduledEvents;
+        const toPlanned = options => Object.fromEntries(
+            Object.entries(options)
+                .filter(([key]) => DISCORD_FIELDS[key])
+                .map(([key, value]) => [key, DISCORD_FIELDS[key].option(value)])
+        );
+
+        manager.create = async options => {
+            const id = this.fakeId();
+            this.record({ target: 'discord', action: 'create', guildId: guild.id, id, name: options.name, changes: diffValues(null, toPlanned(options)) });
+
+            return {
+                id,
+                guildId: guild.id,
+                name: options.name,
+                description: options.description || null,
+                status: GuildScheduledEventStatus.Scheduled,
+                entityType: options.entityType,
+                channelId: options.channel ?? null,
+                entityMetadata: options.entityMetadata ?? null,
+                scheduledStartTimestamp: new Date(options.scheduledStartTime).getTime(),
+                scheduledEndTimestamp: options.scheduledEndTime ? new Date(options.scheduledEndTime).getTime() : null,
+                url: null
+            };
+        };
+
+        manager.edit = async (event, options) => {
+            const current = manager.cache.get(manager.resolveId(event));
+            const after = toPlanned(options);
+            const before = current && Object.fromEntries(Object.keys(after).map(key => [key, DISCORD_FIELDS[key].current(current)]));
+
+            this.record({
+                target: 'discord',
+                action: options.status === GuildScheduledEventStatus.Canceled ? 'cancel' : 'update',
+                guildId: guild.id,
+                id: manager.resolveId(event),
+                name: current?.name || options.name,
+                changes: diffValues(before, after)
+            });
+            return current;
+        };
+
+        manager.delete = async event => {
+            const current = manager.cache.get(manager.resolveId(event));
+            this.record({ target: 'discord', action: 'delete', guildId: guild.id, id: manager.resolveId(event), name: current?.name });
+        };
+    }
+
+    formatTable(changes) {
+        const rows = changes.map(change => [
+            change.target === 'discord' ? 'Discord' : 'Google',
+            change.action,
+            change.name || change.id || '',
+            Object.entries(change.changes || {})
+                .map(([field, { from, to }]) => from === undefined ? `${field}: ${formatValue(to)}` : `${field}: ${formatValue(from)} → ${formatValue(to)}`)
+                .join('; ')
+        ]);
+
+        const header = ['Target', 'Action', 'Event', 'Changes'];
+        const widths = header.slice(0, 3).map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+        const formatRow = row => row.map((cell, column) => column < 3 ? cell.padEnd(widths[column]) : cell).join(' | ');
+
+        return [formatRow(header), widths.map(width => '-'.repeat(width)).join('-+-') + '-+--------', ...rows.map(formatRow)].join('\n');
+    }
+
+    // Prints what was planned since the last report; the JSON file holds the whole plan
+    async report(label, { log, outputFile }) {
+        const changes = this.changes.slice(this.reportedCount);
+        this.reportedCount = this.changes.length;
+
+        if (changes.length === 0) {
+            log('info', `[dry run] ${label}: no changes`);
+        } else {
+            log('info', `[dry run] ${label}: ${changes.length} planned change${changes.length === 1 ? '' : 's'}\n${this.formatTable(changes)}`);
+        }
+
+        if (outputFile) {
+            await fs.writeFile(outputFile, JSON.stringify({ generatedAt: new Date().toISOString(), changes: this.changes }, null, 2));
+        }
+    }
+}
+
+module.exports = { DryRunPlan };
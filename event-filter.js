@@ -0,0 +1,134 @@
+// Config-driven rules deciding which events are synced, and in which direction
+
+const ACTIONS = ['include', 'exclude'];
+const DIRECTIONS = ['both', 'google-to-discord', 'discord-to-google'];
+
+// Discord entity types by the names used in rules
+const DISCORD_ENTITY_TYPES = { stage: 1, voice: 2, external: 3 };
+
+// Criteria that can only be checked on one side of the sync. A rule may mix
+// them with `title`, but not with criteria of the other side.
+const GOOGLE_CRITERIA = ['colorId', 'visibility', 'organizer', 'attendee', 'eventType'];
+const DISCORD_CRITERIA = ['entityType', 'channelId'];
+const CRITERIA = ['title', ...GOOGLE_CRITERIA, ...DISCORD_CRITERIA];
+
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+// Throws on the first invalid rule so a typo never silently syncs everything
+function validateFilterRules(rules, context) {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${context}: filters must be a list of rules`);
+    }
+
+    rules.forEach((rule, index) => {
+        const where = `${context}, filter rule ${index + 1}`;
+        const criteria = Object.keys(rule).filter(key => CRITERIA.includes(key));
+        const unknown = Object.keys(rule).filter(key => !CRITERIA.includes(key) && key !== 'action' && key !== 'direction');
+
+        if (!ACTIONS.includes(rule.action)) {
+            throw new Error(`${where}: action must be one of ${ACTIONS.join(', ')}`);
+        }
+        if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) {
+            throw new Error(`${where}: direction must be one of ${DIRECTIONS.join(', ')}`);
+        }
+        if (unknown.length > 0) {
+            throw new Error(`${where}: unknown criteria ${unknown.join(', ')} (expected ${CRITERIA.join(', ')})`);
+        }
+        if (criteria.length === 0) {
+            throw new Error(`${where}: needs at least one of ${CRITERIA.join(', ')}`);
+        }
+        if (criteria.some(key => GOOGLE_CRITERIA.includes(key)) && criteria.some(key => DISCORD_CRITERIA.includes(key))) {
+            throw new Error(`${where}: cannot combine Google criteria (${GOOGLE_CRITERIA.join(', ')}) with Discord criteria (${DISCORD_CRITERIA.join(', ')})`);
+        }
+        if (rule.title !== undefined) {
+            try {
+                new RegExp(rule.title);
+            } catch (error) {
+                throw new Error(`${where}: invalid title pattern: ${error.message}`);
+            }
+        }
+        if (rule.entityType !== undefined) {
+            const invalid = toList(rule.entityType).filter(type => !DISCORD_ENTITY_TYPES[type]);
+            if (invalid.length > 0) {
+                throw new Error(`${where}: unknown entityType ${invalid.join(', ')} (expected ${Object.keys(DISCORD_ENTITY_TYPES).join(', ')})`);
+            }
+        }
+    });
+}
+
+function compileRule(rule) {
+    const criteria = Object.keys(rule).filter(key => CRITERIA.includes(key));
+    const values = {};
+    for (const key of criteria) {
+        values[key] = key === 'title' ? new RegExp(rule.title, 'i') : toList(rule[key]);
+    }
+    if (values.entityType) {
+        values.entityType = values.entityType.map(type => DISCORD_ENTITY_TYPES[type]);
+    }
+
+    let side = null;
+    if (criteria.some(key => GOOGLE_CRITERIA.includes(key))) side = 'google';
+    if (criteria.some(key => DISCORD_CRITERIA.includes(key))) side = 'discord';
+
+    return { action: rule.action, direction: rule.direction || 'both', side, values };
+}
+
+// Every criterion of a rule has to match
+function matchesRule(rule, event) {
+    return Object.entries(rule.values).every(([key, expected]) => {
+        if (key === 'title') {
+            return expected.test(event.title);
+        }
+        if (key === 'attendee') {
+            return event.attendees.some(email => expected.includes(email));
+        }
+        return expected.includes(event[key]);
+    });
+}
+
+class EventFilter {
+    constructor(rules = []) {
+        this.rules = rules.map(compileRule);
+    }
+
+    // Excluded by any matching exclude rule. When include rules exist for the
+    // direction, the event must also match one of them.
+    allows(direction, side, event) {
+        const rules = this.rules.filter(rule =>
+            (rule.direction === 'both' || rule.direction === direction) && (!rule.side || rule.side === side)
+        );
+
+        if (rules.some(rule => rule.action === 'exclude' && matchesRule(rule, event))) {
+            return false;
+        }
+
+        const includeRules = rules.filter(rule => rule.action === 'include');
+        return includeRules.length === 0 || includeRules.some(rule => matchesRule(rule, event));
+    }
+
+    allowsGoogleEvent(calEvent) {
+        return this.allows('google-to-discord', 'google', {
+            title: calEvent.summary || '',
+            colorId: String(calEvent.colorId || ''),
+            visibility: calEvent.visibility || 'default',
+            organizer: (calEvent.organizer?.email || '').toLowerCase(),
+            attendees: (calEvent.attendees || []).map(attendee => (attendee.email || '').toLowerCase()),
+            eventType: (calEvent.eventType || 'default').toLowerCase()
+        });
+    }
+
+    allowsDiscordEvent(discordEvent) {
+        return this.allows('discord-to-google', 'discord', {
+            title: discordEvent.name || '',
+            entityType: discordEvent.entityType,
+            channelId: discordEvent.channelId || ''
+        });
+    }
+}
+
+module.exports = {
+    EventFilter,
+    validateFilterRules
+};
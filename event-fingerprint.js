@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { toChannelMention } = require('./channel-mapping');
+
+// Fields kept in sync between a Discord scheduled event and its Google counterpart
+const SYNCED_FIELDS = ['name', 'description', 'startTime', 'endTime', 'location'];
+
+function toTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+    return new Date(value).getTime();
+}
+
+function hashValue(value) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(value === undefined ? null : value))
+        .digest('hex')
+        .substring(0, 16);
+}
+
+// Normalises a discord.js scheduled event, or a create/edit payload for one,
+// into the synced fields so both can be compared the same way. Events held in
+// a voice or stage channel use the channel mention as their location.
+function getDiscordFields(event) {
+    return {
+        name: event.name || '',
+        description: event.description || '',
+        startTime: toTimestamp(event.scheduledStartTime ?? event.scheduledStartTimestamp ?? event.scheduledStartAt),
+        endTime: toTimestamp(event.scheduledEndTime ?? event.scheduledEndTimestamp ?? event.scheduledEndAt),
+        location: event.entityMetadata?.location || (event.channelId ? toChannelMention(event.channelId) : '')
+    };
+}
+
+function createFingerprint(fields) {
+    const fieldHashes = {};
+    for (const field of SYNCED_FIELDS) {
+        fieldHashes[field] = hashValue(fields[field]);
+    }
+
+    return {
+        hash: hashValue(SYNCED_FIELDS.map(field => fieldHashes[field])),
+        fields: fieldHashes
+    };
+}
+
+// Names of the synced fields that differ. Without a previous fingerprint
+// every field counts as changed.
+function diffFingerprints(previous, next) {
+    if (!previous) return [...SYNCED_FIELDS];
+    if (previous.hash === next.hash) return [];
+
+    return SYNCED_FIELDS.filter(field => previous.fields?.[field] !== next.fields[field]);
+}
+
+function diffFields(current, desired) {
+    return diffFingerprints(createFingerprint(current), createFingerprint(desired));
+}
+
+module.exports = {
+    SYNCED_FIELDS,
+    getDiscordFields,
+    createFingerprint,
+    diffFingerprints,
+    diffFields
+};
@@ -0,0 +1,107 @@
+const cron = require('node-cron');
+const { GuildScheduledEventStatus } = require('discord.js');
+
+// Moves synced Discord events through their lifecycle: ACTIVE once they start
+// and COMPLETED once they end. Discord does not do this for events created by
+// a bot, so they would otherwise stay "Scheduled" until Discord expires them.
+class EventLifecycle {
+    constructor(bot) {
+        this.bot = bot;
+        this.task = null;
+
+        // "<discordEventId>:<status>" for status changes made by the bot, so the
+        // update Discord sends back is not mistaken for a change made in Discord
+        this.ownTransitions = new Set();
+        // Transitions Discord rejected are not retried every minute
+        this.failedTransitions = new Set();
+    }
+
+    start() {
+        if (!this.bot.config.discord.statusSyncEnabled) {
+            return;
+        }
+        this.task = cron.schedule('* * * * *', () => this.advanceEvents());
+    }
+
+    stop() {
+        this.task?.stop();
+    }
+
+    async setStatus(discordEvent, status) {
+        const key = `${discordEvent.id}:${status}`;
+        this.ownTransitions.add(key);
+        this.bot.logger.rememberCorrelation(discordEvent.id);
+
+        try {
+            return await discordEvent.edit({ status });
+        } catch (error) {
+            this.ownTransitions.delete(key);
+            throw error;
+        }
+    }
+
+    // True once for each update caused by setStatus
+    isOwnTransition(discordEvent) {
+        return this.ownTransitions.delete(`${discordEvent.id}:${discordEvent.status}`);
+    }
+
+    // Discord only allows SCHEDULED → ACTIVE → COMPLETED, so an event that was
+    // never started has to be started before it can be completed
+    getDueStatuses(discordEvent, endsAt, now) {
+        const started = discordEvent.scheduledStartTimestamp <= now;
+        const ended = !!endsAt && endsAt <= now;
+
+        if (discordEvent.status === GuildScheduledEventStatus.Scheduled && started) {
+            return ended
+                ? [GuildScheduledEventStatus.Active, GuildScheduledEventStatus.Completed]
+                : [GuildScheduledEventStatus.Active];
+        }
+        if (discordEvent.status === GuildScheduledEventStatus.Active && ended) {
+            return [GuildScheduledEventStatus.Completed];
+        }
+        return [];
+    }
+
+    async advanceEvents() {
+        const now = Date.now();
+
+        for (const pair of this.bot.syncPairs.values()) {
+            const guild = this.bot.client.guilds.cache.get(pair.guildId);
+            if (pair.paused || !guild) {
+                continue;
+            }
+
+            for (const [googleEventId, discordEventId] of pair.googleToDiscordMap) {
+                const discordEvent = guild.scheduledEvents.cache.get(discordEventId);
+                // Discord runs the occurrences of its own recurring events itself
+                if (!discordEvent || discordEvent.recurrenceRule) {
+                    continue;
+                }
+
+                // Voice and stage events may have no end time in Discord
+                const metadata = pair.getMetadata(googleEventId);
+                const end = discordEvent.scheduledEndTimestamp || metadata?.recurrence?.instanceEnd || metadata?.endsAt;
+                const endsAt = end ? new Date(end).getTime() : null;
+
+                let current = discordEvent;
+                for (const status of this.getDueStatuses(discordEvent, endsAt, now)) {
+                    const key = `${discordEventId}:${status}`;
+                    if (this.failedTransitions.has(key)) {
+                        break;
+                    }
+
+                    try {
+                        current = await this.bot.queueDiscordRequest(() => this.setStatus(current, status), `/guilds/${discordEvent.guildId}`) || current;
+                        this.bot.log('info', `[${pair.id}] Discord event ${discordEvent.name} is now ${status === GuildScheduledEventStatus.Active ? 'active' : 'completed'}`);
+                    } catch (error) {
+                        this.failedTransitions.add(key);
+                        this.bot.log('warn', `[${pair.id}] Could not change the status of Discord event ${discordEvent.name}`, error);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+}
+
+module.exports = { EventLifecycle };
@@ -0,0 +1,62 @@
+// Picks the Google calendar an event created in Discord is synced to when
+// several sync pairs share a guild
+
+const ROUTE_CRITERIA = ['channelId', 'location', 'keyword'];
+
+function validateRoutes(routes, context) {
+    if (routes === undefined || routes === null) {
+        return;
+    }
+    if (!Array.isArray(routes)) {
+        throw new Error(`${context}: routes must be a list of routes`);
+    }
+
+    routes.forEach((route, index) => {
+        const where = `${context}, route ${index + 1}`;
+
+        if (!ROUTE_CRITERIA.some(key => route[key] !== undefined)) {
+            throw new Error(`${where}: needs at least one of ${ROUTE_CRITERIA.join(', ')}`);
+        }
+        for (const key of ['location', 'keyword']) {
+            if (route[key] === undefined) continue;
+            try {
+                new RegExp(route[key]);
+            } catch (error) {
+                throw new Error(`${where}: invalid ${key} pattern: ${error.message}`);
+            }
+        }
+    });
+}
+
+function compileRoute(route) {
+    return {
+        channelId: route.channelId || null,
+        location: route.location !== undefined ? new RegExp(route.location, 'i') : null,
+        keyword: route.keyword !== undefined ? new RegExp(route.keyword, 'i') : null
+    };
+}
+
+// A route matches when all of its criteria do: the voice or stage channel the
+// event is held in, its external location, or a keyword in its name or description
+function matchesRoute(route, discordEvent) {
+    const location = discordEvent.entityMetadata?.location || '';
+    const text = `${discordEvent.name || ''}\n${discordEvent.description || ''}`;
+
+    return (!route.channelId || route.channelId === discordEvent.channelId) &&
+        (!route.location || route.location.test(location)) &&
+        (!route.keyword || route.keyword.test(text));
+}
+
+// The first of the guild's pairs with a matching route, else the first pair
+// without routes. Pairs with an empty route list never receive Discord events.
+function routeDiscordEvent(pairs, discordEvent) {
+    return pairs.find(pair => pair.routes?.some(route => matchesRoute(route, discordEvent))) ||
+        pairs.find(pair => !pair.routes) ||
+        null;
+}
+
+module.exports = {
+    compileRoute,
+    routeDiscordEvent,
+    validateRoutes
+};
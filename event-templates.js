@@ -0,0 +1,186 @@
+// User-defined templates for the fields the bot writes: Discord names,
+// descriptions and locations of Google events, and Google titles, descriptions
+// and locations of events created in Discord. Also converts between Google's
+// HTML descriptions and Discord markdown.
+
+// Discord's limits for scheduled events
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const DEFAULT_TEMPLATES = {
+    // Google → Discord
+    discord: {
+        name: '{summary}',
+        description: '{description}\n\n{recurring}\n\n{responses}\n\n[View in Google Calendar]({link})',
+        location: '{location}'
+    },
+    // Discord → Google, when an event created in Discord is added to Google
+    google: {
+        summary: '{name}',
+        description: '{description}',
+        location: '{location}'
+    }
+};
+
+const PLACEHOLDERS = {
+    discord: ['summary', 'description', 'location', 'link', 'meetLink', 'organizer', 'attendees', 'calendar', 'label', 'recurring', 'responses'],
+    google: ['name', 'description', 'location', 'link', 'creator', 'channel']
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Stands in for a value while working out what a template adds around it
+const SENTINEL = '\u0000';
+
+function validateTemplates(templates, context) {
+    for (const [direction, fields] of Object.entries(templates)) {
+        if (!(direction in DEFAULT_TEMPLATES)) {
+            throw new Error(`${context}: unknown template direction ${direction} (expected discord or google)`);
+        }
+        for (const [field, template] of Object.entries(fields)) {
+            if (!(field in DEFAULT_TEMPLATES[direction])) {
+                throw new Error(`${context}: unknown ${direction} template ${field} (expected ${Object.keys(DEFAULT_TEMPLATES[direction]).join(', ')})`);
+            }
+            if (typeof template !== 'string') {
+                throw new Error(`${context}: ${direction} ${field} template must be a string`);
+            }
+            const unknown = Array.from(template.matchAll(PLACEHOLDER_PATTERN), match => match[1])
+                .filter(key => !PLACEHOLDERS[direction].includes(key));
+            if (unknown.length > 0) {
+                throw new Error(`${context}: unknown placeholder {${unknown[0]}} in ${direction} ${field} template (available: ${PLACEHOLDERS[direction].join(', ')})`);
+            }
+        }
+    }
+}
+
+// Fills in the placeholders. Lines whose placeholders are all empty are left
+// out, so "Organizer: {organizer}" disappears for events without one.
+function renderTemplate(template, values) {
+    const lines = template.split('\n').flatMap((line) => {
+        const keys = Array.from(line.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+        if (keys.length > 0 && keys.every(key => !values[key])) {
+            return [];
+        }
+        return [line.replace(PLACEHOLDER_PATTERN, (placeholder, key) => values[key] ?? '')];
+    });
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, Math.max(0, maxLength - 1))}…` : text;
+}
+
+// Renders within maxLength by shortening the value of `key`, so the rest of
+// the template (links, RSVPs...) survives a long Google description
+function renderWithin(template, values, key, maxLength) {
+    const rendered = renderTemplate(template, values);
+    if (rendered.length <= maxLength || !values[key]) {
+        return rendered.substring(0, maxLength);
+    }
+
+    const shortened = truncate(values[key], values[key].length - (rendered.length - maxLength));
+    return renderTemplate(template, { ...values, [key]: shortened }).substring(0, maxLength);
+}
+
+// The value of `key` in a text rendered from the template, e.g. the Google
+// description inside a Discord description; null when the text no longer fits
+// the template because the parts around the value were edited
+function extractValue(text, template, values, key) {
+    const parts = renderTemplate(template, { ...values, [key]: SENTINEL }).split(SENTINEL);
+    if (parts.length !== 2) {
+        return null;
+    }
+
+    const [prefix, suffix] = parts;
+    if (text.length >= prefix.length + suffix.length && text.startsWith(prefix) && text.endsWith(suffix)) {
+        return text.slice(prefix.length, text.length - suffix.length).trim();
+    }
+    if (text === renderTemplate(template, { ...values, [key]: '' })) {
+        return '';
+    }
+    return null;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+        }
+        return ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+// Google Calendar stores descriptions edited in its web UI as HTML
+function htmlToMarkdown(html) {
+    if (!/<\/?[a-z][^>]*>|&(#\w+|[a-z]+);/i.test(html)) {
+        return html;
+    }
+
+    const markdown = html
+        .replace(/\r\n/g, '\n')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|ul|ol|h\d)>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<(b|strong)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '**$3**')
+        .replace(/<(i|em)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '*$3*')
+        .replace(/<u(\s[^>]*)?>([\s\S]*?)<\/u>/gi, '__$2__')
+        .replace(/<(s|strike|del)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '~~$3~~')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (link, href, text) => {
+            const url = decodeEntities(href);
+            return text === href || !text ? url : `[${text}](${url})`;
+        })
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(markdown)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+const MARKDOWN_PATTERN = /\*\*\S|__\S|~~\S|\[[^\]\n]+\]\([^)\s]+\)|(^|[^*\w])\*[^*\s]/;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Discord markdown as the HTML Google Calendar shows; text without any
+// formatting is left as it is
+function markdownToHtml(markdown) {
+    if (!MARKDOWN_PATTERN.test(markdown)) {
+        return markdown;
+    }
+
+    // Link targets are set aside until the rest is formatted, so a * or _
+    // in a URL never turns into a tag. Only web links become links.
+    const hrefs = [];
+    return escapeHtml(markdown)
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (link, text, url) => {
+            if (!/^https?:\/\//i.test(url)) {
+                return link;
+            }
+            hrefs.push(url);
+            return `<a href="\0${hrefs.length - 1}\0">${text}</a>`;
+        })
+        .replace(/\*\*([^*\n]+?)\*\*/g, '<b>$1</b>')
+        .replace(/__([^_\n]+?)__/g, '<u>$1</u>')
+        .replace(/~~([^~\n]+?)~~/g, '<s>$1</s>')
+        .replace(/(^|[^*\w])\*([^*\s](?:[^*\n]*[^*\s])?)\*/g, '$1<i>$2</i>')
+        .replace(/\n/g, '<br>')
+        .replace(/\0(\d+)\0/g, (placeholder, index) => hrefs[index]);
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    MAX_NAME_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    extractValue,
+    htmlToMarkdown,
+    markdownToHtml,
+    renderTemplate,
+    renderWithin,
+    truncate,
+    validateTemplates
+};
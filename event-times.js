@@ -0,0 +1,85 @@
+// Time zone and all-day helpers, built on Intl so no time zone database is needed
+
+const ALL_DAY_MARKER = /[ \t]*\[all-day\]/i;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock date and time of an instant in a time zone, as zero-padded strings
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = {};
+    for (const { type, value } of parts) {
+        values[type] = value;
+    }
+    return values;
+}
+
+// Offset of a time zone from UTC at the given instant, in milliseconds
+function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a calendar date ("2024-03-10") and time of day ("09:00") refer to in a time zone
+function zonedTimeToDate(dateString, time, timeZone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The second pass corrects the offset when a daylight saving change falls in between
+    let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+    instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+function toZonedDateString(date, timeZone) {
+    const { year, month, day } = getZonedParts(new Date(date), timeZone);
+    return `${year}-${month}-${day}`;
+}
+
+function toZonedTimeString(date, timeZone) {
+    const { hour, minute } = getZonedParts(new Date(date), timeZone);
+    return `${hour}:${minute}`;
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().substring(0, 10);
+}
+
+// Looks for "[all-day]" in a Discord description. Returns whether it was there
+// and the description without it.
+function parseAllDayMarker(description) {
+    if (!description || !ALL_DAY_MARKER.test(description)) {
+        return { allDay: false, description };
+    }
+    return { allDay: true, description: description.replace(ALL_DAY_MARKER, '').trim() };
+}
+
+module.exports = {
+    isValidTimeZone,
+    zonedTimeToDate,
+    toZonedDateString,
+    toZonedTimeString,
+    addDays,
+    parseAllDayMarker
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const http = require('http');
+const { google } = require('googleapis');
+
+const SCOPES = ['https://www.googleapis.com/auth/calendar'];
+// Downloads images attached to events from Google Drive
+const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive.readonly';
+const AUTH_TYPES = ['service-account', 'oauth'];
+
+// How long `npm run authorize` waits for the browser to come back
+const AUTHORIZE_TIMEOUT_MS = 5 * 60 * 1000;
+
+function validateGoogleAuth(settings) {
+    if (settings.authType && !AUTH_TYPES.includes(settings.authType)) {
+        throw new Error(`GOOGLE_AUTH_TYPE must be one of ${AUTH_TYPES.join(', ')} (got ${settings.authType})`);
+    }
+    if (settings.impersonateSubject && settings.authType === 'oauth') {
+        throw new Error('GOOGLE_IMPERSONATE_SUBJECT only works with a service account');
+    }
+}
+
+// GOOGLE_CREDENTIALS_JSON holds the JSON itself, or base64 of it so it fits on one line
+function parseCredentialsJson(value) {
+    const text = value.trim().startsWith('{') ? value : Buffer.from(value, 'base64').toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`GOOGLE_CREDENTIALS_JSON is neither JSON nor base64-encoded JSON: ${error.message}`);
+    }
+}
+
+// The service account key or OAuth client from the environment or the
+// credentials file; null when there is neither
+async function loadCredentials(settings) {
+    if (settings.credentialsJson) {
+        return parseCredentialsJson(settings.credentialsJson);
+    }
+
+    try {
+        return JSON.parse(await fs.readFile(settings.credentialsPath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read Google credentials ${settings.credentialsPath}: ${error.message}`);
+    }
+}
+
+// Without GOOGLE_AUTH_TYPE, OAuth client IDs ("installed" or "web" JSON from the
+// Cloud Console) and gcloud user credentials mean OAuth, anything else a service account
+function getAuthType(settings, credentials) {
+    if (settings.authType) {
+        return settings.authType;
+    }
+    if (settings.oauth.clientId || credentials?.installed || credentials?.web || credentials?.type === 'authorized_user') {
+        return 'oauth';
+    }
+    return 'service-account';
+}
+
+function getScopes(settings) {
+    return settings.driveAccess ? [...SCOPES, DRIVE_SCOPE] : SCOPES;
+}
+
+function getOAuthClient(settings, credentials) {
+    const client = credentials?.installed || credentials?.web || credentials || {};
+    const clientId = settings.oauth.clientId || client.client_id;
+    const clientSecret = settings.oauth.clientSecret || client.client_secret;
+
+    if (!clientId || !clientSecret) {
+        throw new Error(`No Google OAuth client: set GOOGLE_OAUTH_CLIENT_ID and GOOGLE_OAUTH_CLIENT_SECRET, or put the client JSON at ${settings.credentialsPath}`);
+    }
+    return { clientId, clientSecret };
+}
+
+async function loadRefreshToken(settings, credentials) {
+    if (settings.oauth.refreshToken) {
+        return settings.oauth.refreshToken;
+    }
+    if (credentials?.type === 'authorized_user' && credentials.refresh_token) {
+        return credentials.refresh_token;
+    }
+
+    try {
+        return JSON.parse(await fs.readFile(settings.oauth.tokenPath, 'utf8')).refresh_token || null;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Failed to read Google OAuth token ${settings.oauth.tokenPath}: ${error.message}`);
+    }
+}
+
+// Only the refresh token is kept; access tokens are fetched with it as needed
+async function saveRefreshToken(tokenPath, tokens) {
+    const stored = { refresh_token: tokens.refresh_token, scope: tokens.scope, saved_at: new Date().toISOString() };
+    await fs.writeFile(tokenPath, JSON.stringify(stored, null, 2), { mode: 0o600 });
+}
+
+// The auth client for the configured kind of credentials:
+//   service account, optionally acting as a Workspace user (domain-wide delegation)
+//   OAuth2 user credentials, from a refresh token saved by `npm run authorize` or set in the environment
+async function createGoogleAuth(settings, log) {
+    const credentials = await loadCredentials(settings);
+
+    if (getAuthType(settings, credentials) === 'oauth') {
+        const { clientId, clientSecret } = getOAuthClient(settings, credentials);
+        const refreshToken = await loadRefreshToken(settings, credentials);
+        if (!refreshToken) {
+            throw new Error(`No Google OAuth refresh token in ${settings.oauth.tokenPath}; run \`npm run authorize\` once to sign in`);
+        }
+
+        const auth = new google.auth.OAuth2(clientId, clientSecret);
+        auth.setCredentials({ refresh_token: refreshToken });
+
+        // Google may hand out a new refresh token; keep it unless the token comes from the environment
+        auth.on('tokens', (tokens) => {
+            if (tokens.refresh_token && tokens.refresh_token !== refreshToken && !settings.oauth.refreshToken) {
+                saveRefreshToken(settings.oauth.tokenPath, tokens)
+                    .then(() => log('info', 'Saved new Google OAuth refresh token'))
+                    .catch(error => log('warn', 'Failed to save new Google OAuth refresh token', error));
+            }
+        });
+
+        return { auth, description: 'OAuth2 user credentials' };
+    }
+
+    if (!credentials) {
+        throw new Error(`No Google credentials: set GOOGLE_CREDENTIALS_JSON or put a service account key at ${settings.credentialsPath}`);
+    }
+    if (credentials.type !== 'service_account') {
+        throw new Error(`Google credentials are not a service account key (type: ${credentials.type}); set GOOGLE_AUTH_TYPE=oauth for OAuth client credentials`);
+    }
+
+    if (settings.impersonateSubject) {
+        const auth = new google.auth.JWT({
+            email: credentials.client_email,
+            key: credentials.private_key,
+            keyId: credentials.private_key_id,
+            scopes: getScopes(settings),
+            subject: settings.impersonateSubject
+        });
+        return { auth, description: `service account ${credentials.client_email} acting as ${settings.impersonateSubject}` };
+    }
+
+    const auth = new google.auth.GoogleAuth({ credentials, scopes: getScopes(settings) });
+    return { auth, description: `service account ${credentials.client_email}` };
+}
+
+// The OAuth installed-app flow: the user signs in in the browser and Google
+// redirects to a one-off server on the loopback interface with the code, which
+// is exchanged for a refresh token
+async function authorize(settings, { showUrl = url => console.log(`Open this URL in a browser to sign in:\n\n${url}\n`) } = {}) {
+    const { clientId, clientSecret } = getOAuthClient(settings, await loadCredentials(settings));
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const redirectUri = `http://127.0.0.1:${server.address().port}/oauth2callback`;
+        const client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+        const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+        const state = crypto.randomBytes(16).toString('hex');
+
+        showUrl(client.generateAuthUrl({
+            access_type: 'offline',
+            // Asking for consent again makes Google return a refresh token every time
+            prompt: 'consent',
+            scope: getScopes(settings),
+            state,
+            code_challenge_method: 'S256',
+            code_challenge: codeChallenge
+        }));
+
+        const code = await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Timed out waiting for the sign-in to finish')), AUTHORIZE_TIMEOUT_MS);
+
+            server.on('request', (req, res) => {
+                const url = new URL(req.url, redirectUri);
+                if (url.pathname !== '/oauth2callback') {
+                    res.writeHead(404).end();
+                    return;
+                }
+
+                const error = url.searchParams.get('error');
+                if (error || url.searchParams.get('state') !== state) {
+                    res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Sign-in failed, see the terminal.');
+                    clearTimeout(timer);
+                    reject(new Error(error ? `Google returned ${error}` : 'The sign-in response does not match this request'));
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'text/plain' }).end('Signed in. You can close this tab.');
+                clearTimeout(timer);
+                resolve(url.searchParams.get('code'));
+            });
+        });
+
+        const { tokens } = await client.getToken({ code, codeVerifier });
+        if (!tokens.refresh_token) {
+            throw new Error('Google did not return a refresh token; remove the app\'s access at https://myaccount.google.com/permissions and try again');
+        }
+
+        await saveRefreshToken(settings.oauth.tokenPath, tokens);
+        return tokens;
+    } finally {
+        server.close();
+    }
+}
+
+// npm run authorize
+if (require.main === module) {
+    const config = require('./config');
+
+    authorize(config.google)
+        .then(() => {
+            console.log(`Saved the refresh token to ${config.google.oauth.tokenPath}`);
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error('Authorization failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    SCOPES,
+    authorize,
+    createGoogleAuth,
+    validateGoogleAuth
+};
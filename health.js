@@ -1,74 +1,112 @@
 const http = require('http');
 const config = require('./config');
 
+// HTTP endpoints of the running bot:
+//   /health   liveness, 200 while the process is serving requests
+//   /ready    200 once Discord is connected, Google works and syncs succeed, 503 before
+//   /metrics  Prometheus metrics
+// and, with push notifications on, the Google Calendar webhook
 class HealthServer {
-  constructor() {
+  constructor(bot, port = config.app.healthCheckPort) {
+    this.bot = bot;
+    this.port = port;
     this.server = null;
-    this.port = config.app.healthCheckPort;
   }
 
   async start() {
-    this.server = http.createServer(async (req, res) => {
-      if (req.url === '/health' && req.method === 'GET') {
-        try {
-          const healthStatus = await this.getHealthStatus();
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(healthStatus, null, 2));
-        } catch (error) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            status: 'unhealthy',
-            error: error.message,
-            timestamp: new Date().toISOString()
-          }));
-        }
-      } else {
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('Not Found');
-      }
-    });
+    this.server = http.createServer((req, res) => this.handle(req, res));
 
-    this.server.listen(this.port, () => {
-      console.log(`Health check server running on port ${this.port}`);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
     });
 
+    this.bot.log('info', `Health check server running on port ${this.server.address().port}`);
     return this.server;
   }
 
   async stop() {
     if (this.server) {
-      this.server.close();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
     }
   }
 
-  async getHealthStatus() {
-    // Try to load the main bot module to check its health
-    try {
-      const CalendarSyncBot = require('./discord-calendar');
+  async handle(req, res) {
+    const path = req.url.split('?')[0];
 
-      // Basic health check - ensure the module loads
-      const status = {
-        timestamp: new Date().toISOString(),
-        status: 'healthy',
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        environment: config.app.environment,
-        version: require('./package.json').version
-      };
+    // Google Calendar push notifications carry everything in their headers
+    if (req.method === 'POST' && path === this.bot.push?.webhookPath) {
+      req.resume();
+      res.writeHead(this.bot.push.handleNotification(req.headers));
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { 'Content-Type': 'text/plain' });
+      res.end('Method Not Allowed');
+      return;
+    }
 
-      return status;
+    try {
+      if (path === '/health') {
+        this.sendJson(res, 200, {
+          ...await this.bot.getHealthStatus(),
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+          environment: config.app.environment,
+          version: require('./package.json').version
+        });
+      } else if (path === '/ready') {
+        const readiness = this.bot.getReadiness();
+        this.sendJson(res, readiness.ready ? 200 : 503, readiness);
+      } else if (path === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(this.bot.metrics.render(this.bot));
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+      }
     } catch (error) {
-      throw new Error(`Health check failed: ${error.message}`);
+      this.sendJson(res, 500, {
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
     }
   }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+// Asks the running bot, e.g. from a Docker health check:
+//   node health.js          liveness
+//   node health.js /ready   readiness
+function checkRunningBot(path = '/health', port = config.app.healthCheckPort) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path, timeout: 5000 }, res => {
+      res.resume();
+      if (res.statusCode === 200) {
+        resolve();
+      } else {
+        reject(new Error(`${path} returned ${res.statusCode}`));
+      }
+    });
+    req.on('timeout', () => req.destroy(new Error(`${path} timed out`)));
+    req.on('error', reject);
+  });
 }
 
 // If this file is run directly (for Docker health checks)
 if (require.main === module) {
-  const healthServer = new HealthServer();
-
-  // Quick health check for Docker
-  healthServer.getHealthStatus()
+  checkRunningBot(process.argv[2])
     .then(() => {
       console.log('Health check passed');
       process.exit(0);
@@ -77,7 +115,7 @@ if (require.main === module) {
       console.error('Health check failed:', error.message);
       process.exit(1);
     });
-} else {
-  // Export for use as a module
-  module.exports = HealthServer;
-}
\ No newline at end of file
+}
+
+module.exports = HealthServer;
+module.exports.checkRunningBot = checkRunningBot;
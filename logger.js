@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+const ROTATIONS = ['size', 'daily'];
+
+// How long a gateway event may take to arrive after the write that caused it
+const CORRELATION_HANDOFF_MS = 30000;
+
+function createCorrelationId(prefix) {
+    return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function validateLogging(logging) {
+    if (!LEVELS[logging.level]) {
+        throw new Error(`LOG_LEVEL must be one of ${Object.keys(LEVELS).join(', ')} (got ${logging.level})`);
+    }
+    if (!FORMATS.includes(logging.format)) {
+        throw new Error(`LOG_FORMAT must be one of ${FORMATS.join(', ')} (got ${logging.format})`);
+    }
+    if (!ROTATIONS.includes(logging.rotation)) {
+        throw new Error(`LOG_ROTATION must be one of ${ROTATIONS.join(', ')} (got ${logging.rotation})`);
+    }
+    if (!(logging.maxSizeMb > 0) || !(logging.maxFiles >= 1)) {
+        throw new Error('LOG_MAX_SIZE_MB must be greater than 0 and LOG_MAX_FILES at least 1');
+    }
+}
+
+function toDateString(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Appends lines to a log file and starts a new one once the file reaches
+// maxSizeMb ("size": app.log, app.log.1, app.log.2...) or a new day begins
+// ("daily": app-2024-05-01.log). Only the newest maxFiles files are kept.
+// Writes are synchronous so nothing is lost when the process exits.
+class RotatingFileWriter {
+    constructor({ directory, fileName = 'calendar-sync.log', rotation = 'daily', maxSizeMb = 10, maxFiles = 7, now = () => Date.now() }) {
+        this.directory = directory;
+        this.fileName = fileName;
+        this.rotation = rotation;
+        this.maxSize = maxSizeMb * 1024 * 1024;
+        this.maxFiles = maxFiles;
+        this.now = now;
+        this.fd = null;
+        this.size = 0;
+        this.date = null;
+
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    get currentPath() {
+        if (this.rotation === 'daily') {
+            const { name, ext } = path.parse(this.fileName);
+            return path.join(this.directory, `${name}-${this.date}${ext}`);
+        }
+        return path.join(this.directory, this.fileName);
+    }
+
+    write(line) {
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+
+        if (this.fd !== null && this.needsRotation(bytes)) {
+            this.rotate();
+        }
+        if (this.fd === null) {
+            this.open();
+        }
+
+        fs.writeSync(this.fd, data);
+        this.size += bytes;
+    }
+
+    open() {
+        this.date = toDateString(this.now());
+        this.fd = fs.openSync(this.currentPath, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    needsRotation(bytes) {
+        if (this.rotation === 'daily') {
+            return toDateString(this.now()) !== this.date;
+        }
+        return this.size > 0 && this.size + bytes > this.maxSize;
+    }
+
+    rotate() {
+        this.close();
+
+        if (this.rotation === 'size') {
+            // app.log.N is the oldest; shift the others up and drop what falls off
+            const base = path.join(this.directory, this.fileName);
+            fs.rmSync(`${base}.${this.maxFiles - 1}`, { force: true });
+            for (let index = this.maxFiles - 2; index >= 1; index--) {
+                if (fs.existsSync(`${base}.${index}`)) {
+                    fs.renameSync(`${base}.${index}`, `${base}.${index + 1}`);
+                }
+            }
+            if (this.maxFiles > 1) {
+                fs.renameSync(base, `${base}.1`);
+            } else {
+                fs.rmSync(base, { force: true });
+            }
+        } else {
+            this.removeOldDailyFiles();
+        }
+    }
+
+    // Daily files sort by name; keep room for the one about to be opened
+    removeOldDailyFiles() {
+        const { name, ext } = path.parse(this.fileName);
+        const pattern = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-\\d{4}-\\d{2}-\\d{2}${ext.replace('.', '\\.')}$`);
+        const files = fs.readdirSync(this.directory).filter(file => pattern.test(file)).sort();
+
+        for (const file of files.slice(0, Math.max(0, files.length - this.maxFiles + 1))) {
+            fs.rmSync(path.join(this.directory, file), { force: true });
+        }
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+// Leveled logging to the console and optionally to rotating files, as text or
+// one JSON object per line. Lines logged while handling a sync run or a Discord
+// gateway event carry that run's correlation ID.
+class Logger {
+    constructor({ level = 'info', format = 'text', toFile = false, directory = 'logs', rotation = 'daily', maxSizeMb = 10, maxFiles = 7 } = {}) {
+        this.threshold = LEVELS[level] ?? LEVELS.info;
+        this.format = format;
+        this.file = toFile ? new RotatingFileWriter({ directory, rotation, maxSizeMb, maxFiles }) : null;
+        this.context = new AsyncLocalStorage();
+        // Discord event ID -> { correlationId, at } for writes made by the bot
+        this.handoffs = new Map();
+    }
+
+    isEnabled(level) {
+        return (LEVELS[level] ?? LEVELS.info) >= this.threshold;
+    }
+
+    get correlationId() {
+        return this.context.getStore()?.correlationId || null;
+    }
+
+    // Everything fn does, including what it awaits, logs with this correlation ID
+    runWithCorrelation(correlationId, fn) {
+        return this.context.run({ correlationId }, fn);
+    }
+
+    // Called before the bot writes to a Discord event, so the gateway event that
+    // write causes continues the same correlation
+    rememberCorrelation(discordEventId) {
+        const { correlationId } = this;
+        if (!correlationId) {
+            return;
+        }
+
+        const now = Date.now();
+        for (const [key, handoff] of this.handoffs) {
+            if (now - handoff.at > CORRELATION_HANDOFF_MS) {
+                this.handoffs.delete(key);
+            }
+        }
+        this.handoffs.set(discordEventId, { correlationId, at: now });
+    }
+
+    // Each write causes one gateway event, so a later edit by a member starts afresh
+    recallCorrelation(discordEventId) {
+        const handoff = this.handoffs.get(discordEventId);
+        this.handoffs.delete(discordEventId);
+        return handoff && Date.now() - handoff.at <= CORRELATION_HANDOFF_MS ? handoff.correlationId : null;
+    }
+
+    log(level, message, error = null) {
+        if (!this.isEnabled(level)) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        const { correlationId } = this;
+        let line;
+
+        if (this.format === 'json') {
+            line = JSON.stringify({
+                timestamp,
+                level,
+                message,
+                ...(correlationId && { correlationId }),
+                ...(error && { error: this.serializeError(error) })
+            });
+        } else {
+            line = `[${timestamp}] [${level.toUpperCase()}]${correlationId ? ` [${correlationId}]` : ''} ${message}`;
+            if (error) {
+                line += `\n${error.stack || error}`;
+            }
+        }
+
+        if (level === 'error') {
+            console.error(line);
+        } else if (level === 'warn') {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+
+        if (this.file) {
+            try {
+                this.file.write(line);
+            } catch (fileError) {
+                // Losing the log file must not take the bot down
+                console.error(`Failed to write log file: ${fileError.message}`);
+            }
+        }
+    }
+
+    serializeError(error) {
+        if (!(error instanceof Error)) {
+            return { message: String(error) };
+        }
+        return {
+            name: error.name,
+            message: error.message,
+            ...(error.code !== undefined && { code: error.code }),
+            stack: error.stack
+        };
+    }
+
+    close() {
+        this.file?.close();
+    }
+}
+
+module.exports = {
+    LEVELS,
+    Logger,
+    RotatingFileWriter,
+    createCorrelationId,
+    validateLogging
+};
@@ -0,0 +1,377 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Every backend loads and saves the same snapshot:
+// { version, pairs: { [pairId]: { syncToken, lastFullSyncAt, conflicts, trash, events: { [googleEventId]: {...} } } },
+//   userEmails: { [discordUserId]: { email, linkedAt } } }
+const SNAPSHOT_VERSION = 3;
+
+// Converts mapping files written by earlier versions into the current snapshot.
+// Version 1 held a single guild's { googleToDiscord, discordToGoogle } maps;
+// version 2 held one such set of maps per sync pair.
+function migrateLegacyMappings(data, legacyPairId) {
+    if (data.version === SNAPSHOT_VERSION) {
+        return data;
+    }
+
+    const legacyPairs = data.pairs || { [legacyPairId]: data };
+    const pairs = {};
+
+    for (const [pairId, legacy] of Object.entries(legacyPairs)) {
+        const events = {};
+        for (const [googleEventId, discordEventId] of Object.entries(legacy.googleToDiscord || {})) {
+            events[googleEventId] = {
+                discordEventId,
+                origin: 'unknown',
+                etag: legacy.googleEtags?.[googleEventId] || null,
+                fingerprint: legacy.fingerprints?.[googleEventId] || null,
+                discordUpdatedAt: legacy.discordUpdatedAt?.[googleEventId] || null,
+                createdAt: null,
+                lastSyncedAt: null
+            };
+        }
+
+        pairs[pairId] = {
+            guildId: legacy.guildId,
+            calendarId: legacy.calendarId,
+            syncToken: legacy.syncToken || null,
+            lastFullSyncAt: legacy.lastFullSyncAt || null,
+            conflicts: legacy.conflicts || [],
+            events
+        };
+    }
+
+    return { version: SNAPSHOT_VERSION, pairs };
+}
+
+// Keeps the whole snapshot in one JSON file. Saves are written to a temporary
+// file and renamed over the old one, so a crash mid-write never leaves a
+// truncated file behind. Concurrent saves are applied one after another.
+class JsonMappingStore {
+    constructor({ filePath, legacyPairId, readOnly = false, log = () => {} }) {
+        this.filePath = filePath;
+        this.legacyPairId = legacyPairId;
+        this.readOnly = readOnly;
+        this.log = log;
+        this.writeChain = Promise.resolve();
+    }
+
+    async open() {
+        if (!this.readOnly) {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        }
+    }
+
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        if (data.version !== SNAPSHOT_VERSION) {
+            this.log('info', `Migrating ${path.basename(this.filePath)} to mapping format v${SNAPSHOT_VERSION}`);
+        }
+
+        return migrateLegacyMappings(data, this.legacyPairId);
+    }
+
+    async save(snapshot) {
+        const write = this.writeChain.then(() => this.writeAtomically(snapshot));
+        this.writeChain = write.catch(() => {});
+        return write;
+    }
+
+    async writeAtomically(snapshot) {
+        const tempFile = `${this.filePath}.${process.pid}.tmp`;
+        const handle = await fs.open(tempFile, 'w');
+
+        try {
+            await handle.writeFile(JSON.stringify(snapshot, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.rename(tempFile, this.filePath);
+    }
+
+    async close() {
+        await this.writeChain;
+    }
+}
+
+const SQLITE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS sync_pairs (
+        pair_id TEXT PRIMARY KEY,
+        guild_id TEXT,
+        calendar_id TEXT,
+        paused INTEGER NOT NULL DEFAULT 0,
+        sync_token TEXT,
+        last_full_sync_at TEXT,
+        conflicts TEXT NOT NULL DEFAULT '[]',
+        trash TEXT NOT NULL DEFAULT '[]'
+    );
+
+    CREATE TABLE IF NOT EXISTS event_mappings (
+        pair_id TEXT NOT NULL,
+        google_event_id TEXT NOT NULL,
+        discord_event_id TEXT NOT NULL,
+        origin TEXT,
+        etag TEXT,
+        fingerprint TEXT,
+        discord_updated_at INTEGER,
+        all_day INTEGER NOT NULL DEFAULT 0,
+        ends_at TEXT,
+        recurrence TEXT,
+        reminders TEXT,
+        cover TEXT,
+        added_attendees TEXT,
+        created_at TEXT,
+        last_synced_at TEXT,
+        PRIMARY KEY (pair_id, google_event_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS event_mappings_discord ON event_mappings (pair_id, discord_event_id);
+
+    CREATE TABLE IF NOT EXISTS user_emails (
+        discord_user_id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        linked_at TEXT
+    );
+`;
+
+// Embedded SQLite database (better-sqlite3). On first use it imports the
+// existing JSON mappings file once and renames it to *.migrated. Read-only, e.g.
+// for a dry run, it opens an existing database without changing it, or else
+// imports the JSON file into memory.
+class SqliteMappingStore {
+    constructor({ filePath, legacyJsonFile, legacyPairId, readOnly = false, log = () => {} }) {
+        this.filePath = filePath;
+        this.legacyJsonFile = legacyJsonFile;
+        this.legacyPairId = legacyPairId;
+        this.readOnly = readOnly;
+        this.log = log;
+        this.db = null;
+    }
+
+    async open() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite storage backend needs the better-sqlite3 package: npm install better-sqlite3');
+        }
+
+        if (this.readOnly) {
+            const exists = await fs.access(this.filePath).then(() => true, () => false);
+            this.db = exists ? new Database(this.filePath, { readonly: true }) : new Database(':memory:');
+            if (!exists) {
+                this.db.exec(SQLITE_SCHEMA);
+                await this.migrateFromJson();
+            }
+            return;
+        }
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SQLITE_SCHEMA);
+        this.ensureColumn('sync_pairs', 'paused', 'INTEGER NOT NULL DEFAULT 0');
+        this.ensureColumn('sync_pairs', 'trash', "TEXT NOT NULL DEFAULT '[]'");
+        this.ensureColumn('event_mappings', 'recurrence', 'TEXT');
+        this.ensureColumn('event_mappings', 'all_day', 'INTEGER NOT NULL DEFAULT 0');
+        this.ensureColumn('event_mappings', 'ends_at', 'TEXT');
+        this.ensureColumn('event_mappings', 'reminders', 'TEXT');
+        this.ensureColumn('event_mappings', 'cover', 'TEXT');
+        this.ensureColumn('event_mappings', 'added_attendees', 'TEXT');
+
+        await this.migrateFromJson();
+    }
+
+    // Adds columns introduced after a database was first created
+    ensureColumn(table, column, definition) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some(existing => existing.name === column)) {
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    async migrateFromJson() {
+        const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM sync_pairs').get();
+        if (count > 0 || !this.legacyJsonFile) {
+            return;
+        }
+
+        const snapshot = await new JsonMappingStore({
+            filePath: this.legacyJsonFile,
+            legacyPairId: this.legacyPairId
+        }).load();
+
+        if (!snapshot) {
+            return;
+        }
+
+        await this.save(snapshot);
+        if (this.readOnly) {
+            return;
+        }
+        await fs.rename(this.legacyJsonFile, `${this.legacyJsonFile}.migrated`);
+        this.log('info', `Imported ${path.basename(this.legacyJsonFile)} into ${path.basename(this.filePath)}`);
+    }
+
+    async load() {
+        const pairRows = this.db.prepare('SELECT * FROM sync_pairs').all();
+        if (pairRows.length === 0) {
+            return null;
+        }
+
+        const selectEvents = this.db.prepare('SELECT * FROM event_mappings WHERE pair_id = ?');
+        const pairs = {};
+
+        for (const row of pairRows) {
+            const events = {};
+            for (const event of selectEvents.all(row.pair_id)) {
+                events[event.google_event_id] = {
+                    discordEventId: event.discord_event_id,
+                    origin: event.origin,
+                    etag: event.etag,
+                    fingerprint: event.fingerprint ? JSON.parse(event.fingerprint) : null,
+                    discordUpdatedAt: event.discord_updated_at,
+                    allDay: !!event.all_day,
+                    endsAt: event.ends_at,
+                    recurrence: event.recurrence ? JSON.parse(event.recurrence) : null,
+                    reminders: event.reminders ? JSON.parse(event.reminders) : null,
+                    cover: event.cover ? JSON.parse(event.cover) : null,
+                    addedAttendees: event.added_attendees ? JSON.parse(event.added_attendees) : null,
+                    createdAt: event.created_at,
+                    lastSyncedAt: event.last_synced_at
+                };
+            }
+
+            pairs[row.pair_id] = {
+                guildId: row.guild_id,
+                calendarId: row.calendar_id,
+                paused: !!row.paused,
+                syncToken: row.sync_token,
+                lastFullSyncAt: row.last_full_sync_at,
+                conflicts: JSON.parse(row.conflicts),
+                trash: JSON.parse(row.trash),
+                events
+            };
+        }
+
+        const userEmails = {};
+        for (const row of this.db.prepare('SELECT * FROM user_emails').all()) {
+            userEmails[row.discord_user_id] = { email: row.email, linkedAt: row.linked_at };
+        }
+
+        return { version: SNAPSHOT_VERSION, pairs, userEmails };
+    }
+
+    async save(snapshot) {
+        const upsertPair = this.db.prepare(`
+            INSERT INTO sync_pairs (pair_id, guild_id, calendar_id, paused, sync_token, last_full_sync_at, conflicts, trash)
+            VALUES (@pairId, @guildId, @calendarId, @paused, @syncToken, @lastFullSyncAt, @conflicts, @trash)
+            ON CONFLICT (pair_id) DO UPDATE SET
+                guild_id = excluded.guild_id,
+                calendar_id = excluded.calendar_id,
+                paused = excluded.paused,
+                sync_token = excluded.sync_token,
+                last_full_sync_at = excluded.last_full_sync_at,
+                conflicts = excluded.conflicts,
+                trash = excluded.trash
+        `);
+        const deleteEvents = this.db.prepare('DELETE FROM event_mappings WHERE pair_id = ?');
+        const insertEvent = this.db.prepare(`
+            INSERT INTO event_mappings (pair_id, google_event_id, discord_event_id, origin, etag,
+                fingerprint, discord_updated_at, all_day, ends_at, recurrence, reminders, cover, added_attendees, created_at, last_synced_at)
+            VALUES (@pairId, @googleEventId, @discordEventId, @origin, @etag,
+                @fingerprint, @discordUpdatedAt, @allDay, @endsAt, @recurrence, @reminders, @cover, @addedAttendees, @createdAt, @lastSyncedAt)
+        `);
+
+        const deleteUserEmails = this.db.prepare('DELETE FROM user_emails');
+        const insertUserEmail = this.db.prepare(`
+            INSERT INTO user_emails (discord_user_id, email, linked_at) VALUES (@userId, @email, @linkedAt)
+        `);
+
+        // One transaction per save: either the whole snapshot lands or nothing does
+        this.db.transaction(() => {
+            for (const [pairId, pair] of Object.entries(snapshot.pairs)) {
+                upsertPair.run({
+                    pairId,
+                    guildId: pair.guildId || null,
+                    calendarId: pair.calendarId || null,
+                    paused: pair.paused ? 1 : 0,
+                    syncToken: pair.syncToken || null,
+                    lastFullSyncAt: pair.lastFullSyncAt || null,
+                    conflicts: JSON.stringify(pair.conflicts || []),
+                    trash: JSON.stringify(pair.trash || [])
+                });
+
+                deleteEvents.run(pairId);
+                for (const [googleEventId, event] of Object.entries(pair.events || {})) {
+                    insertEvent.run({
+                        pairId,
+                        googleEventId,
+                        discordEventId: event.discordEventId,
+                        origin: event.origin || null,
+                        etag: event.etag || null,
+                        fingerprint: event.fingerprint ? JSON.stringify(event.fingerprint) : null,
+                        discordUpdatedAt: event.discordUpdatedAt || null,
+                        allDay: event.allDay ? 1 : 0,
+                        endsAt: event.endsAt || null,
+                        recurrence: event.recurrence ? JSON.stringify(event.recurrence) : null,
+                        reminders: event.reminders ? JSON.stringify(event.reminders) : null,
+                        cover: event.cover ? JSON.stringify(event.cover) : null,
+                        addedAttendees: event.addedAttendees?.length ? JSON.stringify(event.addedAttendees) : null,
+                        createdAt: event.createdAt || null,
+                        lastSyncedAt: event.lastSyncedAt || null
+                    });
+                }
+            }
+
+            deleteUserEmails.run();
+            for (const [userId, link] of Object.entries(snapshot.userEmails || {})) {
+                insertUserEmail.run({ userId, email: link.email, linkedAt: link.linkedAt || null });
+            }
+        })();
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+function createMappingStore(storageConfig, { legacyPairId, readOnly = false, log }) {
+    switch (storageConfig.backend) {
+        case 'sqlite':
+            return new SqliteMappingStore({
+                filePath: storageConfig.sqlitePath,
+                legacyJsonFile: storageConfig.mappingsFile,
+                legacyPairId,
+                readOnly,
+                log
+            });
+        case 'json':
+            return new JsonMappingStore({ filePath: storageConfig.mappingsFile, legacyPairId, readOnly, log });
+        default:
+            throw new Error(`Unknown storage backend: ${storageConfig.backend}`);
+    }
+}
+
+module.exports = {
+    SNAPSHOT_VERSION,
+    JsonMappingStore,
+    SqliteMappingStore,
+    createMappingStore,
+    migrateLegacyMappings
+};
@@ -0,0 +1,171 @@
+// Counters and timings for the /metrics endpoint, in the Prometheus text format.
+// What the sync pairs already count (events per direction, syncs, conflicts) is
+// read from their stats when the metrics are scraped.
+
+const { classifyError } = require('./rate-limiter');
+
+const SYNC_DURATION_BUCKETS = [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// 401 and 403 mean the credentials no longer work, not that one request failed,
+// except for the 403s Google sends when a rate limit is exceeded
+const AUTH_ERROR_STATUSES = [401, 403];
+
+function getErrorStatus(error) {
+    const status = error?.response?.status || error?.status || error?.code;
+    return Number.isInteger(status) && status >= 100 && status < 600 ? status : null;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function toSeconds(isoTime) {
+    return isoTime ? new Date(isoTime).getTime() / 1000 : null;
+}
+
+class Metrics {
+    constructor() {
+        // "api|status" -> count
+        this.apiErrors = new Map();
+        this.retries = 0;
+        // api -> rate-limited responses
+        this.rateLimits = { discord: 0, google: 0 };
+        // pair ID -> { buckets, sum, count }
+        this.syncDurations = new Map();
+        // api -> { lastSuccessAt, lastAuthErrorAt } in ms, for readiness
+        this.apiStatus = {
+            discord: { lastSuccessAt: null, lastAuthErrorAt: null },
+            google: { lastSuccessAt: null, lastAuthErrorAt: null }
+        };
+    }
+
+    recordApiSuccess(api) {
+        this.apiStatus[api].lastSuccessAt = Date.now();
+    }
+
+    recordApiError(api, error) {
+        const status = getErrorStatus(error);
+        const key = `${api}|${status || 'unknown'}`;
+        this.apiErrors.set(key, (this.apiErrors.get(key) || 0) + 1);
+
+        if (AUTH_ERROR_STATUSES.includes(status) && classifyError(error).type !== 'rate-limit') {
+            this.apiStatus[api].lastAuthErrorAt = Date.now();
+        }
+    }
+
+    recordRateLimit(api) {
+        this.rateLimits[api]++;
+    }
+
+    recordRetry() {
+        this.retries++;
+    }
+
+    observeSyncDuration(pairId, seconds) {
+        if (!this.syncDurations.has(pairId)) {
+            this.syncDurations.set(pairId, { buckets: SYNC_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const histogram = this.syncDurations.get(pairId);
+        SYNC_DURATION_BUCKETS.forEach((bound, index) => {
+            if (seconds <= bound) {
+                histogram.buckets[index]++;
+            }
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    // Whether the API worked since the credentials were last rejected
+    isApiWorking(api) {
+        const { lastSuccessAt, lastAuthErrorAt } = this.apiStatus[api];
+        return lastSuccessAt !== null && (lastAuthErrorAt === null || lastSuccessAt > lastAuthErrorAt);
+    }
+
+    render(bot) {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value, suffix = ''] of samples) {
+                if (value !== null && value !== undefined) {
+                    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+                }
+            }
+        };
+        const pairs = Array.from(bot.syncPairs.values());
+
+        metric('calendar_sync_up', 'gauge', 'Whether the Discord client is connected.', [
+            [{}, bot.client.isReady() ? 1 : 0]
+        ]);
+
+        metric('calendar_sync_ready', 'gauge', 'Whether the bot passes its readiness checks.', [
+            [{}, bot.getReadiness().ready ? 1 : 0]
+        ]);
+
+        const durationSamples = [];
+        for (const [pairId, { buckets, sum, count }] of this.syncDurations) {
+            SYNC_DURATION_BUCKETS.forEach((bound, index) => {
+                durationSamples.push([{ pair: pairId, le: bound }, buckets[index], '_bucket']);
+            });
+            durationSamples.push([{ pair: pairId, le: '+Inf' }, count, '_bucket']);
+            durationSamples.push([{ pair: pairId }, sum, '_sum']);
+            durationSamples.push([{ pair: pairId }, count, '_count']);
+        }
+        metric('calendar_sync_duration_seconds', 'histogram', 'Duration of calendar syncs.', durationSamples);
+
+        metric('calendar_sync_runs_total', 'counter', 'Calendar syncs by result.', pairs.flatMap(pair => [
+            [{ pair: pair.id, result: 'success' }, pair.stats.syncCount],
+            [{ pair: pair.id, result: 'failure' }, pair.stats.failedSyncs]
+        ]));
+
+        metric('calendar_sync_events_total', 'counter', 'Events created, updated and deleted by direction.', pairs.flatMap(pair =>
+            ['googleToDiscord', 'discordToGoogle'].flatMap(direction =>
+                Object.entries(pair.stats[direction]).map(([action, count]) => [{ pair: pair.id, direction, action }, count])
+            )
+        ));
+
+        metric('calendar_sync_conflicts_total', 'counter', 'Events edited on both sides between syncs.', pairs.map(pair =>
+            [{ pair: pair.id }, pair.stats.conflicts]
+        ));
+
+        metric('calendar_sync_last_success_timestamp_seconds', 'gauge', 'When the last successful sync finished.', pairs.map(pair =>
+            [{ pair: pair.id }, toSeconds(pair.stats.lastSyncCompletedAt)]
+        ));
+
+        metric('calendar_sync_event_mappings', 'gauge', 'Synced Google and Discord event pairs.', pairs.map(pair =>
+            [{ pair: pair.id }, pair.googleToDiscordMap.size]
+        ));
+
+        metric('calendar_sync_api_errors_total', 'counter', 'Failed Discord and Google API requests by HTTP status.',
+            Array.from(this.apiErrors, ([key, count]) => {
+                const [api, status] = key.split('|');
+                return [{ api, status }, count];
+            })
+        );
+
+        metric('calendar_sync_retries_total', 'counter', 'Operations retried after a failure.', [
+            [{}, this.retries]
+        ]);
+
+        metric('calendar_sync_rate_limits_total', 'counter', 'Times an API asked the bot to slow down.',
+            Object.entries(this.rateLimits).map(([api, count]) => [{ api }, count])
+        );
+
+        metric('calendar_sync_queue_depth', 'gauge', 'Requests waiting for the rate limiter.', [
+            [{ queue: 'discord' }, bot.discordQueue.length],
+            [{ queue: 'google' }, bot.googleQueue.length]
+        ]);
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = { Metrics, getErrorStatus };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+// A new channel is set up this long before the current one expires
+const MAX_RENEW_BEFORE_MS = 60 * 60 * 1000;
+// Google sends a "sync" message as soon as a channel is created; without one
+// the webhook is not reachable from Google
+const CONFIRM_TIMEOUT_MS = 60 * 1000;
+// How long to poll before trying to set up a channel again after a failure
+const WATCH_RETRY_MS = 30 * 60 * 1000;
+// setTimeout cannot wait longer than about 24.8 days
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function validatePush(push) {
+    if (!push.enabled) {
+        return;
+    }
+    if (!push.webhookUrl || !/^https:\/\//.test(push.webhookUrl)) {
+        throw new Error(`GOOGLE_PUSH_WEBHOOK_URL must be a public https:// URL when push notifications are enabled (got ${push.webhookUrl})`);
+    }
+    if (!(push.debounceSeconds >= 0) || !(push.channelTtlHours > 0) || !(push.pollIntervalMinutes > 0)) {
+        throw new Error('GOOGLE_PUSH_DEBOUNCE_SECONDS must be >= 0, GOOGLE_PUSH_CHANNEL_TTL_HOURS and GOOGLE_PUSH_POLL_INTERVAL_MINUTES > 0');
+    }
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Google Calendar push notifications. Each pair's calendar is watched through a
+// channel that posts to the webhook on the bot's HTTP server whenever an event
+// changes; a short debounce later that pair is synced. Channels are renewed
+// before they expire. While a pair's channel works, its scheduled syncs only
+// run every pollIntervalMinutes as a safety net; without one they poll as usual.
+class PushNotifications {
+    constructor(bot) {
+        this.bot = bot;
+        this.settings = bot.config.push;
+        this.webhookPath = this.settings.webhookUrl ? new URL(this.settings.webhookUrl).pathname : null;
+        // channel ID -> { id, pair, resourceId, token, expiration, confirmed }
+        this.channels = new Map();
+        // pair ID -> current channel ID
+        this.pairChannels = new Map();
+        // pair ID -> pending renewal, retry or confirmation check
+        this.watchTimers = new Map();
+        this.confirmTimers = new Map();
+        // pair ID -> debounced sync
+        this.syncTimers = new Map();
+        this.stopped = false;
+    }
+
+    async start() {
+        if (!this.settings.enabled) {
+            return;
+        }
+        if (!this.bot.healthServer) {
+            this.bot.log('warn', 'Google push notifications need the HTTP server (HEALTH_CHECK_ENABLED), polling instead');
+            return;
+        }
+
+        for (const pair of this.bot.syncPairs.values()) {
+            await this.watch(pair);
+        }
+    }
+
+    // Whether notifications for the pair's calendar are arriving
+    isActive(pair) {
+        return this.channels.get(this.pairChannels.get(pair.id))?.confirmed === true;
+    }
+
+    // For /health: null when push notifications are off
+    getStatus() {
+        if (!this.settings.enabled) {
+            return null;
+        }
+        return Array.from(this.bot.syncPairs.values(), (pair) => {
+            const channel = this.channels.get(this.pairChannels.get(pair.id));
+            return {
+                pair: pair.id,
+                active: channel?.confirmed === true,
+                expiresAt: channel?.expiration ? new Date(channel.expiration).toISOString() : null
+            };
+        });
+    }
+
+    async watch(pair) {
+        const ttlMs = this.settings.channelTtlHours * 60 * 60 * 1000;
+        const channel = {
+            id: crypto.randomUUID(),
+            pair,
+            resourceId: null,
+            token: crypto.randomBytes(24).toString('hex'),
+            expiration: null,
+            confirmed: false
+        };
+
+        try {
+            // Registered before the request: Google's "sync" message may arrive before it returns
+            this.channels.set(channel.id, channel);
+            const { data } = await this.bot.queueGoogleRequest(async () => {
+                return await this.bot.calendar.events.watch({
+                    calendarId: pair.calendarId,
+                    requestBody: {
+                        id: channel.id,
+                        type: 'web_hook',
+                        address: this.settings.webhookUrl,
+                        token: channel.token,
+                        params: { ttl: String(Math.round(ttlMs / 1000)) }
+                    }
+                });
+            }, pair.calendarId);
+
+            channel.resourceId = data.resourceId;
+            channel.expiration = Number(data.expiration) || Date.now() + ttlMs;
+        } catch (error) {
+            this.channels.delete(channel.id);
+            if (this.stopped) {
+                return;
+            }
+            this.bot.log('warn', `[${pair.id}] Could not watch Google Calendar for changes, polling instead`, error);
+            this.scheduleWatch(pair, WATCH_RETRY_MS);
+            return;
+        }
+
+        // The bot was stopped while the channel was being set up
+        if (this.stopped) {
+            await this.stopChannel(channel.id);
+            return;
+        }
+
+        // The old channel is only stopped once the new one exists, so no change is missed
+        const previousId = this.pairChannels.get(pair.id);
+        this.pairChannels.set(pair.id, channel.id);
+        if (previousId) {
+            await this.stopChannel(previousId);
+        }
+
+        const lifetime = channel.expiration - Date.now();
+        this.scheduleWatch(pair, lifetime - Math.min(MAX_RENEW_BEFORE_MS, lifetime / 10));
+        this.scheduleConfirmCheck(pair, channel);
+        this.bot.log('info', `[${pair.id}] Watching Google Calendar for changes until ${new Date(channel.expiration).toISOString()}`);
+    }
+
+    scheduleWatch(pair, delayMs) {
+        clearTimeout(this.watchTimers.get(pair.id));
+        if (this.stopped) {
+            return;
+        }
+        this.watchTimers.set(pair.id, setTimeout(() => this.watch(pair), Math.min(Math.max(0, delayMs), MAX_TIMER_MS)));
+    }
+
+    scheduleConfirmCheck(pair, channel) {
+        clearTimeout(this.confirmTimers.get(pair.id));
+        this.confirmTimers.set(pair.id, setTimeout(async () => {
+            this.confirmTimers.delete(pair.id);
+            if (channel.confirmed || this.pairChannels.get(pair.id) !== channel.id) {
+                return;
+            }
+
+            this.bot.log('warn', `[${pair.id}] No push notification arrived at ${this.settings.webhookUrl}, polling instead. Is the webhook reachable from the internet?`);
+            this.pairChannels.delete(pair.id);
+            await this.stopChannel(channel.id);
+            this.scheduleWatch(pair, WATCH_RETRY_MS);
+        }, CONFIRM_TIMEOUT_MS));
+    }
+
+    async stopChannel(channelId) {
+        const channel = this.channels.get(channelId);
+        if (!channel) {
+            return;
+        }
+        this.channels.delete(channelId);
+
+        try {
+            await this.bot.queueGoogleRequest(async () => {
+                await this.bot.calendar.channels.stop({ requestBody: { id: channel.id, resourceId: channel.resourceId } });
+            }, channel.pair.calendarId);
+        } catch (error) {
+            // It expires on its own; notifications for it are ignored until then
+            this.bot.log('debug', `[${channel.pair.id}] Could not stop push channel ${channelId}`, error);
+        }
+    }
+
+    // A notification from Google; returns the HTTP status to answer with
+    handleNotification(headers) {
+        const channel = this.channels.get(headers['x-goog-channel-id']);
+        if (!channel) {
+            // For example a channel of an earlier run of the bot that has not expired yet
+            this.bot.log('debug', `Ignoring push notification for unknown channel ${headers['x-goog-channel-id']}`);
+            return 404;
+        }
+        if (!safeEqual(headers['x-goog-channel-token'], channel.token) ||
+            (channel.resourceId && headers['x-goog-resource-id'] !== channel.resourceId)) {
+            this.bot.log('warn', `[${channel.pair.id}] Rejected push notification with a wrong token or resource ID`);
+            return 403;
+        }
+
+        channel.confirmed = true;
+
+        if (headers['x-goog-resource-state'] === 'sync') {
+            this.bot.log('debug', `[${channel.pair.id}] Push channel ${channel.id} confirmed`);
+            return 200;
+        }
+
+        this.bot.log('debug', `[${channel.pair.id}] Push notification #${headers['x-goog-message-number']}: ${headers['x-goog-resource-state']}`);
+        this.scheduleSync(channel.pair);
+        return 200;
+    }
+
+    // Changes often come in bursts, e.g. a recurring series being edited; the
+    // notifications within the debounce time lead to one sync
+    scheduleSync(pair) {
+        if (this.syncTimers.has(pair.id) || this.stopped) {
+            return;
+        }
+
+        this.syncTimers.set(pair.id, setTimeout(() => {
+            this.syncTimers.delete(pair.id);
+
+            // Changes made while a sync runs may have been listed too late; check again afterwards
+            if (pair.syncing) {
+                this.scheduleSync(pair);
+                return;
+            }
+
+            this.bot.log('info', `[${pair.id}] Google Calendar changed, syncing`);
+            this.bot.syncCalendarToDiscord(pair);
+        }, this.settings.debounceSeconds * 1000));
+    }
+
+    async stop() {
+        this.stopped = true;
+        for (const timers of [this.watchTimers, this.confirmTimers, this.syncTimers]) {
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+        }
+
+        await Promise.all(Array.from(this.channels.keys(), channelId => this.stopChannel(channelId)));
+        this.pairChannels.clear();
+    }
+}
+
+module.exports = { PushNotifications, validatePush };
@@ -0,0 +1,226 @@
+// Queues API requests and sends them as fast as the API allows. Every limiter
+// has the configured overall rate, and requests can name a bucket whose state
+// is learned from the API: how many requests are left until it resets, or a
+// pause after a rate-limited response. A bucket waiting for its reset does not
+// hold up requests to other buckets.
+
+// Used when a rate-limited response does not say how long to wait
+const DEFAULT_RATE_LIMIT_PAUSE_MS = 1000;
+
+const TRANSIENT_STATUSES = [408, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+// Google reports per-user and per-calendar limits as 403s with these reasons
+const GOOGLE_RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+function getHeader(headers, name) {
+    if (!headers) {
+        return null;
+    }
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+function getStatus(error) {
+    const status = error?.response?.status ?? error?.status ?? error?.code;
+    return Number.isInteger(status) ? status : null;
+}
+
+function getRetryAfterMs(error) {
+    // discord.js RateLimitError
+    if (Number.isFinite(error.retryAfter)) {
+        return error.retryAfter;
+    }
+    // Discord's 429 body gives seconds
+    if (Number.isFinite(error.rawError?.retry_after)) {
+        return error.rawError.retry_after * 1000;
+    }
+
+    const retryAfter = getHeader(error.response?.headers, 'retry-after');
+    if (retryAfter === null || retryAfter === undefined) {
+        return null;
+    }
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+        return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getGoogleReasons(error) {
+    const errors = error.errors || error.response?.data?.error?.errors || [];
+    return errors.map(entry => entry.reason);
+}
+
+// Whether an error is worth retrying:
+//   rate-limit  the API asked us to slow down; wait retryAfterMs if it said how long
+//   transient   network trouble or a server error; retry with backoff
+//   permanent   the request itself was rejected, e.g. a 400 or 404; retrying will not help
+function classifyError(error) {
+    if (!error) {
+        return { type: 'permanent', retryAfterMs: null };
+    }
+
+    const status = getStatus(error);
+    if (error.name === 'RateLimitError' || status === 429 ||
+        (status === 403 && getGoogleReasons(error).some(reason => GOOGLE_RATE_LIMIT_REASONS.includes(reason)))) {
+        return { type: 'rate-limit', retryAfterMs: getRetryAfterMs(error), global: error.global === true };
+    }
+
+    if (TRANSIENT_STATUSES.includes(status) || (status >= 500 && status < 600) ||
+        TRANSIENT_CODES.includes(error.code) || TRANSIENT_CODES.includes(error.cause?.code) ||
+        error.name === 'AbortError') {
+        return { type: 'transient', retryAfterMs: null };
+    }
+
+    // Other HTTP errors, and mistakes in our own code, fail the same way every time
+    if ((status >= 400 && status < 500) || error instanceof TypeError || error instanceof RangeError) {
+        return { type: 'permanent', retryAfterMs: null };
+    }
+
+    return { type: 'transient', retryAfterMs: null };
+}
+
+// Discord rate limits are per route and major parameter, and the scheduled
+// event routes the bot uses all hang off a guild: /guilds/123/scheduled-events/456
+// belongs to the bucket /guilds/123
+function getDiscordBucket(path) {
+    const match = /\/(guilds|channels)\/(\d+)/.exec(path || '');
+    return match ? `/${match[1]}/${match[2]}` : null;
+}
+
+class RateLimiter {
+    constructor({ name, limit, windowMs, maxQueueSize = 500, onRateLimited = null }) {
+        this.name = name;
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.maxQueueSize = maxQueueSize;
+        this.onRateLimited = onRateLimited;
+        this.queue = [];
+        this.timer = null;
+        // The configured overall rate
+        this.window = { remaining: limit, resetAt: 0 };
+        // Everything waits until then, e.g. after a global rate limit
+        this.pausedUntil = 0;
+        // bucket -> { limit, remaining, resetAt } as reported by the API
+        this.buckets = new Map();
+    }
+
+    get length() {
+        return this.queue.length;
+    }
+
+    schedule(fn, bucket = null) {
+        if (this.queue.length >= this.maxQueueSize) {
+            const error = new Error(`${this.name} request queue is full (${this.maxQueueSize} requests waiting)`);
+            error.code = 'QUEUE_FULL';
+            return Promise.reject(error);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.queue.push({ fn, bucket, resolve, reject });
+            this.process();
+        });
+    }
+
+    process() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        for (let index = 0; index < this.queue.length;) {
+            if (now >= this.window.resetAt) {
+                this.window = { remaining: this.limit, resetAt: now + this.windowMs };
+            }
+            if (this.pausedUntil > now || this.window.remaining <= 0) {
+                wakeAt = Math.min(wakeAt, Math.max(this.pausedUntil, this.window.resetAt));
+                break;
+            }
+
+            const request = this.queue[index];
+            const bucketResetAt = this.getBucketResetAt(request.bucket, now);
+            if (bucketResetAt > now) {
+                wakeAt = Math.min(wakeAt, bucketResetAt);
+                index++;
+                continue;
+            }
+
+            this.queue.splice(index, 1);
+            this.window.remaining--;
+            const state = this.buckets.get(request.bucket);
+            if (state) {
+                state.remaining--;
+            }
+            this.run(request);
+        }
+
+        if (this.queue.length > 0 && wakeAt < Infinity) {
+            this.timer = setTimeout(() => this.process(), Math.max(0, wakeAt - now));
+        }
+    }
+
+    // When the bucket has requests left again; 0 if it has some now
+    getBucketResetAt(bucket, now) {
+        const state = this.buckets.get(bucket);
+        if (!state) {
+            return 0;
+        }
+        if (now >= state.resetAt) {
+            this.buckets.delete(bucket);
+            return 0;
+        }
+        return state.remaining > 0 ? 0 : state.resetAt;
+    }
+
+    run({ fn, bucket, resolve, reject }) {
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, (error) => {
+                const { type, retryAfterMs, global } = classifyError(error);
+                if (type === 'rate-limit') {
+                    const pauseMs = retryAfterMs ?? DEFAULT_RATE_LIMIT_PAUSE_MS;
+                    this.pause(global ? null : bucket, pauseMs);
+                    this.onRateLimited?.({ bucket: global ? null : bucket, pauseMs });
+                }
+                reject(error);
+            });
+    }
+
+    // State from the API's rate-limit headers
+    updateBucket(bucket, { limit, remaining, resetAfterMs }) {
+        if (!bucket) {
+            return;
+        }
+        this.buckets.set(bucket, { limit, remaining, resetAt: Date.now() + resetAfterMs });
+        this.process();
+    }
+
+    // Holds back a bucket, or everything without one, for a while
+    pause(bucket, ms) {
+        const until = Date.now() + ms;
+        if (bucket) {
+            const state = this.buckets.get(bucket);
+            this.buckets.set(bucket, { limit: state?.limit ?? 1, remaining: 0, resetAt: Math.max(until, state?.resetAt ?? 0) });
+        } else {
+            this.pausedUntil = Math.max(this.pausedUntil, until);
+        }
+        this.process();
+    }
+
+    // Fails whatever is still waiting, e.g. on shutdown
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        for (const { reject } of this.queue.splice(0)) {
+            reject(new Error(`${this.name} request queue stopped`));
+        }
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    classifyError,
+    getDiscordBucket,
+    getHeader
+};
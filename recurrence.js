@@ -0,0 +1,109 @@
+// Helpers for mapping Google recurring series onto Discord and back
+
+// Discord frequency enum (GuildScheduledEventRecurrenceRuleFrequency) → RRULE FREQ
+const DISCORD_FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY'];
+
+// Discord weekday enum starts at Monday = 0
+const RRULE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Shorthands accepted in a [recurring: ...] description marker
+const MARKER_KEYWORDS = {
+    daily: 'FREQ=DAILY',
+    weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+    weekly: 'FREQ=WEEKLY',
+    biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+    monthly: 'FREQ=MONTHLY',
+    yearly: 'FREQ=YEARLY'
+};
+
+const MARKER_PATTERN = /[ \t]*\[recurring:\s*([^\]]+)\]/i;
+
+// Mapping key for a Google event: every instance of a series maps to the series
+function getSeriesKey(calEvent) {
+    return calEvent.recurringEventId || calEvent.id;
+}
+
+function isRecurringInstance(calEvent) {
+    return !!calEvent.recurringEventId;
+}
+
+function toUntil(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Converts a discord.js recurrence rule into an RRULE line
+function discordRuleToRRule(rule) {
+    const parts = [`FREQ=${DISCORD_FREQUENCIES[rule.frequency]}`];
+
+    if (rule.interval && rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byWeekday?.length) {
+        parts.push(`BYDAY=${rule.byWeekday.map(day => RRULE_WEEKDAYS[day]).join(',')}`);
+    }
+    if (rule.byNWeekday?.length) {
+        parts.push(`BYDAY=${rule.byNWeekday.map(({ n, day }) => `${n}${RRULE_WEEKDAYS[day]}`).join(',')}`);
+    }
+    if (rule.byMonth?.length) {
+        parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    }
+    if (rule.byMonthDay?.length) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    } else if (rule.endTimestamp) {
+        parts.push(`UNTIL=${toUntil(rule.endTimestamp)}`);
+    }
+
+    return `RRULE:${parts.join(';')}`;
+}
+
+// Looks for "[recurring: weekly]" or "[recurring: FREQ=WEEKLY;INTERVAL=2]" in a
+// Discord description. Returns the RRULE and the description without the marker.
+function parseRecurrenceMarker(description) {
+    const match = description?.match(MARKER_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const value = match[1].trim();
+    const rule = MARKER_KEYWORDS[value.toLowerCase()] || value.replace(/^RRULE:/i, '').toUpperCase();
+    if (!/^FREQ=(DAILY|WEEKLY|MONTHLY|YEARLY)/.test(rule)) {
+        return null;
+    }
+
+    return {
+        rrule: `RRULE:${rule}`,
+        description: description.replace(MARKER_PATTERN, '').trim()
+    };
+}
+
+// The RRULE a Discord event should get in Google, if it is meant to recur
+function getDiscordRecurrence(discordEvent) {
+    if (discordEvent.recurrenceRule) {
+        return discordRuleToRRule(discordEvent.recurrenceRule);
+    }
+    return parseRecurrenceMarker(discordEvent.description)?.rrule || null;
+}
+
+function getEventEnd(calEvent) {
+    return new Date(calEvent.end.dateTime || calEvent.end.date);
+}
+
+// The instance a series is shown as in Discord: the earliest one that has
+// not ended and was not cancelled
+function pickCurrentInstance(instances, now = new Date()) {
+    return instances
+        .filter(instance => instance.status !== 'cancelled' && getEventEnd(instance) > now)
+        .sort((a, b) => new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date))[0] || null;
+}
+
+module.exports = {
+    getSeriesKey,
+    isRecurringInstance,
+    discordRuleToRRule,
+    parseRecurrenceMarker,
+    getDiscordRecurrence,
+    pickCurrentInstance
+};
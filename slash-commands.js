@@ -0,0 +1,398 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { getDiscordFields, createFingerprint } = require('./event-fingerprint');
+
+// Discord caps message content at 2000 characters
+const MAX_REPLY_LENGTH = 1900;
+
+function buildSyncCommand() {
+    const pairOption = option => option
+        .setName('pair')
+        .setDescription('Sync pair ID (defaults to every pair in this server)')
+        .setRequired(false);
+
+    return new SlashCommandBuilder()
+        .setName('sync')
+        .setDescription('Manage the Google Calendar sync')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('now')
+            .setDescription('Run a calendar sync right away')
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('status')
+            .setDescription('Show sync health and statistics'))
+        .addSubcommand(sub => sub
+            .setName('pause')
+            .setDescription('Pause syncing in both directions')
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('resume')
+            .setDescription('Resume a paused sync')
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('link')
+            .setDescription('Link an existing Discord event to an existing Google event')
+            .addStringOption(option => option
+                .setName('discord_event_id')
+                .setDescription('Discord scheduled event ID')
+                .setRequired(true))
+            .addStringOption(option => option
+                .setName('google_event_id')
+                .setDescription('Google Calendar event ID')
+                .setRequired(true))
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('unlink')
+            .setDescription('Stop syncing a Discord event without deleting either side')
+            .addStringOption(option => option
+                .setName('discord_event_id')
+                .setDescription('Discord scheduled event ID')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('list')
+            .setDescription('List synced events')
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('conflicts')
+            .setDescription('Show recent edit conflicts and how they were resolved')
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('trash')
+            .setDescription('List recently deleted events that can be restored')
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('restore')
+            .setDescription('Restore a deleted event in Google Calendar and Discord')
+            .addStringOption(option => option
+                .setName('entry_id')
+                .setDescription('ID shown by /sync trash')
+                .setRequired(true))
+            .addStringOption(pairOption))
+        .addSubcommand(sub => sub
+            .setName('approve-deletions')
+            .setDescription('Allow the next sync to make deletions the safeguard refused')
+            .addStringOption(pairOption));
+}
+
+// Lets members link their own Discord account to the email address used as
+// their Google Calendar attendee. Available to everyone.
+function buildCalendarCommand() {
+    return new SlashCommandBuilder()
+        .setName('calendar')
+        .setDescription('Link your Discord account to Google Calendar')
+        .setDMPermission(false)
+        .addSubcommand(sub => sub
+            .setName('link-email')
+            .setDescription('Be added as a Google Calendar attendee of events you are interested in')
+            .addStringOption(option => option
+                .setName('email')
+                .setDescription('Email address of your Google account')
+                .setRequired(true)))
+        .addSubcommand(sub => sub
+            .setName('unlink-email')
+            .setDescription('Stop being added to Google Calendar events'));
+}
+
+function truncateReply(lines) {
+    let reply = '';
+    for (let i = 0; i < lines.length; i++) {
+        if (reply.length + lines[i].length + 1 > MAX_REPLY_LENGTH) {
+            return `${reply}…and ${lines.length - i} more`;
+        }
+        reply += `${lines[i]}\n`;
+    }
+    return reply.trimEnd() || 'Nothing to show';
+}
+
+// Handles the /sync command family. Only members with Manage Events or one
+// of the configured admin roles may use it.
+class SyncCommands {
+    constructor(bot) {
+        this.bot = bot;
+        this.adminRoleIds = bot.config.discord.adminRoleIds;
+    }
+
+    async register(guild) {
+        try {
+            const commands = [buildSyncCommand()];
+            if (this.bot.attendeeSync.enabled) {
+                commands.push(buildCalendarCommand());
+            }
+            await guild.commands.set(commands.map(command => command.toJSON()));
+            this.bot.log('info', `Registered slash commands in ${guild.name}`);
+        } catch (error) {
+            this.bot.log('warn', `Failed to register slash commands in ${guild.name} (is the applications.commands scope granted?)`, error);
+        }
+    }
+
+    canManageSync(interaction) {
+        if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageEvents)) {
+            return true;
+        }
+
+        // Cached guild members expose a role manager, uncached ones a plain ID array
+        const roles = interaction.member?.roles;
+        const roleIds = Array.isArray(roles) ? roles : Array.from(roles?.cache?.keys() || []);
+        return roleIds.some(roleId => this.adminRoleIds.includes(roleId));
+    }
+
+    // Pairs of this guild the command applies to; throws if the requested pair is unknown
+    resolvePairs(interaction) {
+        const guildPairs = this.bot.getPairsForGuild(interaction.guildId);
+        const pairId = interaction.options.getString('pair');
+
+        if (!pairId) {
+            return guildPairs;
+        }
+
+        const pair = guildPairs.find(candidate => candidate.id === pairId);
+        if (!pair) {
+            throw new Error(`Unknown sync pair \`${pairId}\`. Pairs in this server: ${guildPairs.map(p => `\`${p.id}\``).join(', ') || 'none'}`);
+        }
+        return [pair];
+    }
+
+    async handle(interaction) {
+        if (!interaction.isChatInputCommand()) {
+            return;
+        }
+
+        if (interaction.commandName === 'calendar') {
+            await this.run(interaction, {
+                'link-email': () => this.handleLinkEmail(interaction),
+                'unlink-email': () => this.handleUnlinkEmail(interaction)
+            });
+            return;
+        }
+
+        if (interaction.commandName !== 'sync') {
+            return;
+        }
+
+        if (!this.canManageSync(interaction)) {
+            await interaction.reply({ content: 'You need the Manage Events permission or a sync admin role to use this command.', ephemeral: true });
+            return;
+        }
+
+        await this.run(interaction, {
+            now: () => this.handleSyncNow(interaction),
+            status: () => this.handleStatus(interaction),
+            pause: () => this.handlePause(interaction, true),
+            resume: () => this.handlePause(interaction, false),
+            link: () => this.handleLink(interaction),
+            unlink: () => this.handleUnlink(interaction),
+            list: () => this.handleList(interaction),
+            conflicts: () => this.handleConflicts(interaction),
+            trash: () => this.handleTrash(interaction),
+            restore: () => this.handleRestore(interaction),
+            'approve-deletions': () => this.handleApproveDeletions(interaction)
+        });
+    }
+
+    // Runs a subcommand handler and replies with its result, privately
+    async run(interaction, handlers) {
+        const command = `/${interaction.commandName} ${interaction.options.getSubcommand()}`;
+        this.bot.log('info', `${command} used by ${interaction.user.tag} in ${interaction.guild?.name || interaction.guildId}`);
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+            await interaction.editReply(await handlers[interaction.options.getSubcommand()]());
+        } catch (error) {
+            this.bot.log('error', `${command} failed`, error);
+            const content = `❌ ${error.message}`;
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(content).catch(() => {});
+            } else {
+                await interaction.reply({ content, ephemeral: true }).catch(() => {});
+            }
+        }
+    }
+
+    async handleSyncNow(interaction) {
+        const lines = [];
+        for (const pair of this.resolvePairs(interaction)) {
+            if (pair.paused) {
+                lines.push(`⏸️ \`${pair.id}\` is paused`);
+                continue;
+            }
+            // Its stats are still those of the run before
+            if (pair.syncing) {
+                lines.push(`⏳ \`${pair.id}\` is already syncing, see \`/sync status\` once it is done`);
+                continue;
+            }
+
+            await this.bot.syncCalendarToDiscord(pair);
+            lines.push(pair.stats.lastError
+                ? `❌ \`${pair.id}\` failed: ${pair.stats.lastError}`
+                : `✅ \`${pair.id}\` synced in ${pair.stats.lastSyncDurationMs}ms (${pair.stats.lastSyncType})`);
+        }
+        return truncateReply(lines);
+    }
+
+    async handleStatus(interaction) {
+        const health = await this.bot.getHealthStatus();
+        const pairStatuses = health.syncPairs.filter(status => status.guildId === interaction.guildId);
+
+        const lines = [
+            `**Discord:** ${health.discord.connected ? 'connected' : 'disconnected'} as ${health.discord.user}`,
+            `**Google:** ${health.google.authenticated ? 'authenticated' : 'not authenticated'}`,
+            `**Queues:** Discord ${health.queues.discord}, Google ${health.queues.google}`
+        ];
+
+        for (const status of pairStatuses) {
+            const { stats } = status;
+            lines.push(
+                '',
+                `**${status.id}** ${status.paused ? '⏸️ paused' : '▶️ active'} — calendar \`${status.calendarId}\``,
+                `Mappings: ${status.eventMappings.googleToDiscord} • Schedule: ${status.syncSchedule.map(expression => `\`${expression}\``).join(', ')} • Conflict policy: ${status.conflictPolicy}`,
+                `Last sync: ${stats.lastSyncCompletedAt || 'never'} (${stats.lastSyncType || 'n/a'}, ${stats.lastSyncDurationMs ?? 0}ms)` +
+                    (stats.lastError ? ` • Last error: ${stats.lastError}` : ''),
+                `Google→Discord: +${stats.googleToDiscord.created} ~${stats.googleToDiscord.updated} -${stats.googleToDiscord.deleted} • ` +
+                    `Discord→Google: +${stats.discordToGoogle.created} ~${stats.discordToGoogle.updated} -${stats.discordToGoogle.deleted} • ` +
+                    `Conflicts: ${stats.conflicts}`
+            );
+            if (status.blockedDeletions) {
+                const { count, total, detectedAt } = status.blockedDeletions;
+                lines.push(`🛑 Refused to delete ${count} of ${total} events (${detectedAt}) — see \`/sync approve-deletions\``);
+            }
+        }
+
+        return truncateReply(lines);
+    }
+
+    async handlePause(interaction, paused) {
+        const pairs = this.resolvePairs(interaction);
+        for (const pair of pairs) {
+            pair.paused = paused;
+            this.bot.log('info', `[${pair.id}] Sync ${paused ? 'paused' : 'resumed'} by ${interaction.user.tag}`);
+        }
+        await this.bot.saveEventMappings();
+
+        return `${paused ? '⏸️ Paused' : '▶️ Resumed'}: ${pairs.map(pair => `\`${pair.id}\``).join(', ')}`;
+    }
+
+    async handleLink(interaction) {
+        const discordEventId = interaction.options.getString('discord_event_id');
+        const googleEventId = interaction.options.getString('google_event_id');
+        const pairs = this.resolvePairs(interaction);
+
+        if (pairs.length !== 1) {
+            throw new Error('This server has several sync pairs, choose one with the `pair` option');
+        }
+        const [pair] = pairs;
+
+        if (this.bot.getPairsForGuild(interaction.guildId).some(candidate => candidate.hasDiscordEvent(discordEventId))) {
+            throw new Error(`Discord event ${discordEventId} is already linked`);
+        }
+        if (pair.googleToDiscordMap.has(googleEventId)) {
+            throw new Error(`Google event ${googleEventId} is already linked`);
+        }
+
+        const discordEvent = await interaction.guild.scheduledEvents.fetch(discordEventId);
+        const calEvent = await this.bot.getGoogleCalendarEvent(pair, googleEventId);
+
+        // Discord's current fields are the baseline: the next sync finds Google
+        // differing and applies its version, while Discord updates before then
+        // only count as changes if they change a synced field
+        pair.setMapping(googleEventId, discordEventId, 'linked');
+        pair.setFingerprint(googleEventId, createFingerprint(this.bot.maskRecurringTimes(discordEvent, getDiscordFields(discordEvent))));
+        await this.bot.saveEventMappings();
+
+        return `🔗 Linked **${discordEvent.name}** to Google event **${calEvent.summary || googleEventId}** in \`${pair.id}\`. The Google version is applied on the next sync.`;
+    }
+
+    async handleUnlink(interaction) {
+        const discordEventId = interaction.options.getString('discord_event_id');
+        const pair = this.bot.getPairsForGuild(interaction.guildId)
+            .find(candidate => candidate.hasDiscordEvent(discordEventId));
+
+        if (!pair) {
+            throw new Error(`Discord event ${discordEventId} is not linked to a Google event`);
+        }
+
+        const googleEventId = pair.discordToGoogleMap.get(discordEventId);
+        pair.removeMapping(googleEventId, discordEventId);
+        await this.bot.saveEventMappings();
+
+        return `✂️ Unlinked Discord event ${discordEventId} from Google event ${googleEventId}. Neither event was deleted.`;
+    }
+
+    async handleList(interaction) {
+        const lines = [];
+        for (const pair of this.resolvePairs(interaction)) {
+            lines.push(`**${pair.id}** (${pair.googleToDiscordMap.size} events)`);
+            for (const [googleEventId, discordEventId] of pair.googleToDiscordMap) {
+                const discordEvent = interaction.guild.scheduledEvents.cache.get(discordEventId);
+                const origin = pair.getMetadata(googleEventId)?.origin || 'unknown';
+                lines.push(`• ${discordEvent?.name || '(not in cache)'} — Discord \`${discordEventId}\` ↔ Google \`${googleEventId}\` (${origin})`);
+            }
+        }
+        return truncateReply(lines);
+    }
+
+    async handleConflicts(interaction) {
+        const lines = [];
+        for (const pair of this.resolvePairs(interaction)) {
+            for (const conflict of pair.conflicts.slice(-10).reverse()) {
+                lines.push(
+                    `**${conflict.discord.name || conflict.google.name}** (${pair.id}) at ${conflict.detectedAt}: ` +
+                    `Google changed [${conflict.googleChanged.join(', ')}], Discord changed [${conflict.discordChanged.join(', ')}] → ` +
+                    `${conflict.winner} (${conflict.policy})`
+                );
+            }
+        }
+        return lines.length > 0 ? truncateReply(lines) : 'No conflicts recorded';
+    }
+
+    async handleTrash(interaction) {
+        const lines = [];
+        for (const pair of this.resolvePairs(interaction)) {
+            for (const entry of pair.trash.slice().reverse()) {
+                const start = entry.discord?.scheduledStartTime || entry.google?.start?.dateTime || entry.google?.start?.date;
+                lines.push(
+                    `\`${entry.id}\` **${entry.name}**${start ? ` (${start})` : ''} — deleted in ${entry.deletedFrom === 'discord' ? 'Discord' : 'Google'} ` +
+                    `at ${entry.deletedAt} (${pair.id})`
+                );
+            }
+        }
+        return lines.length > 0 ? truncateReply(lines) : 'No deleted events to restore';
+    }
+
+    async handleRestore(interaction) {
+        const entryId = interaction.options.getString('entry_id');
+        const pair = this.resolvePairs(interaction).find(candidate => candidate.getTrashEntry(entryId));
+        if (!pair) {
+            throw new Error(`No deleted event \`${entryId}\` found, see \`/sync trash\``);
+        }
+
+        return `♻️ ${await this.bot.deletionGuard.restore(pair, entryId)}`;
+    }
+
+    async handleApproveDeletions(interaction) {
+        const pairs = this.resolvePairs(interaction).filter(pair => pair.blockedDeletions);
+        if (pairs.length === 0) {
+            return 'No deletions are waiting for approval';
+        }
+
+        for (const pair of pairs) {
+            this.bot.deletionGuard.approveDeletions(pair);
+        }
+        return `✅ The next sync of ${pairs.map(pair => `\`${pair.id}\``).join(', ')} will make the refused deletions`;
+    }
+
+    async handleLinkEmail(interaction) {
+        const email = interaction.options.getString('email').trim();
+        await this.bot.attendeeSync.linkEmail(interaction.user.id, email);
+
+        return `📧 Linked to \`${email.toLowerCase()}\`. Events you mark as interested from now on add you as a Google Calendar attendee.`;
+    }
+
+    async handleUnlinkEmail(interaction) {
+        const removed = await this.bot.attendeeSync.unlinkEmail(interaction.user.id);
+        return removed
+            ? '✂️ Your email address was removed. You will no longer be added to Google Calendar events.'
+            : 'No email address is linked to your account.';
+    }
+}
+
+module.exports = { SyncCommands, buildSyncCommand, buildCalendarCommand };
@@ -0,0 +1,285 @@
+const { getSeriesKey, isRecurringInstance } = require('./recurrence');
+const { EventFilter } = require('./event-filter');
+const { ChannelMapper } = require('./channel-mapping');
+const { compileRoute } = require('./event-routing');
+const { DEFAULT_TEMPLATES } = require('./event-templates');
+const { compileCoverRule } = require('./cover-images');
+
+// Most recent conflicts kept for review
+const MAX_CONFLICTS = 100;
+
+// Most deleted events kept for restoring, on top of the retention period
+const MAX_TRASH = 200;
+
+// Runtime state for one Google calendar → Discord guild sync pair.
+// Every pair keeps its own mappings, schedule and statistics so that
+// several calendars and guilds can be synced independently.
+class SyncPair {
+    constructor({
+        id, guildId, calendarId, syncSchedule, lookbackHours = 0, lookaheadDays = 30, conflictPolicy, filters, channelRules, announcements,
+        label = null, templates = DEFAULT_TEMPLATES, defaultLocation = null, defaultChannelId = null, routes,
+        coverRules = []
+    }) {
+        this.id = id;
+        this.guildId = guildId;
+        this.calendarId = calendarId;
+        this.syncSchedule = [].concat(syncSchedule || '*/5 * * * *'); // One or more cron expressions
+        this.lookbackHours = lookbackHours;
+        this.lookaheadDays = lookaheadDays;
+        this.conflictPolicy = conflictPolicy || 'google-wins';
+        this.filter = new EventFilter(filters);
+        this.channelMapper = new ChannelMapper(channelRules);
+        this.announcements = announcements || null;
+
+        // How this calendar's events are written to Discord and Google
+        this.label = label; // Prefix or emoji in front of Discord event names
+        this.templates = templates; // { discord: { name, description, location }, google: { summary, description, location } }
+        this.defaultLocation = defaultLocation;
+        this.defaultChannelId = defaultChannelId;
+        // Which new Discord events go to this calendar; null takes those no other pair's routes match
+        this.routes = routes ? routes.map(compileRoute) : null;
+        this.coverRules = coverRules.map(compileCoverRule); // Default Discord covers
+
+        // Sync mappings - separate tracking for each direction
+        this.googleToDiscordMap = new Map(); // Google Event ID -> Discord Event ID
+        this.discordToGoogleMap = new Map(); // Discord Event ID -> Google Event ID
+
+        // Google Event ID -> { origin, etag, fingerprint, discordUpdatedAt, allDay, endsAt, recurrence, reminders, cover, createdAt, lastSyncedAt }
+        // Recurring series are mapped by their series ID, so one Discord event stands for the whole series
+        this.eventMetadata = new Map();
+
+        // Edits made on both sides between syncs, with how they were resolved
+        this.conflicts = [];
+
+        // Deleted events that can still be restored: { id, deletedAt, deletedFrom, googleEventId, discord, google, ... }
+        this.trash = [];
+
+        // Deletions the last sync refused to make, and a one-off approval for them
+        this.blockedDeletions = null;
+        this.deletionsApproved = false;
+
+        // Incremental sync state (Google Calendar nextSyncToken)
+        this.syncToken = null;
+        this.lastFullSyncAt = null;
+
+        // Reported by Google with every event list
+        this.calendarTimeZone = null;
+        this.calendarName = null;
+
+        this.cronTasks = [];
+        this.lastScheduledRun = null;
+        this.syncing = false;
+        this.paused = false;
+
+        this.stats = {
+            syncCount: 0,
+            failedSyncs: 0,
+            lastSyncStartedAt: null,
+            lastSyncCompletedAt: null,
+            lastSyncDurationMs: null,
+            lastSyncType: null,
+            lastError: null,
+            conflicts: 0,
+            googleToDiscord: { created: 0, updated: 0, deleted: 0 },
+            discordToGoogle: { created: 0, updated: 0, deleted: 0 }
+        };
+    }
+
+    // Discord names carry the label, e.g. "🏖️ Summer Break"; Google keeps the plain title
+    labelName(name) {
+        return this.label ? `${this.label} ${name}` : name;
+    }
+
+    unlabelName(name) {
+        const prefix = `${this.label} `;
+        return this.label && name?.startsWith(prefix) ? name.slice(prefix.length) : name;
+    }
+
+    // origin is the side the event was first created on: 'google' or 'discord'
+    setMapping(googleEventId, discordEventId, origin = 'google') {
+        this.googleToDiscordMap.set(googleEventId, discordEventId);
+        this.discordToGoogleMap.set(discordEventId, googleEventId);
+        this.eventMetadata.set(googleEventId, {
+            origin,
+            etag: null,
+            fingerprint: null,
+            discordUpdatedAt: null,
+            recurrence: null,
+            createdAt: new Date().toISOString(),
+            lastSyncedAt: null
+        });
+    }
+
+    removeMapping(googleEventId, discordEventId) {
+        this.googleToDiscordMap.delete(googleEventId);
+        this.discordToGoogleMap.delete(discordEventId);
+        this.eventMetadata.delete(googleEventId);
+    }
+
+    getMetadata(googleEventId) {
+        return this.eventMetadata.get(googleEventId) || null;
+    }
+
+    updateMetadata(googleEventId, changes) {
+        const metadata = this.eventMetadata.get(googleEventId);
+        if (metadata) {
+            Object.assign(metadata, changes);
+        }
+    }
+
+    getFingerprint(googleEventId) {
+        return this.getMetadata(googleEventId)?.fingerprint || null;
+    }
+
+    setFingerprint(googleEventId, fingerprint) {
+        this.updateMetadata(googleEventId, { fingerprint, lastSyncedAt: new Date().toISOString() });
+    }
+
+    getDiscordUpdatedAt(googleEventId) {
+        return this.getMetadata(googleEventId)?.discordUpdatedAt || null;
+    }
+
+    setDiscordUpdatedAt(googleEventId, timestamp) {
+        this.updateMetadata(googleEventId, { discordUpdatedAt: timestamp });
+    }
+
+    recordConflict(conflict) {
+        this.conflicts.push(conflict);
+        if (this.conflicts.length > MAX_CONFLICTS) {
+            this.conflicts.splice(0, this.conflicts.length - MAX_CONFLICTS);
+        }
+        this.stats.conflicts++;
+    }
+
+    // True when the Google event has not changed since it was last synced
+    isUnchanged(calEvent) {
+        return !!calEvent.etag && this.getMetadata(getSeriesKey(calEvent))?.etag === calEvent.etag;
+    }
+
+    markSynced(calEvent) {
+        if (calEvent.etag) {
+            this.updateMetadata(getSeriesKey(calEvent), {
+                etag: calEvent.etag,
+                allDay: !!calEvent.start?.date,
+                endsAt: calEvent.end?.dateTime || calEvent.end?.date || null,
+                lastSyncedAt: new Date().toISOString()
+            });
+        }
+    }
+
+    // Remembers which instance of a series Discord currently shows
+    trackInstance(calEvent) {
+        if (isRecurringInstance(calEvent)) {
+            this.updateMetadata(calEvent.recurringEventId, {
+                recurrence: {
+                    instanceId: calEvent.id,
+                    instanceEnd: calEvent.end.dateTime || calEvent.end.date
+                }
+            });
+        }
+    }
+
+    // Series whose shown instance is over and should roll to the next one
+    getEndedSeries(now = new Date()) {
+        return Array.from(this.eventMetadata.entries())
+            .filter(([, metadata]) => metadata.recurrence?.instanceEnd && new Date(metadata.recurrence.instanceEnd) <= now)
+            .map(([seriesId]) => seriesId);
+    }
+
+    addToTrash(entry) {
+        this.trash.push(entry);
+        if (this.trash.length > MAX_TRASH) {
+            this.trash.shift();
+        }
+    }
+
+    getTrashEntry(entryId) {
+        return this.trash.find(entry => entry.id === entryId) || null;
+    }
+
+    removeFromTrash(entryId) {
+        this.trash = this.trash.filter(entry => entry.id !== entryId);
+    }
+
+    purgeTrash(cutoff) {
+        this.trash = this.trash.filter(entry => new Date(entry.deletedAt) > cutoff);
+    }
+
+    resetSyncToken() {
+        this.syncToken = null;
+        this.lastFullSyncAt = null;
+    }
+
+    hasDiscordEvent(discordEventId) {
+        return this.discordToGoogleMap.has(discordEventId);
+    }
+
+    recordChange(direction, action) {
+        this.stats[direction][action]++;
+    }
+
+    // Snapshot format shared by every mapping store backend
+    loadSnapshot(snapshot = {}) {
+        this.googleToDiscordMap = new Map();
+        this.discordToGoogleMap = new Map();
+        this.eventMetadata = new Map();
+
+        for (const [googleEventId, { discordEventId, ...metadata }] of Object.entries(snapshot.events || {})) {
+            this.googleToDiscordMap.set(googleEventId, discordEventId);
+            this.discordToGoogleMap.set(discordEventId, googleEventId);
+            this.eventMetadata.set(googleEventId, metadata);
+        }
+
+        this.conflicts = snapshot.conflicts || [];
+        this.trash = snapshot.trash || [];
+        this.paused = !!snapshot.paused;
+        this.syncToken = snapshot.syncToken || null;
+        this.lastFullSyncAt = snapshot.lastFullSyncAt || null;
+    }
+
+    toSnapshot() {
+        const events = {};
+        for (const [googleEventId, discordEventId] of this.googleToDiscordMap) {
+            events[googleEventId] = { discordEventId, ...this.eventMetadata.get(googleEventId) };
+        }
+
+        return {
+            guildId: this.guildId,
+            calendarId: this.calendarId,
+            paused: this.paused,
+            syncToken: this.syncToken,
+            lastFullSyncAt: this.lastFullSyncAt,
+            conflicts: this.conflicts,
+            trash: this.trash,
+            events
+        };
+    }
+
+    getStatus() {
+        return {
+            id: this.id,
+            guildId: this.guildId,
+            calendarId: this.calendarId,
+            calendarName: this.calendarName,
+            label: this.label,
+            syncSchedule: this.syncSchedule,
+            syncWindow: { lookbackHours: this.lookbackHours, lookaheadDays: this.lookaheadDays },
+            conflictPolicy: this.conflictPolicy,
+            calendarTimeZone: this.calendarTimeZone,
+            syncing: this.syncing,
+            paused: this.paused,
+            incrementalSync: !!this.syncToken,
+            lastFullSyncAt: this.lastFullSyncAt,
+            eventMappings: {
+                googleToDiscord: this.googleToDiscordMap.size,
+                discordToGoogle: this.discordToGoogleMap.size
+            },
+            stats: this.stats,
+            blockedDeletions: this.blockedDeletions,
+            trashedEvents: this.trash.length,
+            recentConflicts: this.conflicts.slice(-5)
+        };
+    }
+}
+
+module.exports = SyncPair;
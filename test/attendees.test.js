@@ -0,0 +1,43 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, googleEvent } = require('./harness');
+
+const invited = createUser({ username: 'invited' });
+const member = createUser({ username: 'member' });
+
+let harness;
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+test('taking back interest only removes attendees the bot added', async () => {
+    harness = createTestBot({
+        settings: {
+            attendees: {
+                enabled: true,
+                userEmails: { [invited.id]: 'invited@example.com', [member.id]: 'member@example.com' }
+            }
+        }
+    });
+    const calEvent = harness.calendar.addEvent(CALENDAR_ID, googleEvent({ attendees: [{ email: 'invited@example.com' }] }));
+    await start(harness);
+    const { guild, calendar, pair, bot } = harness;
+    const [event] = guild.scheduledEvents.cache.values();
+    const attendeeEmails = () => calendar.getEvent(CALENDAR_ID, calEvent.id).attendees.map(attendee => attendee.email);
+
+    guild.scheduledEvents.addSubscriber(event, invited);
+    guild.scheduledEvents.addSubscriber(event, member);
+    await settle(harness);
+
+    assert.deepEqual(attendeeEmails(), ['invited@example.com', 'member@example.com']);
+    assert.deepEqual(pair.getMetadata(calEvent.id).addedAttendees, ['member@example.com']);
+
+    guild.scheduledEvents.removeSubscriber(event, invited);
+    guild.scheduledEvents.removeSubscriber(event, member);
+    await settle(harness);
+
+    assert.deepEqual(attendeeEmails(), ['invited@example.com']);
+    assert.deepEqual(pair.getMetadata(calEvent.id).addedAttendees, []);
+    assert.deepEqual(bot.errors(), []);
+});
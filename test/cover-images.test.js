@@ -0,0 +1,270 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, googleEvent, discordEvent } = require('./harness');
+const config = require('../config');
+const { validateCoverRules } = require('../cover-images');
+
+const member = createUser({ username: 'member' });
+
+const POSTER = Buffer.from('poster image');
+const RAID = Buffer.from('raid image');
+const DEFAULT_COVER = Buffer.from('default image');
+
+const driveAttachment = { fileId: 'poster-file', fileUrl: 'https://drive.google.com/open?id=poster-file', title: 'Poster', mimeType: 'image/png' };
+
+let harness;
+let cacheDir;
+let downloads;
+
+beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'covers-'));
+    downloads = [];
+});
+
+afterEach(async () => {
+    await harness?.bot.stop();
+    harness = null;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+function imageHash(image) {
+    return crypto.createHash('md5').update(image).digest('hex');
+}
+
+// A bot whose downloads come from `images` (URL -> image data) and are recorded
+function createCoverBot({ coverRules = [], images = {}, driveAccess = true } = {}) {
+    const [pair] = config.syncPairs;
+    harness = createTestBot({
+        settings: {
+            google: { driveAccess },
+            covers: { enabled: true, cacheDir },
+            syncPairs: [{ ...pair, coverRules }]
+        }
+    });
+
+    harness.bot.auth = { getRequestHeaders: async () => ({ Authorization: 'Bearer test-token' }) };
+    harness.bot.covers.fetch = async (url, { headers, signal }) => {
+        downloads.push({ url, headers, signal });
+        const image = images[url];
+        return image
+            ? new Response(image, { headers: { 'content-type': 'image/png' } })
+            : new Response('Not Found', { status: 404, statusText: 'Not Found', headers: { 'content-type': 'text/plain' } });
+    };
+    return harness;
+}
+
+function discordEventFor(calEvent) {
+    return harness.guild.scheduledEvents.cache.get(harness.pair.googleToDiscordMap.get(calEvent.id));
+}
+
+test('rejects cover rules without an image or with an invalid keyword', () => {
+    assert.throws(() => validateCoverRules([{ keyword: 'raid' }], 'Sync pair test'), /cover rule 1: image is required/);
+    assert.throws(() => validateCoverRules([{ keyword: '(', image: 'raid.png' }], 'Sync pair test'), /invalid keyword pattern/);
+    assert.doesNotThrow(() => validateCoverRules([{ keyword: 'raid', image: 'raid.png' }, { image: 'https://example.com/cover.png' }], 'Sync pair test'));
+});
+
+test('an image attached in Google Drive becomes the Discord cover and is downloaded once', async () => {
+    const { calendar, bot } = createCoverBot({
+        images: { 'https://www.googleapis.com/drive/v3/files/poster-file?alt=media': POSTER }
+    });
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent({ attachments: [driveAttachment] }));
+    await start(harness);
+
+    assert.equal(discordEventFor(gameNight).image, imageHash(POSTER));
+    assert.equal(downloads.length, 1);
+    assert.equal(downloads[0].headers.Authorization, 'Bearer test-token');
+
+    // Neither other changes to the event nor another event with the same poster download it again
+    calendar.editEvent(CALENDAR_ID, gameNight.id, { summary: 'Board Game Night' });
+    const quizNight = calendar.addEvent(CALENDAR_ID, googleEvent({ summary: 'Quiz Night', attachments: [driveAttachment] }));
+    await bot.syncCalendarToDiscord(harness.pair);
+    await settle(harness);
+
+    assert.equal(discordEventFor(gameNight).name, 'Board Game Night');
+    assert.equal(discordEventFor(quizNight).image, imageHash(POSTER));
+    assert.equal(downloads.length, 1);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('images in Google Drive are skipped with a warning without Drive access', async () => {
+    const { calendar, bot } = createCoverBot({
+        driveAccess: false,
+        coverRules: [{ image: 'https://example.com/raid.png' }],
+        images: { 'https://example.com/raid.png': RAID }
+    });
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent({ attachments: [driveAttachment] }));
+    await start(harness);
+
+    assert.equal(discordEventFor(gameNight).image, imageHash(RAID));
+    assert.deepEqual(downloads.map(download => download.url), ['https://example.com/raid.png']);
+    assert.ok(bot.logs.some(entry => entry.level === 'warn' && /Skipping Google Drive image Poster.*GOOGLE_DRIVE_ACCESS=true/.test(entry.message)));
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('events without an image get the cover of the first matching cover rule', async () => {
+    const defaultCoverPath = path.join(cacheDir, 'default.png');
+    fs.writeFileSync(defaultCoverPath, DEFAULT_COVER);
+
+    const { calendar, bot } = createCoverBot({
+        coverRules: [{ image: defaultCoverPath }, { keyword: '\\braid\\b', image: 'https://example.com/raid.png' }],
+        images: {
+            'https://example.com/raid.png': RAID,
+            'https://example.com/poster.png': POSTER
+        }
+    });
+    const raid = calendar.addEvent(CALENDAR_ID, googleEvent({ summary: 'Weekly raid' }));
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent());
+    const movieNight = calendar.addEvent(CALENDAR_ID, googleEvent({
+        summary: 'Movie Night',
+        attachments: [{ fileUrl: 'https://example.com/poster.png', title: 'Poster' }]
+    }));
+    await start(harness);
+
+    assert.equal(discordEventFor(raid).image, imageHash(RAID));
+    assert.equal(discordEventFor(gameNight).image, imageHash(DEFAULT_COVER));
+    assert.equal(discordEventFor(movieNight).image, imageHash(POSTER));
+
+    // Without its poster the event falls back to the default cover
+    calendar.editEvent(CALENDAR_ID, movieNight.id, { attachments: [] });
+    await bot.syncCalendarToDiscord(harness.pair);
+    await settle(harness);
+
+    assert.equal(discordEventFor(movieNight).image, imageHash(DEFAULT_COVER));
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('attached images are only taken from https and Google Drive, never from disk', async () => {
+    const secretPath = path.join(cacheDir, 'secret.png');
+    fs.writeFileSync(secretPath, POSTER);
+
+    const { calendar, bot } = createCoverBot({
+        coverRules: [{ image: 'https://example.com/raid.png' }],
+        images: { 'https://example.com/raid.png': RAID }
+    });
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent({
+        attachments: [
+            { fileUrl: secretPath, title: 'Path', mimeType: 'image/png' },
+            { fileUrl: `file://${secretPath}`, title: 'File URL', mimeType: 'image/png' },
+            { fileUrl: 'http://example.com/poster.png', title: 'Plain HTTP', mimeType: 'image/png' }
+        ]
+    }));
+    await start(harness);
+
+    assert.equal(discordEventFor(gameNight).image, imageHash(RAID));
+    assert.deepEqual(downloads.map(download => download.url), ['https://example.com/raid.png']);
+    await assert.rejects(bot.covers.load(harness.pair, secretPath), /Only cover rules can use local images/);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('an image that cannot be downloaded leaves the event without a cover and is tried again a day later', async () => {
+    const { guild, calendar, pair, bot } = createCoverBot({ coverRules: [{ image: 'https://example.com/missing.png' }] });
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const [event] = guild.scheduledEvents.cache.values();
+    assert.equal(event.name, 'Game Night');
+    assert.equal(event.image, null);
+    assert.ok(bot.logs.some(entry => entry.level === 'warn' && /Failed to load cover image/.test(entry.message)));
+
+    const editAndSync = async summary => {
+        calendar.editEvent(CALENDAR_ID, gameNight.id, { summary });
+        await bot.syncCalendarToDiscord(pair);
+        await settle(harness);
+    };
+
+    await editAndSync('Board Game Night');
+    assert.equal(event.name, 'Board Game Night');
+    assert.equal(downloads.length, 1);
+
+    pair.getMetadata(gameNight.id).cover.failedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    await editAndSync('Card Game Night');
+    assert.equal(downloads.length, 2);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('a Discord event replaced by a new one gets its cover without another download', async () => {
+    const { guild, calendar, pair, bot } = createCoverBot({
+        coverRules: [{ image: 'https://example.com/raid.png' }],
+        images: { 'https://example.com/raid.png': RAID }
+    });
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    // Gone from Discord without the bot noticing
+    const [event] = guild.scheduledEvents.cache.values();
+    guild.scheduledEvents.cache.delete(event.id);
+    calendar.editEvent(CALENDAR_ID, gameNight.id, { summary: 'Board Game Night' });
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    const replacement = discordEventFor(gameNight);
+    assert.notEqual(replacement.id, event.id);
+    assert.equal(replacement.image, imageHash(RAID));
+    assert.equal(downloads.length, 1);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('images over 10 MB are not downloaded in full', async () => {
+    const { guild, calendar, bot } = createCoverBot({ coverRules: [{ image: 'https://example.com/huge.png' }] });
+    let chunksRead = 0;
+    bot.covers.fetch = async (url, { signal }) => {
+        downloads.push({ url, signal });
+        // Claims nothing about its size, and would never end
+        const body = new ReadableStream({
+            pull(controller) {
+                chunksRead++;
+                controller.enqueue(new Uint8Array(1024 * 1024));
+            }
+        });
+        return new Response(body, { headers: { 'content-type': 'image/png' } });
+    };
+    calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const [event] = guild.scheduledEvents.cache.values();
+    assert.equal(event.image, null);
+    assert.ok(chunksRead <= 12);
+    assert.ok(downloads[0].signal instanceof AbortSignal);
+    assert.ok(bot.logs.some(entry => entry.level === 'warn' && /Failed to load cover image/.test(entry.message) && /larger than 10 MB/.test(entry.error?.message)));
+
+    // A size sent up front is enough to turn the image down
+    bot.covers.fetch = async () => new Response('x', { headers: { 'content-type': 'image/png', 'content-length': String(20 * 1024 * 1024) } });
+    await assert.rejects(bot.covers.download('https://example.com/huge.png'), /larger than 10 MB/);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('covers set in Discord are linked from the Google event', async () => {
+    const { guild, calendar, bot } = createCoverBot();
+    await start(harness);
+
+    const event = await guild.scheduledEvents.createAs(member, discordEvent({ image: POSTER }));
+    await settle(harness);
+
+    const [calEvent] = calendar.listEvents(CALENDAR_ID);
+    assert.deepEqual(calEvent.attachments, [{ fileUrl: event.coverImageURL({ size: 1024 }), title: 'Discord cover', mimeType: 'image/png' }]);
+
+    // A new cover replaces the link, next to the event's other attachments
+    calendar.editEvent(CALENDAR_ID, calEvent.id, { attachments: [...calEvent.attachments, driveAttachment] });
+    await bot.syncCalendarToDiscord(harness.pair);
+    await settle(harness);
+    await event.edit({ image: RAID });
+    await settle(harness);
+
+    assert.deepEqual(calendar.getEvent(CALENDAR_ID, calEvent.id).attachments, [
+        driveAttachment,
+        { fileUrl: event.coverImageURL({ size: 1024 }), title: 'Discord cover', mimeType: 'image/png' }
+    ]);
+
+    // The cover from Discord stays; nothing is downloaded or uploaded again
+    harness.pair.resetSyncToken();
+    await bot.syncCalendarToDiscord(harness.pair);
+    await settle(harness);
+
+    assert.equal(event.image, imageHash(RAID));
+    assert.deepEqual(downloads, []);
+    assert.deepEqual(bot.errors(), []);
+});
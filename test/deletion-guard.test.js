@@ -0,0 +1,66 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, settle, start, googleEvent } = require('./harness');
+
+let harness;
+
+beforeEach(async () => {
+    harness = createTestBot();
+});
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+async function sync() {
+    await harness.bot.syncCalendarToDiscord(harness.pair);
+    await settle(harness);
+}
+
+// Restores the only trash entry and returns the Google event it brought back
+async function restoreOnly() {
+    const { bot, pair, calendar, guild } = harness;
+    const [entry] = pair.trash;
+    await bot.deletionGuard.restore(pair, entry.id);
+    await settle(harness);
+
+    const [calEvent] = calendar.listEvents(CALENDAR_ID);
+    const discordEvent = guild.scheduledEvents.cache.get(pair.googleToDiscordMap.get(calEvent.id));
+    return { entry, calEvent, discordEvent };
+}
+
+test('restores an event deleted in Google from the kept copy once Google purged it', async () => {
+    const { calendar, bot } = harness;
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent({ description: 'Bring snacks and cards' }));
+    await start(harness);
+
+    calendar.removeEvent(CALENDAR_ID, gameNight.id);
+    await sync();
+    calendar.purgeEvent(CALENDAR_ID, gameNight.id);
+
+    const { entry, calEvent, discordEvent } = await restoreOnly();
+    assert.equal(entry.google.summary, 'Game Night');
+    assert.notEqual(calEvent.id, gameNight.id);
+    assert.equal(calEvent.description, 'Bring snacks and cards');
+    assert.equal(calEvent.start.dateTime, gameNight.start.dateTime);
+    assert.equal(discordEvent.name, 'Game Night');
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('restores an event Google purged before the sync noticed from its Discord event', async () => {
+    const { calendar, pair, bot } = harness;
+    const gameNight = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    calendar.purgeEvent(CALENDAR_ID, gameNight.id);
+    pair.resetSyncToken();
+    await sync();
+
+    const { entry, calEvent, discordEvent } = await restoreOnly();
+    assert.equal(entry.google, null);
+    assert.equal(calEvent.summary, 'Game Night');
+    assert.equal(calEvent.location, 'Library');
+    assert.equal(new Date(calEvent.start.dateTime).getTime(), new Date(gameNight.start.dateTime).getTime());
+    assert.equal(discordEvent.name, 'Game Night');
+    assert.deepEqual(bot.errors(), []);
+});
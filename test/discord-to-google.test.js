@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GuildScheduledEventStatus } = require('discord.js');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, hoursFromNow, discordEvent } = require('./harness');
+
+let harness;
+const member = createUser({ username: 'member' });
+
+beforeEach(async () => {
+    harness = createTestBot();
+    await start(harness);
+});
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+// A member creates an event in Discord and the bot copies it to Google
+async function createMemberEvent(fields) {
+    const event = await harness.guild.scheduledEvents.createAs(member, discordEvent(fields));
+    await settle(harness);
+    return event;
+}
+
+test('creates a Google event for a new Discord event', async () => {
+    const { calendar, pair, bot } = harness;
+    const event = await createMemberEvent();
+
+    const [calEvent] = calendar.listEvents(CALENDAR_ID);
+    assert.equal(calEvent.summary, 'Movie Night');
+    assert.equal(calEvent.location, 'Cinema');
+    assert.match(calEvent.description, /Popcorn provided/);
+    assert.equal(new Date(calEvent.start.dateTime).getTime(), event.scheduledStartTimestamp);
+    assert.equal(pair.discordToGoogleMap.get(event.id), calEvent.id);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('updates the Google event when the Discord event changes', async () => {
+    const { calendar, pair, bot } = harness;
+    const event = await createMemberEvent();
+
+    const newStart = hoursFromNow(96);
+    await event.edit({ name: 'Double Feature', scheduledStartTime: newStart, scheduledEndTime: hoursFromNow(100) });
+    await settle(harness);
+
+    const calEvent = calendar.getEvent(CALENDAR_ID, pair.discordToGoogleMap.get(event.id));
+    assert.equal(calEvent.summary, 'Double Feature');
+    assert.equal(new Date(calEvent.start.dateTime).toISOString(), new Date(newStart).toISOString());
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('deletes the Google event when the Discord event is deleted', async () => {
+    const { calendar, pair, bot } = harness;
+    const event = await createMemberEvent();
+    const googleEventId = pair.discordToGoogleMap.get(event.id);
+
+    await event.delete();
+    await settle(harness);
+
+    assert.equal(calendar.getEvent(CALENDAR_ID, googleEventId).status, 'cancelled');
+    assert.equal(pair.hasDiscordEvent(event.id), false);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('keeps the Google event when a Discord event that is over is removed', async () => {
+    const { calendar, pair, bot } = harness;
+    const completed = await createMemberEvent();
+    const pastEnd = await createMemberEvent({ name: 'Quiz Night' });
+    const googleEventIds = [completed, pastEnd].map(event => pair.discordToGoogleMap.get(event.id));
+
+    // Discord closes events that are over on its own and clears them out later
+    completed.status = GuildScheduledEventStatus.Completed;
+    pastEnd.scheduledEndTimestamp = Date.now() - 1000;
+    await completed.delete();
+    await pastEnd.delete();
+    await settle(harness);
+
+    for (const googleEventId of googleEventIds) {
+        assert.equal(calendar.getEvent(CALENDAR_ID, googleEventId).status, 'confirmed');
+    }
+    assert.equal(pair.hasDiscordEvent(completed.id), false);
+    assert.equal(pair.hasDiscordEvent(pastEnd.id), false);
+    assert.ok(!bot.logs.some(entry => /Deleted Google Calendar event/.test(entry.message)));
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('loop prevention: Discord changes synced to Google are not written back to Discord', async () => {
+    const { guild, client, pair, bot } = harness;
+    const event = await createMemberEvent();
+    await event.edit({ name: 'Renamed in Discord' });
+    await settle(harness);
+
+    let discordWrites = 0;
+    client.on('guildScheduledEventCreate', () => discordWrites++);
+    client.on('guildScheduledEventUpdate', () => discordWrites++);
+
+    // The Google event the bot created and edited comes back in the next listing
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    assert.equal(discordWrites, 0);
+    assert.equal(guild.scheduledEvents.cache.size, 1);
+    assert.equal(guild.scheduledEvents.cache.get(event.id).name, 'Renamed in Discord');
+});
+
+test('loop prevention: updates that only touch unsynced fields are not sent to Google', async () => {
+    const { calendar } = harness;
+    const event = await createMemberEvent();
+    const patches = calendar.callsTo('patch').length;
+
+    harness.guild.scheduledEvents.addSubscriber(event, createUser());
+    await event.edit({ privacyLevel: 2 });
+    await settle(harness);
+
+    assert.equal(calendar.callsTo('patch').length, patches);
+});
@@ -0,0 +1,48 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CALENDAR_ID, createTestBot, start, googleEvent } = require('./harness');
+const config = require('../config');
+
+let harness;
+let dataDir;
+
+afterEach(async () => {
+    await harness.bot.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Every file below `dir` with its content
+function readTree(dir) {
+    return Object.fromEntries(fs.readdirSync(dir, { recursive: true })
+        .filter(file => fs.statSync(path.join(dir, file)).isFile())
+        .map(file => [file, fs.readFileSync(path.join(dir, file), 'utf8')]));
+}
+
+test('a dry run leaves the data directory as it was', async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-'));
+    const mappingsFile = path.join(dataDir, 'event-mappings.json');
+    fs.writeFileSync(mappingsFile, JSON.stringify({ version: 3, pairs: {}, userEmails: {} }));
+
+    const [pair] = config.syncPairs;
+    harness = createTestBot({
+        mappingStore: null,
+        settings: {
+            dryRun: { enabled: true, once: false, outputFile: null },
+            storage: { backend: 'sqlite', mappingsFile, sqlitePath: path.join(dataDir, 'calendar-sync.db') },
+            covers: { enabled: true, cacheDir: path.join(dataDir, 'covers') },
+            syncPairs: [{ ...pair, coverRules: [{ image: 'https://example.com/cover.png' }] }]
+        }
+    });
+    harness.bot.covers.fetch = async () => new Response('cover', { headers: { 'content-type': 'image/png' } });
+    harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    const before = readTree(dataDir);
+
+    await start(harness);
+
+    assert.ok(harness.bot.dryRun.changes.some(change => change.target === 'discord' && change.action === 'create'));
+    assert.deepEqual(readTree(dataDir), before);
+    assert.deepEqual(harness.bot.errors(), []);
+});
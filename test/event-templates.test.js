@@ -0,0 +1,172 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, googleEvent, discordEvent } = require('./harness');
+const config = require('../config');
+const { DEFAULT_TEMPLATES, htmlToMarkdown, markdownToHtml, renderTemplate, validateTemplates } = require('../event-templates');
+
+const member = createUser({ username: 'member' });
+
+let harness;
+
+afterEach(async () => {
+    await harness?.bot.stop();
+    harness = null;
+});
+
+// A bot whose pair uses the given templates on top of the defaults
+function createTemplateBot({ discord = {}, google = {} } = {}) {
+    const [pair] = config.syncPairs;
+    harness = createTestBot({
+        settings: {
+            syncPairs: [{
+                ...pair,
+                templates: {
+                    discord: { ...DEFAULT_TEMPLATES.discord, ...discord },
+                    google: { ...DEFAULT_TEMPLATES.google, ...google }
+                }
+            }]
+        }
+    });
+    return harness;
+}
+
+function onlyEvent(guild) {
+    const [event] = guild.scheduledEvents.cache.values();
+    return event;
+}
+
+test('converts Google\'s HTML descriptions to Discord markdown and back', () => {
+    assert.equal(
+        htmlToMarkdown('Bring <b>snacks</b> &amp; <i>games</i><br>Sign up <a href="https://example.com/signup">here</a><ul><li>Chips</li><li>Dip</li></ul>'),
+        'Bring **snacks** & *games*\nSign up [here](https://example.com/signup)\n- Chips\n- Dip'
+    );
+    assert.equal(htmlToMarkdown('Plain text\nwith 2 < 3'), 'Plain text\nwith 2 < 3');
+
+    assert.equal(
+        markdownToHtml('Bring **snacks** & *games*\nSign up [here](https://example.com/signup)'),
+        'Bring <b>snacks</b> &amp; <i>games</i><br>Sign up <a href="https://example.com/signup">here</a>'
+    );
+    assert.equal(markdownToHtml('2 * 3 = 6 & no formatting'), '2 * 3 = 6 & no formatting');
+});
+
+test('only web links become links, with their URLs escaped', () => {
+    assert.equal(
+        markdownToHtml('[Join](https://example.com/?a=1&b="x"><script>) the **game**'),
+        '<a href="https://example.com/?a=1&amp;b=&quot;x&quot;&gt;&lt;script&gt;">Join</a> the <b>game</b>'
+    );
+    assert.equal(
+        markdownToHtml('[Rules](https://example.com/__init__/*draft*)'),
+        '<a href="https://example.com/__init__/*draft*">Rules</a>'
+    );
+    assert.equal(
+        markdownToHtml('[click](javascript:alert(1)) **now**'),
+        '[click](javascript:alert(1)) <b>now</b>'
+    );
+});
+
+test('leaves out lines whose placeholders are all empty', () => {
+    const template = '{description}\n\nOrganizer: {organizer}\nCall: {meetLink}';
+
+    assert.equal(renderTemplate(template, { description: 'Agenda', organizer: '', meetLink: 'https://meet.google.com/abc' }), 'Agenda\n\nCall: https://meet.google.com/abc');
+    assert.equal(renderTemplate(template, { description: '', organizer: '', meetLink: '' }), '');
+});
+
+test('rejects unknown templates and placeholders', () => {
+    assert.throws(() => validateTemplates({ discord: { title: '{summary}' } }, 'Sync pair test'), /unknown discord template title/);
+    assert.throws(() => validateTemplates({ google: { description: '{organizer}' } }, 'Sync pair test'), /unknown placeholder \{organizer\}/);
+    assert.doesNotThrow(() => validateTemplates(DEFAULT_TEMPLATES, 'Sync pair test'));
+});
+
+test('fills the Discord templates from the Google event', async () => {
+    const { guild, calendar, bot } = createTemplateBot({
+        discord: {
+            name: '{summary} ({organizer})',
+            description: '{description}\n\nOrganizer: {organizer}\nWith: {attendees}\nCall: {meetLink}\nCalendar: {calendar}'
+        }
+    });
+    calendar.addEvent(CALENDAR_ID, googleEvent({
+        description: '<p>Bring <b>snacks</b></p>',
+        organizer: { email: 'ada@example.com', displayName: 'Ada' },
+        attendees: [{ email: 'ada@example.com', displayName: 'Ada' }, { email: 'bob@example.com' }, { email: 'room@example.com', resource: true }],
+        hangoutLink: 'https://meet.google.com/abc-defg-hij'
+    }));
+
+    await start(harness);
+
+    const event = onlyEvent(guild);
+    assert.equal(event.name, 'Game Night (Ada)');
+    assert.equal(event.description, [
+        'Bring **snacks**',
+        '',
+        'Organizer: Ada',
+        'With: Ada, bob@example.com',
+        'Call: https://meet.google.com/abc-defg-hij',
+        `Calendar: ${CALENDAR_ID}`
+    ].join('\n'));
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('shortens long descriptions to Discord\'s limit and keeps the Google link', async () => {
+    const { guild, calendar } = createTemplateBot();
+    calendar.addEvent(CALENDAR_ID, googleEvent({ description: 'x'.repeat(3000) }));
+
+    await start(harness);
+
+    const { description } = onlyEvent(guild);
+    assert.equal(description.length, 1000);
+    assert.match(description, /x…\n\n\[View in Google Calendar\]\(https:\/\/\S+\)$/);
+});
+
+test('fills the Google templates for an event created in Discord', async () => {
+    const { guild, calendar, bot } = createTemplateBot({
+        google: { summary: '[Discord] {name}', description: '{description}\n\nCreated by {creator} in Discord: {link}' }
+    });
+    await start(harness);
+
+    const event = await guild.scheduledEvents.createAs(member, discordEvent({ description: 'Popcorn **provided**' }));
+    await settle(harness);
+
+    const [calEvent] = calendar.listEvents(CALENDAR_ID);
+    assert.equal(calEvent.summary, '[Discord] Movie Night');
+    assert.equal(calEvent.description, `Popcorn <b>provided</b><br><br>Created by member in Discord: ${event.url}`);
+    assert.doesNotMatch(calEvent.description, /Synced from Discord/);
+
+    // The member's event is left as they wrote it
+    assert.equal(event.name, 'Movie Night');
+    assert.equal(event.description, 'Popcorn **provided**');
+    assert.equal(calendar.callsTo('patch').length, 0);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('only the edited text of a templated Discord event reaches Google', async () => {
+    const { guild, calendar, bot } = createTemplateBot({ discord: { name: '{summary} @ {location}' } });
+    const calEvent = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const event = onlyEvent(guild);
+    assert.equal(event.name, 'Game Night @ Library');
+    await event.edit({
+        name: 'Board Game Night @ Library',
+        description: event.description.replace('Bring snacks', 'Bring **drinks**')
+    });
+    await settle(harness);
+
+    const updated = calendar.getEvent(CALENDAR_ID, calEvent.id);
+    assert.equal(updated.summary, 'Board Game Night');
+    assert.equal(updated.description, 'Bring <b>drinks</b>');
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('events created by the bot are never copied back, whatever their description', async () => {
+    const { guild, calendar, bot } = createTemplateBot({ discord: { description: '{description}' } });
+    calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    // A member's event that quotes a Google Calendar link is still synced
+    await guild.scheduledEvents.createAs(member, discordEvent({ description: 'See [View in Google Calendar](https://calendar.google.com)' }));
+    await settle(harness);
+
+    assert.deepEqual(calendar.listEvents(CALENDAR_ID).map(event => event.summary).sort(), ['Game Night', 'Movie Night']);
+    assert.equal(calendar.callsTo('insert').length, 1);
+    assert.deepEqual(bot.errors(), []);
+});
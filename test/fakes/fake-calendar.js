@@ -0,0 +1,225 @@
+// In-memory stand-in for the googleapis Calendar v3 client. Only single events
+// are stored: recurring series are kept as they are but not expanded.
+
+function googleError(status, message) {
+    return Object.assign(new Error(message), { code: status, response: { status } });
+}
+
+// Writes of clients that do not declare supportsAttachments leave attachments alone
+function withoutAttachments(params) {
+    if (params.supportsAttachments || !params.resource) {
+        return params;
+    }
+    const { attachments, ...resource } = params.resource;
+    return { ...params, resource };
+}
+
+function toTime(value) {
+    return value ? new Date(value.dateTime || value.date).getTime() : null;
+}
+
+class FakeCalendar {
+    constructor() {
+        // calendarId -> Map of eventId -> { event, change }
+        this.calendars = new Map();
+        // Every write bumps the sequence; sync tokens remember where a listing ended
+        this.sequence = 0;
+        this.nextId = 1;
+        // Calls made through the client API, for assertions
+        this.calls = [];
+        // Push notification channel ID -> { calendarId, resourceId, token, address, messageNumber }
+        this.watchChannels = new Map();
+
+        this.events = {
+            list: params => this.call('list', params, () => this.list(params)),
+            get: params => this.call('get', params, () => this.get(params)),
+            instances: params => this.call('instances', params, () => this.instances(params)),
+            insert: params => this.call('insert', params, () => this.insert(withoutAttachments(params))),
+            patch: params => this.call('patch', params, () => this.patch(withoutAttachments(params))),
+            update: params => this.call('update', params, () => this.update(params)),
+            delete: params => this.call('delete', params, () => this.delete(params)),
+            watch: params => this.call('watch', params, () => this.watch(params))
+        };
+        this.channels = {
+            stop: params => this.call('stopChannel', params, () => this.stopChannel(params))
+        };
+    }
+
+    async call(method, params, fn) {
+        this.calls.push({ method, params: structuredClone(params) });
+        return { data: structuredClone(fn()) };
+    }
+
+    // Calls of one method, for example the inserts made by the bot
+    callsTo(method) {
+        return this.calls.filter(call => call.method === method);
+    }
+
+    getCalendar(calendarId) {
+        if (!this.calendars.has(calendarId)) {
+            this.calendars.set(calendarId, new Map());
+        }
+        return this.calendars.get(calendarId);
+    }
+
+    store(calendarId, event) {
+        const change = ++this.sequence;
+        const stored = { ...event, etag: `"${change}"`, updated: new Date().toISOString() };
+        this.getCalendar(calendarId).set(stored.id, { event: stored, change });
+        return stored;
+    }
+
+    findEvent(calendarId, eventId) {
+        const entry = this.getCalendar(calendarId).get(eventId);
+        if (!entry) {
+            throw googleError(404, 'Not Found');
+        }
+        return entry.event;
+    }
+
+    // Changes made in Google Calendar itself, outside the bot
+
+    addEvent(calendarId, event) {
+        return structuredClone(this.insert({ calendarId, resource: event }));
+    }
+
+    editEvent(calendarId, eventId, changes) {
+        return structuredClone(this.patch({ calendarId, eventId, resource: changes }));
+    }
+
+    removeEvent(calendarId, eventId) {
+        this.delete({ calendarId, eventId });
+    }
+
+    // Google drops deleted events for good after a while
+    purgeEvent(calendarId, eventId) {
+        this.getCalendar(calendarId).delete(eventId);
+    }
+
+    getEvent(calendarId, eventId) {
+        const entry = this.getCalendar(calendarId).get(eventId);
+        return entry ? structuredClone(entry.event) : null;
+    }
+
+    listEvents(calendarId, { includeCancelled = false } = {}) {
+        return Array.from(this.getCalendar(calendarId).values(), entry => entry.event)
+            .filter(event => includeCancelled || event.status !== 'cancelled')
+            .map(event => structuredClone(event));
+    }
+
+    // Headers of the push notifications Google would send to each channel watching
+    // the calendar, e.g. after an event changed
+    notify(calendarId, state = 'exists') {
+        return Array.from(this.watchChannels.entries())
+            .filter(([, channel]) => channel.calendarId === calendarId)
+            .map(([id, channel]) => ({
+                'x-goog-channel-id': id,
+                'x-goog-channel-token': channel.token,
+                'x-goog-resource-id': channel.resourceId,
+                'x-goog-resource-state': state,
+                'x-goog-message-number': String(++channel.messageNumber)
+            }));
+    }
+
+    // Calendar API
+
+    list({ calendarId, timeMin, timeMax, syncToken, showDeleted }) {
+        const entries = Array.from(this.getCalendar(calendarId).values());
+        let items;
+
+        if (syncToken) {
+            const [, since] = /^sync-(\d+)$/.exec(syncToken) || [];
+            if (since === undefined || Number(since) > this.sequence) {
+                throw googleError(410, 'Sync token is no longer valid, a full sync is required.');
+            }
+            // Incremental listings include deletions
+            items = entries.filter(entry => entry.change > Number(since)).map(entry => entry.event);
+        } else {
+            const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+            const max = timeMax ? new Date(timeMax).getTime() : Infinity;
+            items = entries.map(entry => entry.event).filter(event =>
+                (showDeleted || event.status !== 'cancelled') &&
+                toTime(event.end) > min && toTime(event.start) < max
+            );
+        }
+
+        items.sort((a, b) => toTime(a.start) - toTime(b.start));
+        return { items, summary: calendarId, timeZone: 'UTC', nextSyncToken: `sync-${this.sequence}` };
+    }
+
+    get({ calendarId, eventId }) {
+        return this.findEvent(calendarId, eventId);
+    }
+
+    instances({ calendarId, eventId }) {
+        this.findEvent(calendarId, eventId);
+        return { items: [] };
+    }
+
+    insert({ calendarId, resource }) {
+        const id = resource.id || `event${this.nextId++}`;
+        if (this.getCalendar(calendarId).has(id)) {
+            throw googleError(409, 'The requested identifier already exists.');
+        }
+
+        return this.store(calendarId, {
+            status: 'confirmed',
+            ...resource,
+            id,
+            htmlLink: `https://www.google.com/calendar/event?eid=${id}`,
+            created: new Date().toISOString()
+        });
+    }
+
+    patch({ calendarId, eventId, resource }) {
+        return this.store(calendarId, { ...this.findEvent(calendarId, eventId), ...resource, id: eventId });
+    }
+
+    update({ calendarId, eventId, resource }) {
+        const { htmlLink, created } = this.findEvent(calendarId, eventId);
+        return this.store(calendarId, { status: 'confirmed', ...resource, id: eventId, htmlLink, created });
+    }
+
+    watch({ calendarId, requestBody }) {
+        if (this.watchChannels.has(requestBody.id)) {
+            throw googleError(400, 'Channel id not unique');
+        }
+
+        const channel = {
+            calendarId,
+            resourceId: `resource-${calendarId}`,
+            token: requestBody.token,
+            address: requestBody.address,
+            messageNumber: 0
+        };
+        this.watchChannels.set(requestBody.id, channel);
+
+        return {
+            kind: 'api#channel',
+            id: requestBody.id,
+            resourceId: channel.resourceId,
+            expiration: String(Date.now() + Number(requestBody.params?.ttl || 604800) * 1000)
+        };
+    }
+
+    stopChannel({ requestBody }) {
+        const channel = this.watchChannels.get(requestBody.id);
+        if (!channel || channel.resourceId !== requestBody.resourceId) {
+            throw googleError(404, 'Channel not found');
+        }
+        this.watchChannels.delete(requestBody.id);
+        return '';
+    }
+
+    // Deleted events stay around as cancelled, like in Google Calendar
+    delete({ calendarId, eventId }) {
+        const event = this.findEvent(calendarId, eventId);
+        if (event.status === 'cancelled') {
+            throw googleError(410, 'Resource has been deleted');
+        }
+        this.store(calendarId, { ...event, status: 'cancelled' });
+        return '';
+    }
+}
+
+module.exports = { FakeCalendar };
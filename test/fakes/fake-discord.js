@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Collection, GuildScheduledEventStatus, GuildScheduledEventEntityType } = require('discord.js');
+
+// In-memory stand-ins for the parts of discord.js the bot uses. Writes go
+// through the scheduled event manager like in discord.js, and the gateway events
+// Discord would send back are emitted on the client afterwards.
+
+let nextSnowflake = 1;
+
+function createSnowflake() {
+    return `1${String(nextSnowflake++).padStart(18, '0')}`;
+}
+
+function createUser({ id = createSnowflake(), username = `user${id.slice(-4)}`, bot = false } = {}) {
+    return { id, username, tag: username, bot };
+}
+
+function discordError(status, message) {
+    return Object.assign(new Error(message), { status, code: status === 404 ? 10070 : 50035 });
+}
+
+function toTimestamp(value) {
+    return value === null || value === undefined ? null : new Date(value).getTime();
+}
+
+// Discord keeps uploaded covers under a hash of the image
+function toImageHash(image) {
+    return image === null || image === undefined ? null : crypto.createHash('md5').update(image).digest('hex');
+}
+
+class FakeScheduledEvent {
+    constructor(guild, data) {
+        this.guild = guild;
+        this.guildId = guild.id;
+        this.id = data.id;
+        this.name = data.name;
+        this.description = data.description ?? null;
+        this.scheduledStartTimestamp = data.scheduledStartTimestamp;
+        this.scheduledEndTimestamp = data.scheduledEndTimestamp ?? null;
+        this.status = data.status ?? GuildScheduledEventStatus.Scheduled;
+        this.entityType = data.entityType;
+        this.channelId = data.channelId ?? null;
+        this.entityMetadata = data.entityMetadata ?? null;
+        this.privacyLevel = data.privacyLevel ?? 2;
+        this.recurrenceRule = data.recurrenceRule ?? null;
+        this.image = data.image ?? null;
+        this.creator = data.creator ?? null;
+        this.creatorId = this.creator?.id ?? null;
+        this.subscribers = data.subscribers ?? new Collection();
+    }
+
+    get scheduledStartAt() {
+        return new Date(this.scheduledStartTimestamp);
+    }
+
+    get scheduledEndAt() {
+        return this.scheduledEndTimestamp === null ? null : new Date(this.scheduledEndTimestamp);
+    }
+
+    get url() {
+        return `https://discord.com/events/${this.guildId}/${this.id}`;
+    }
+
+    coverImageURL({ size } = {}) {
+        return this.image && `https://cdn.discordapp.com/guild-events/${this.id}/${this.image}.png${size ? `?size=${size}` : ''}`;
+    }
+
+    edit(options) {
+        return this.guild.scheduledEvents.edit(this, options);
+    }
+
+    delete() {
+        return this.guild.scheduledEvents.delete(this);
+    }
+
+    async fetchSubscribers() {
+        return new Collection(this.subscribers.map(user => [user.id, { user }]));
+    }
+
+    clone() {
+        return new FakeScheduledEvent(this.guild, { ...this, subscribers: this.subscribers.clone() });
+    }
+}
+
+class FakeScheduledEventManager {
+    constructor(guild) {
+        this.guild = guild;
+        this.cache = new Collection();
+    }
+
+    resolveId(event) {
+        return typeof event === 'string' ? event : event.id;
+    }
+
+    // Creates an event as the bot, like guild.scheduledEvents.create()
+    async create(options) {
+        return this.createAs(this.guild.client.user, options);
+    }
+
+    // Creates an event as a member would in the Discord client
+    async createAs(creator, options) {
+        const start = toTimestamp(options.scheduledStartTime);
+        if (!options.name || !(start > Date.now())) {
+            throw discordError(400, 'Invalid Form Body: name is required and the start time must be in the future');
+        }
+        if (options.entityType === GuildScheduledEventEntityType.External &&
+            (!options.entityMetadata?.location || !options.scheduledEndTime)) {
+            throw discordError(400, 'Invalid Form Body: external events need a location and an end time');
+        }
+
+        const event = new FakeScheduledEvent(this.guild, {
+            id: createSnowflake(),
+            name: options.name,
+            description: options.description,
+            scheduledStartTimestamp: start,
+            scheduledEndTimestamp: toTimestamp(options.scheduledEndTime),
+            entityType: options.entityType,
+            channelId: this.guild.channels.resolveId(options.channel),
+            entityMetadata: options.entityMetadata?.location ? { location: options.entityMetadata.location } : null,
+            privacyLevel: options.privacyLevel,
+            recurrenceRule: options.recurrenceRule,
+            image: toImageHash(options.image),
+            creator
+        });
+
+        this.cache.set(event.id, event);
+        this.guild.client.dispatch('guildScheduledEventCreate', event);
+        return event;
+    }
+
+    async edit(event, options) {
+        const current = this.cache.get(this.resolveId(event));
+        if (!current) {
+            throw discordError(404, 'Unknown Guild Scheduled Event');
+        }
+
+        const previous = current.clone();
+        const fields = {
+            name: options.name,
+            description: options.description,
+            scheduledStartTimestamp: options.scheduledStartTime === undefined ? undefined : toTimestamp(options.scheduledStartTime),
+            scheduledEndTimestamp: options.scheduledEndTime === undefined ? undefined : toTimestamp(options.scheduledEndTime),
+            status: options.status,
+            entityType: options.entityType,
+            channelId: options.channel === undefined ? undefined : this.guild.channels.resolveId(options.channel),
+            entityMetadata: options.entityMetadata === undefined ? undefined : options.entityMetadata,
+            image: options.image === undefined ? undefined : toImageHash(options.image)
+        };
+        for (const [field, value] of Object.entries(fields)) {
+            if (value !== undefined) {
+                current[field] = value;
+            }
+        }
+
+        this.guild.client.dispatch('guildScheduledEventUpdate', previous, current);
+        return current;
+    }
+
+    async delete(event) {
+        const current = this.cache.get(this.resolveId(event));
+        if (!current) {
+            throw discordError(404, 'Unknown Guild Scheduled Event');
+        }
+
+        this.cache.delete(current.id);
+        this.guild.client.dispatch('guildScheduledEventDelete', current);
+    }
+
+    async fetch(id) {
+        if (id === undefined) {
+            return this.cache.clone();
+        }
+        const event = this.cache.get(this.resolveId(id));
+        if (!event) {
+            throw discordError(404, 'Unknown Guild Scheduled Event');
+        }
+        return event;
+    }
+
+    // A member clicking "Interested"
+    addSubscriber(event, user) {
+        event.subscribers.set(user.id, user);
+        this.guild.client.dispatch('guildScheduledEventUserAdd', event, user);
+    }
+
+    removeSubscriber(event, user) {
+        event.subscribers.delete(user.id);
+        this.guild.client.dispatch('guildScheduledEventUserRemove', event, user);
+    }
+}
+
+class FakeGuild {
+    constructor({ id = createSnowflake(), name = 'Test Guild' } = {}) {
+        this.id = id;
+        this.name = name;
+        this.client = null;
+        this.scheduledEvents = new FakeScheduledEventManager(this);
+        this.channels = {
+            cache: new Collection(),
+            resolveId: channel => (channel === null || channel === undefined ? null : channel.id ?? channel)
+        };
+        // Registered slash commands
+        this.commands = {
+            registered: [],
+            set: async commands => {
+                this.commands.registered = commands;
+                return commands;
+            }
+        };
+    }
+
+    addChannel({ id = createSnowflake(), name = 'channel', type }) {
+        const channel = { id, name, type, guildId: this.id, isTextBased: () => type === 0 };
+        this.channels.cache.set(id, channel);
+        return channel;
+    }
+}
+
+// A slash command used in a guild by a member allowed to manage events. Replies
+// end up in `replies`, the last one being what the member sees.
+class FakeCommandInteraction {
+    constructor(guild, { commandName = 'sync', subcommand, options = {}, user = createUser() }) {
+        this.guild = guild;
+        this.guildId = guild.id;
+        this.commandName = commandName;
+        this.user = user;
+        this.member = { roles: [] };
+        this.memberPermissions = { has: () => true };
+        this.options = {
+            getSubcommand: () => subcommand,
+            getString: name => options[name] ?? null
+        };
+        this.deferred = false;
+        this.replied = false;
+        this.replies = [];
+    }
+
+    isChatInputCommand() {
+        return true;
+    }
+
+    async deferReply() {
+        this.deferred = true;
+    }
+
+    async reply(reply) {
+        this.replied = true;
+        this.replies.push(typeof reply === 'string' ? reply : reply.content);
+    }
+
+    async editReply(reply) {
+        this.replies.push(typeof reply === 'string' ? reply : reply.content);
+    }
+}
+
+// Discord client holding a set of fake guilds. Guilds can be moved to a new
+// client to simulate a restart of the bot against the same Discord state.
+class FakeDiscordClient extends EventEmitter {
+    constructor({ guilds = [], user = createUser({ username: 'calendar-bot', bot: true }) } = {}) {
+        super();
+        this.user = null;
+        this.botUser = user;
+        this.ready = false;
+        this.guilds = { cache: new Collection() };
+        this.channels = {
+            fetch: async id => {
+                for (const guild of this.guilds.cache.values()) {
+                    const channel = guild.channels.cache.get(id);
+                    if (channel) {
+                        return channel;
+                    }
+                }
+                throw discordError(404, 'Unknown Channel');
+            }
+        };
+        this.pending = new Set();
+
+        for (const guild of guilds) {
+            this.addGuild(guild);
+        }
+    }
+
+    addGuild(guild) {
+        guild.client = this;
+        this.guilds.cache.set(guild.id, guild);
+        return guild;
+    }
+
+    // Gateway events arrive after the REST call that caused them has returned
+    dispatch(eventName, ...args) {
+        if (!this.ready) {
+            return;
+        }
+        const delivery = new Promise(resolve => setImmediate(() => {
+            this.emit(eventName, ...args);
+            resolve();
+        }));
+        this.pending.add(delivery);
+        delivery.then(() => this.pending.delete(delivery));
+    }
+
+    async login(token) {
+        if (!token) {
+            throw new Error('An invalid token was provided.');
+        }
+        this.user = this.botUser;
+        this.ready = true;
+        this.dispatch('ready', this);
+        return token;
+    }
+
+    isReady() {
+        return this.ready;
+    }
+
+    async destroy() {
+        this.ready = false;
+        this.user = null;
+    }
+}
+
+module.exports = {
+    FakeCommandInteraction,
+    FakeDiscordClient,
+    FakeGuild,
+    FakeScheduledEvent,
+    createUser
+};
@@ -0,0 +1,24 @@
+// Mapping store that keeps the saved snapshot in memory. Snapshots go through
+// JSON like on disk, so a bot started with the same store sees what a restarted
+// bot would load. Hand the store to the next bot to simulate a restart.
+class MemoryMappingStore {
+    constructor() {
+        this.data = null;
+        this.saves = 0;
+    }
+
+    async open() {}
+
+    async load() {
+        return this.data === null ? null : JSON.parse(this.data);
+    }
+
+    async save(snapshot) {
+        this.data = JSON.stringify(snapshot);
+        this.saves++;
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryMappingStore };
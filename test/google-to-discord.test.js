@@ -0,0 +1,129 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GuildScheduledEventStatus } = require('discord.js');
+const { CALENDAR_ID, createTestBot, settle, start, hoursFromNow, googleEvent } = require('./harness');
+
+let harness;
+
+beforeEach(() => {
+    harness = createTestBot();
+});
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+test('creates a Discord event for a new Google event', async () => {
+    const { guild, calendar, pair, bot } = harness;
+    const calEvent = calendar.addEvent(CALENDAR_ID, googleEvent());
+
+    await start(harness);
+
+    const events = [...guild.scheduledEvents.cache.values()];
+    assert.equal(events.length, 1);
+    assert.equal(events[0].name, 'Game Night');
+    assert.equal(events[0].entityMetadata.location, 'Library');
+    assert.equal(events[0].scheduledStartAt.toISOString(), new Date(calEvent.start.dateTime).toISOString());
+    assert.match(events[0].description, /Bring snacks/);
+    assert.equal(pair.googleToDiscordMap.get(calEvent.id), events[0].id);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('updates the Discord event when the Google event changes', async () => {
+    const { guild, calendar, pair, bot } = harness;
+    const calEvent = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const newStart = hoursFromNow(72);
+    calendar.editEvent(CALENDAR_ID, calEvent.id, {
+        summary: 'Board Game Night',
+        start: { dateTime: newStart, timeZone: 'UTC' },
+        end: { dateTime: hoursFromNow(75), timeZone: 'UTC' }
+    });
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    const events = [...guild.scheduledEvents.cache.values()];
+    assert.equal(events.length, 1);
+    assert.equal(events[0].name, 'Board Game Night');
+    assert.equal(events[0].scheduledStartAt.toISOString(), new Date(newStart).toISOString());
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('cancels the Discord event when the Google event is deleted', async () => {
+    const { guild, calendar, pair, bot } = harness;
+    const calEvent = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+    const discordEventId = pair.googleToDiscordMap.get(calEvent.id);
+
+    calendar.removeEvent(CALENDAR_ID, calEvent.id);
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    assert.equal(guild.scheduledEvents.cache.get(discordEventId).status, GuildScheduledEventStatus.Canceled);
+    assert.equal(pair.googleToDiscordMap.has(calEvent.id), false);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('deletes the Discord event when the Google event is deleted and status sync is off', async () => {
+    await harness.bot.stop();
+    harness = createTestBot({ settings: { discord: { statusSyncEnabled: false } } });
+    const { guild, calendar, pair, bot } = harness;
+    const calEvent = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    calendar.removeEvent(CALENDAR_ID, calEvent.id);
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    assert.equal(guild.scheduledEvents.cache.size, 0);
+    assert.equal(pair.googleToDiscordMap.has(calEvent.id), false);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('does not create Discord events for Google events that already started', async () => {
+    const { guild, calendar } = harness;
+    calendar.addEvent(CALENDAR_ID, googleEvent({
+        start: { dateTime: hoursFromNow(-1), timeZone: 'UTC' },
+        end: { dateTime: hoursFromNow(1), timeZone: 'UTC' }
+    }));
+
+    await start(harness);
+
+    assert.equal(guild.scheduledEvents.cache.size, 0);
+});
+
+test('loop prevention: Google changes synced to Discord are not written back to Google', async () => {
+    const { calendar, pair, bot } = harness;
+    const calEvent = calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    calendar.editEvent(CALENDAR_ID, calEvent.id, { summary: 'Renamed in Google' });
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    calendar.removeEvent(CALENDAR_ID, calEvent.id);
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    // The Discord gateway events for the bot's own create, edit and delete are ignored
+    assert.deepEqual(calendar.callsTo('insert'), []);
+    assert.deepEqual(calendar.callsTo('patch'), []);
+    assert.deepEqual(calendar.callsTo('delete'), []);
+});
+
+test('loop prevention: an unchanged calendar leaves Discord alone', async () => {
+    const { calendar, client, pair, bot } = harness;
+    calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    let discordWrites = 0;
+    client.on('guildScheduledEventUpdate', () => discordWrites++);
+    client.on('guildScheduledEventCreate', () => discordWrites++);
+
+    await bot.syncCalendarToDiscord(pair);
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    assert.equal(discordWrites, 0);
+});
@@ -0,0 +1,118 @@
+const path = require('path');
+
+// A fixed, offline environment: no .env or sync-config.json of the checkout leaks in
+Object.assign(process.env, {
+    DISCORD_TOKEN: 'test-token',
+    GUILD_ID: '1000000000000000001',
+    GOOGLE_CALENDAR_ID: 'calendar@test',
+    SYNC_CONFIG_PATH: path.join(__dirname, 'no-sync-config.json'),
+    DEFAULT_TIMEZONE: 'UTC',
+    HEALTH_CHECK_ENABLED: 'false'
+});
+
+const config = require('../config');
+const CalendarSyncBot = require('../discord-calendar');
+const { FakeDiscordClient, FakeGuild, createUser } = require('./fakes/fake-discord');
+const { FakeCalendar } = require('./fakes/fake-calendar');
+const { MemoryMappingStore } = require('./fakes/memory-mapping-store');
+
+const CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID;
+const GUILD_ID = process.env.GUILD_ID;
+
+// Keeps what the bot logs for assertions instead of printing it
+class TestBot extends CalendarSyncBot {
+    log(level, message, error = null) {
+        (this.logs ||= []).push({ level, message, error, correlationId: this.logger.correlationId });
+    }
+
+    errors() {
+        return this.logs.filter(entry => entry.level === 'error');
+    }
+}
+
+// The config with some settings changed, e.g. { discord: { statusSyncEnabled: false } }.
+// Lists such as syncPairs replace the configured ones.
+function withSettings(settings) {
+    const changed = { ...config };
+    for (const [section, values] of Object.entries(settings)) {
+        changed[section] = Array.isArray(values) ? values : { ...config[section], ...values };
+    }
+    return changed;
+}
+
+// A bot wired to a fake Discord guild, a fake Google calendar and an in-memory
+// mapping store. Pass the guild, calendar and store of an earlier bot to
+// simulate a restart.
+function createTestBot({
+    guild = new FakeGuild({ id: GUILD_ID }),
+    calendar = new FakeCalendar(),
+    mappingStore = new MemoryMappingStore(),
+    settings = {}
+} = {}) {
+    const client = new FakeDiscordClient({ guilds: [guild] });
+    const bot = new TestBot({ config: withSettings(settings), client, calendar, mappingStore });
+
+    // Requests run straight away; rate limiting is not what these tests are about
+    bot.queueDiscordRequest = fn => bot.trackApiRequest('discord', fn);
+    bot.queueGoogleRequest = fn => bot.trackApiRequest('google', fn);
+
+    return { bot, client, guild, calendar, mappingStore, pair: bot.syncPairs.values().next().value };
+}
+
+// Waits until every gateway event has been delivered and handled and no sync is running
+async function settle({ bot, client }) {
+    const isBusy = () => client.pending.size > 0 || Array.from(bot.syncPairs.values()).some(pair => pair.syncing);
+
+    for (let idle = 0; idle < 5;) {
+        await new Promise(resolve => setImmediate(resolve));
+        idle = isBusy() ? 0 : idle + 1;
+    }
+}
+
+// Logs in, which runs the first sync, and waits for it to finish
+async function start(harness) {
+    await harness.bot.start();
+    await settle(harness);
+}
+
+function hoursFromNow(hours) {
+    return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+// A timed Google event starting in two days
+function googleEvent(fields = {}) {
+    return {
+        summary: 'Game Night',
+        description: 'Bring snacks',
+        location: 'Library',
+        start: { dateTime: hoursFromNow(48), timeZone: 'UTC' },
+        end: { dateTime: hoursFromNow(50), timeZone: 'UTC' },
+        ...fields
+    };
+}
+
+// Create options for an external Discord event starting in two days
+function discordEvent(fields = {}) {
+    return {
+        name: 'Movie Night',
+        description: 'Popcorn provided',
+        scheduledStartTime: hoursFromNow(48),
+        scheduledEndTime: hoursFromNow(51),
+        entityType: 3,
+        entityMetadata: { location: 'Cinema' },
+        privacyLevel: 2,
+        ...fields
+    };
+}
+
+module.exports = {
+    CALENDAR_ID,
+    GUILD_ID,
+    createTestBot,
+    createUser,
+    settle,
+    start,
+    hoursFromNow,
+    googleEvent,
+    discordEvent
+};
@@ -0,0 +1,115 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, start, googleEvent } = require('./harness');
+
+let harness;
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+// A bot serving /health, /ready and /metrics on a free port
+function createServingBot(options = {}) {
+    harness = createTestBot({ ...options, settings: { app: { healthCheckEnabled: true, healthCheckPort: 0 } } });
+    return harness;
+}
+
+async function get(path) {
+    const { port } = harness.bot.healthServer.server.address();
+    const response = await fetch(`http://127.0.0.1:${port}${path}`);
+    return { status: response.status, type: response.headers.get('content-type'), body: await response.text() };
+}
+
+test('is live but not ready before Discord is connected and a sync has run', async () => {
+    createServingBot();
+    await harness.bot.healthServer.start();
+
+    assert.equal((await get('/health')).status, 200);
+
+    const ready = await get('/ready');
+    const { checks } = JSON.parse(ready.body);
+    assert.equal(ready.status, 503);
+    assert.equal(checks.discord.ok, false);
+    assert.equal(checks.google.ok, false);
+    assert.equal(checks.sync.ok, false);
+});
+
+test('is ready once connected and synced', async () => {
+    createServingBot();
+    harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const ready = await get('/ready');
+    assert.equal(ready.status, 200);
+    assert.equal(JSON.parse(ready.body).ready, true);
+
+    const health = JSON.parse((await get('/health')).body);
+    assert.equal(health.discord.connected, true);
+    assert.equal(health.syncPairs[0].eventMappings.googleToDiscord, 1);
+});
+
+test('is not ready when Google rejects the credentials', async () => {
+    createServingBot();
+    harness.calendar.events.list = async () => {
+        throw Object.assign(new Error('Invalid Credentials'), { code: 401, response: { status: 401 } });
+    };
+    harness.bot.retryOperation = operation => operation();
+    await start(harness);
+
+    const ready = await get('/ready');
+    const { checks } = JSON.parse(ready.body);
+    assert.equal(ready.status, 503);
+    assert.equal(checks.discord.ok, true);
+    assert.equal(checks.google.ok, false);
+    assert.match(checks.sync.pairs[0].lastError, /Invalid Credentials/);
+
+    const metrics = await get('/metrics');
+    assert.match(metrics.body, /calendar_sync_api_errors_total\{api="google",status="401"\} 1/);
+});
+
+test('stays ready when Google answers with a rate-limit 403', async () => {
+    createServingBot();
+    harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    harness.calendar.events.list = async () => {
+        throw Object.assign(new Error('Rate Limit Exceeded'), {
+            code: 403,
+            response: { status: 403 },
+            errors: [{ reason: 'rateLimitExceeded' }]
+        });
+    };
+    harness.bot.retryOperation = operation => operation();
+    await harness.bot.syncAllPairs();
+
+    const ready = await get('/ready');
+    assert.equal(JSON.parse(ready.body).checks.google.ok, true);
+
+    const metrics = await get('/metrics');
+    assert.match(metrics.body, /calendar_sync_api_errors_total\{api="google",status="403"\} 1/);
+});
+
+test('serves Prometheus metrics', async () => {
+    createServingBot();
+    harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+    const pairLabel = `pair="${harness.pair.id}"`;
+
+    const metrics = await get('/metrics');
+    assert.equal(metrics.status, 200);
+    assert.match(metrics.type, /^text\/plain; version=0\.0\.4/);
+    assert.match(metrics.body, /# TYPE calendar_sync_duration_seconds histogram/);
+    assert.ok(metrics.body.includes(`calendar_sync_duration_seconds_count{${pairLabel}} 1`));
+    assert.ok(metrics.body.includes(`calendar_sync_events_total{${pairLabel},direction="googleToDiscord",action="created"} 1`));
+    assert.ok(metrics.body.includes(`calendar_sync_runs_total{${pairLabel},result="success"} 1`));
+    assert.ok(metrics.body.split('\n').some(line => line.startsWith(`calendar_sync_last_success_timestamp_seconds{${pairLabel}} `)));
+    assert.match(metrics.body, /calendar_sync_queue_depth\{queue="google"\} 0/);
+    assert.match(metrics.body, /calendar_sync_retries_total 0/);
+});
+
+test('answers unknown paths with 404', async () => {
+    createServingBot();
+    await harness.bot.healthServer.start();
+
+    assert.equal((await get('/nope')).status, 404);
+});
@@ -0,0 +1,142 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, RotatingFileWriter } = require('../logger');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, googleEvent, discordEvent } = require('./harness');
+
+const tempDirs = [];
+
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-sync-logs-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+afterEach(() => {
+    mock.restoreAll();
+    tempDirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function captureConsole() {
+    const lines = [];
+    for (const method of ['log', 'warn', 'error']) {
+        mock.method(console, method, line => lines.push(line));
+    }
+    return lines;
+}
+
+test('drops messages below the configured level', () => {
+    const lines = captureConsole();
+    const logger = new Logger({ level: 'warn' });
+
+    logger.log('debug', 'debug message');
+    logger.log('info', 'info message');
+    logger.log('warn', 'warn message');
+    logger.log('error', 'error message');
+
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /\[WARN\] warn message$/);
+    assert.match(lines[1], /\[ERROR\] error message$/);
+});
+
+test('writes one JSON object per line with the correlation ID and error', async () => {
+    const lines = captureConsole();
+    const logger = new Logger({ format: 'json' });
+
+    await logger.runWithCorrelation('sync-1234', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        logger.log('error', 'Sync failed', Object.assign(new Error('Not Found'), { code: 404 }));
+    });
+    logger.log('info', 'Outside');
+
+    const [failed, outside] = lines.map(line => JSON.parse(line));
+    assert.equal(failed.level, 'error');
+    assert.equal(failed.message, 'Sync failed');
+    assert.equal(failed.correlationId, 'sync-1234');
+    assert.equal(failed.error.message, 'Not Found');
+    assert.equal(failed.error.code, 404);
+    assert.equal(outside.correlationId, undefined);
+});
+
+test('rotates log files by size and keeps maxFiles of them', () => {
+    const directory = createTempDir();
+    const writer = new RotatingFileWriter({ directory, rotation: 'size', maxSizeMb: 100 / (1024 * 1024), maxFiles: 3 });
+
+    for (let index = 0; index < 10; index++) {
+        writer.write(`line ${index} ${'x'.repeat(40)}`);
+    }
+    writer.close();
+
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['calendar-sync.log', 'calendar-sync.log.1', 'calendar-sync.log.2']);
+    assert.match(fs.readFileSync(path.join(directory, 'calendar-sync.log'), 'utf8'), /line 9/);
+    assert.match(fs.readFileSync(path.join(directory, 'calendar-sync.log.1'), 'utf8'), /line 7/);
+});
+
+test('starts a new log file every day and removes the oldest', () => {
+    const directory = createTempDir();
+    let now = Date.parse('2024-05-01T12:00:00Z');
+    const writer = new RotatingFileWriter({ directory, rotation: 'daily', maxFiles: 2, now: () => now });
+
+    writer.write('first day');
+    now += 24 * 60 * 60 * 1000;
+    writer.write('second day');
+    now += 24 * 60 * 60 * 1000;
+    writer.write('third day');
+    writer.close();
+
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['calendar-sync-2024-05-02.log', 'calendar-sync-2024-05-03.log']);
+    assert.equal(fs.readFileSync(path.join(directory, 'calendar-sync-2024-05-03.log'), 'utf8'), 'third day\n');
+});
+
+test('a sync run and the Discord gateway events it causes share one correlation ID', async () => {
+    const harness = createTestBot();
+    harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const { logs } = harness.bot;
+    const created = logs.find(entry => entry.message.startsWith('Successfully synced Google→Discord'));
+    const echo = logs.find(entry => entry.message.startsWith('Discord event created: Game Night'));
+
+    assert.match(created.correlationId, /^sync-[0-9a-f]{8}$/);
+    assert.equal(echo.correlationId, created.correlationId);
+    await harness.bot.stop();
+});
+
+test('each Discord gateway event from a member gets its own correlation ID', async () => {
+    const harness = createTestBot();
+    await start(harness);
+
+    const event = await harness.guild.scheduledEvents.createAs(createUser(), discordEvent());
+    await settle(harness);
+    await event.edit({ name: 'Renamed' });
+    await settle(harness);
+
+    const { logs } = harness.bot;
+    const created = logs.find(entry => entry.message.startsWith('Successfully synced Discord→Google'));
+    const updated = logs.find(entry => entry.message.startsWith('Updated Google Calendar event: Renamed'));
+
+    assert.match(created.correlationId, /^discord-[0-9a-f]{8}$/);
+    assert.match(updated.correlationId, /^discord-[0-9a-f]{8}$/);
+    assert.notEqual(created.correlationId, updated.correlationId);
+    await harness.bot.stop();
+});
+
+test('a member\'s edit right after a sync wrote the event gets its own correlation ID', async () => {
+    const harness = createTestBot();
+    harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await start(harness);
+
+    const [event] = harness.guild.scheduledEvents.cache.values();
+    await event.edit({ name: 'Renamed' });
+    await settle(harness);
+
+    const { logs } = harness.bot;
+    const created = logs.find(entry => entry.message.startsWith('Successfully synced Google→Discord'));
+    const updated = logs.find(entry => entry.message.startsWith('Updated Google Calendar event: Renamed'));
+
+    assert.match(updated.correlationId, /^discord-[0-9a-f]{8}$/);
+    assert.notEqual(updated.correlationId, created.correlationId);
+    await harness.bot.stop();
+});
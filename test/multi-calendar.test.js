@@ -0,0 +1,150 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ChannelType, GuildScheduledEventStatus } = require('discord.js');
+const { createTestBot, createUser, settle, start, googleEvent, discordEvent } = require('./harness');
+const config = require('../config');
+const { DEFAULT_TEMPLATES } = require('../event-templates');
+
+const TEAM = 'team@test';
+const HOLIDAYS = 'holidays@test';
+const RAIDS = 'raids@test';
+
+const member = createUser({ username: 'member' });
+
+let harness;
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+// Sync pairs for several calendars sharing the test guild, with the settings of the default pair
+function createMultiCalendarBot(pairs, settings = {}) {
+    const [defaultPair] = config.syncPairs;
+    harness = createTestBot({
+        settings: {
+            ...settings,
+            syncPairs: pairs.map(pair => ({ ...defaultPair, id: pair.calendarId.split('@')[0], ...pair }))
+        }
+    });
+    return harness;
+}
+
+function getPair(id) {
+    return harness.bot.syncPairs.get(id);
+}
+
+function discordEventFor(pairId, calEvent) {
+    return harness.guild.scheduledEvents.cache.get(getPair(pairId).googleToDiscordMap.get(calEvent.id));
+}
+
+test('labels each calendar\'s events and applies its description template and default location', async () => {
+    const { guild, calendar, bot } = createMultiCalendarBot([
+        { calendarId: TEAM, label: '[Team]' },
+        {
+            calendarId: HOLIDAYS,
+            label: '🏖️',
+            templates: { ...DEFAULT_TEMPLATES, discord: { ...DEFAULT_TEMPLATES.discord, description: '{description}\n\nFrom the {calendar} calendar' } },
+            defaultLocation: 'Everywhere'
+        }
+    ]);
+    const standup = calendar.addEvent(TEAM, googleEvent({ summary: 'Standup' }));
+    const summerBreak = calendar.addEvent(HOLIDAYS, googleEvent({ summary: 'Summer Break', description: '', location: undefined }));
+
+    await start(harness);
+
+    assert.equal(discordEventFor('team', standup).name, '[Team] Standup');
+    const holiday = discordEventFor('holidays', summerBreak);
+    assert.equal(holiday.name, '🏖️ Summer Break');
+    assert.match(holiday.description, /^From the holidays@test calendar/);
+    assert.equal(holiday.entityMetadata.location, 'Everywhere');
+
+    // The label stays out of Google when the event is renamed in Discord
+    await holiday.edit({ name: '🏖️ Summer Holidays' });
+    await settle(harness);
+
+    assert.equal(calendar.getEvent(HOLIDAYS, summerBreak.id).summary, 'Summer Holidays');
+    assert.equal(guild.scheduledEvents.cache.size, 2);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('holds events without a location in the calendar\'s default channel', async () => {
+    const { guild, calendar } = createMultiCalendarBot([{ calendarId: TEAM, defaultChannelId: '2000000000000000002' }]);
+    const lounge = guild.addChannel({ id: '2000000000000000002', name: 'lounge', type: ChannelType.GuildVoice });
+    const meeting = calendar.addEvent(TEAM, googleEvent({ location: undefined }));
+    const offsite = calendar.addEvent(TEAM, googleEvent({ summary: 'Offsite', location: 'Berlin' }));
+
+    await start(harness);
+
+    assert.equal(discordEventFor('team', meeting).channelId, lounge.id);
+    assert.equal(discordEventFor('team', offsite).entityMetadata.location, 'Berlin');
+});
+
+test('routes events created in Discord to the matching calendar', async () => {
+    const { guild, calendar, bot } = createMultiCalendarBot([
+        { calendarId: HOLIDAYS, routes: [] },
+        { calendarId: RAIDS, label: '⚔️', routes: [{ channelId: '2000000000000000001' }, { keyword: '\\braid\\b' }] },
+        { calendarId: TEAM }
+    ]);
+    const raidChannel = guild.addChannel({ id: '2000000000000000001', name: 'raids', type: ChannelType.GuildVoice });
+    await start(harness);
+
+    const raid = await guild.scheduledEvents.createAs(member, discordEvent({
+        name: 'Dungeon Night', entityType: 2, channel: raidChannel.id, entityMetadata: null
+    }));
+    const keywordRaid = await guild.scheduledEvents.createAs(member, discordEvent({ name: 'Weekly raid' }));
+    const movie = await guild.scheduledEvents.createAs(member, discordEvent());
+    await settle(harness);
+
+    assert.deepEqual(calendar.listEvents(RAIDS).map(event => event.summary).sort(), ['Dungeon Night', 'Weekly raid']);
+    assert.deepEqual(calendar.listEvents(TEAM).map(event => event.summary), ['Movie Night']);
+    assert.deepEqual(calendar.listEvents(HOLIDAYS), []);
+
+    // Routed events get the calendar's label in Discord without that edit going back to Google
+    assert.equal(raid.name, '⚔️ Dungeon Night');
+    assert.equal(keywordRaid.name, '⚔️ Weekly raid');
+    assert.equal(movie.name, 'Movie Night');
+    assert.equal(calendar.callsTo('patch').length, 0);
+    assert.equal(getPair('raids').stats.discordToGoogle.created, 2);
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('does not sync Discord events that no route takes', async () => {
+    const { guild, calendar } = createMultiCalendarBot([
+        { calendarId: HOLIDAYS, routes: [] },
+        { calendarId: RAIDS, routes: [{ keyword: 'raid' }] }
+    ]);
+    await start(harness);
+
+    await guild.scheduledEvents.createAs(member, discordEvent());
+    await settle(harness);
+
+    assert.equal(calendar.callsTo('insert').length, 0);
+});
+
+test('a failed fetch of one calendar does not delete the events of another', async () => {
+    const { guild, calendar, bot } = createMultiCalendarBot(
+        [{ calendarId: TEAM }, { calendarId: HOLIDAYS }],
+        { retry: { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 10 } }
+    );
+    const standup = calendar.addEvent(TEAM, googleEvent({ summary: 'Standup' }));
+    const retro = calendar.addEvent(TEAM, googleEvent({ summary: 'Retro' }));
+    const summerBreak = calendar.addEvent(HOLIDAYS, googleEvent({ summary: 'Summer Break' }));
+    await start(harness);
+
+    const list = calendar.events.list;
+    calendar.events.list = params => params.calendarId === HOLIDAYS
+        ? Promise.reject(Object.assign(new Error('Backend Error'), { code: 503, response: { status: 503 } }))
+        : list(params);
+    calendar.removeEvent(TEAM, retro.id);
+    for (const pair of bot.syncPairs.values()) {
+        pair.resetSyncToken();
+        await bot.syncCalendarToDiscord(pair);
+    }
+    await settle(harness);
+
+    assert.equal(getPair('holidays').stats.lastError, 'Backend Error');
+    assert.equal(discordEventFor('holidays', summerBreak).status, GuildScheduledEventStatus.Scheduled);
+    assert.equal(discordEventFor('team', standup).status, GuildScheduledEventStatus.Scheduled);
+    assert.equal(getPair('team').googleToDiscordMap.has(retro.id), false);
+    assert.equal(guild.scheduledEvents.cache.filter(event => event.status === GuildScheduledEventStatus.Canceled).size, 1);
+});
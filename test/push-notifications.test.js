@@ -0,0 +1,152 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, settle, start, googleEvent } = require('./harness');
+
+const WEBHOOK_URL = 'https://bot.example.com/webhooks/google-calendar';
+
+let harness;
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+// A bot serving the webhook on a free port, syncing right after a notification
+function createPushBot(push = {}) {
+    harness = createTestBot({
+        settings: {
+            app: { healthCheckEnabled: true, healthCheckPort: 0 },
+            push: { enabled: true, webhookUrl: WEBHOOK_URL, debounceSeconds: 0, ...push }
+        }
+    });
+    return harness;
+}
+
+// Posts a notification to the webhook like Google does
+async function deliver(headers) {
+    const { port } = harness.bot.healthServer.server.address();
+    const response = await fetch(`http://127.0.0.1:${port}/webhooks/google-calendar`, { method: 'POST', headers });
+    return response.status;
+}
+
+// Lets the debounce timer fire and the sync it starts finish
+async function afterDebounce() {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await settle(harness);
+}
+
+test('watches the calendar and syncs soon after Google reports a change', async () => {
+    const { bot, guild, calendar } = createPushBot();
+    await start(harness);
+
+    const [watch] = calendar.callsTo('watch');
+    assert.equal(watch.params.calendarId, CALENDAR_ID);
+    assert.equal(watch.params.requestBody.address, WEBHOOK_URL);
+    assert.equal(watch.params.requestBody.type, 'web_hook');
+
+    const [confirmation] = calendar.notify(CALENDAR_ID, 'sync');
+    assert.equal(await deliver(confirmation), 200);
+    assert.equal(bot.getReadiness().ready, true);
+    assert.equal((await bot.getHealthStatus()).push[0].active, true);
+
+    calendar.addEvent(CALENDAR_ID, googleEvent({ summary: 'Pushed Event' }));
+    const listsBefore = calendar.callsTo('list').length;
+    for (const headers of calendar.notify(CALENDAR_ID)) {
+        assert.equal(await deliver(headers), 200);
+    }
+    await afterDebounce();
+
+    assert.equal(calendar.callsTo('list').length, listsBefore + 1);
+    assert.deepEqual(Array.from(guild.scheduledEvents.cache.values(), event => event.name), ['Pushed Event']);
+});
+
+test('rejects notifications for unknown channels or with a wrong token', async () => {
+    const { calendar } = createPushBot();
+    await start(harness);
+
+    const [headers] = calendar.notify(CALENDAR_ID);
+    assert.equal(await deliver({ ...headers, 'x-goog-channel-token': 'forged' }), 403);
+    assert.equal(await deliver({ ...headers, 'x-goog-channel-id': 'an-old-channel' }), 404);
+
+    const listsBefore = calendar.callsTo('list').length;
+    await afterDebounce();
+    assert.equal(calendar.callsTo('list').length, listsBefore);
+});
+
+test('debounces a burst of notifications into one sync', async () => {
+    const { calendar } = createPushBot({ debounceSeconds: 0.05 });
+    await start(harness);
+    await deliver(calendar.notify(CALENDAR_ID, 'sync')[0]);
+
+    const listsBefore = calendar.callsTo('list').length;
+    for (let index = 0; index < 5; index++) {
+        await deliver(calendar.notify(CALENDAR_ID)[0]);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await settle(harness);
+
+    assert.equal(calendar.callsTo('list').length, listsBefore + 1);
+});
+
+test('keeps polling until notifications arrive, then only as a safety net', async () => {
+    const { bot, calendar, pair } = createPushBot();
+    await start(harness);
+
+    const scheduledSync = async () => {
+        pair.lastScheduledRun = null;
+        bot.runScheduledSync(pair);
+        await settle(harness);
+    };
+
+    let listsBefore = calendar.callsTo('list').length;
+    await scheduledSync();
+    assert.equal(calendar.callsTo('list').length, listsBefore + 1);
+
+    await deliver(calendar.notify(CALENDAR_ID, 'sync')[0]);
+    listsBefore = calendar.callsTo('list').length;
+    await scheduledSync();
+    assert.equal(calendar.callsTo('list').length, listsBefore);
+
+    // The safety net runs once pollIntervalMinutes have passed since the last sync
+    pair.stats.lastSyncStartedAt = new Date(Date.now() - 61 * 60 * 1000).toISOString();
+    await scheduledSync();
+    assert.equal(calendar.callsTo('list').length, listsBefore + 1);
+});
+
+test('a quiet calendar stays ready between safety net syncs', async () => {
+    const { bot, calendar, pair } = createPushBot();
+    await start(harness);
+
+    // Twenty minutes without a sync is too long when polling every five minutes
+    pair.stats.lastSyncCompletedAt = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+    assert.equal(bot.getReadiness().ready, false);
+
+    await deliver(calendar.notify(CALENDAR_ID, 'sync')[0]);
+    const { checks } = bot.getReadiness();
+    assert.equal(checks.sync.ok, true);
+    assert.equal(checks.sync.pairs[0].maxAgeMinutes, 180);
+
+    // Missing several safety net syncs still counts
+    pair.stats.lastSyncCompletedAt = new Date(Date.now() - 181 * 60 * 1000).toISOString();
+    assert.equal(bot.getReadiness().ready, false);
+});
+
+test('renews the channel before it expires and stops channels on shutdown', async () => {
+    const { bot, calendar, pair } = createPushBot();
+    await start(harness);
+    const [firstChannelId] = calendar.watchChannels.keys();
+
+    await bot.push.watch(pair);
+    assert.equal(calendar.watchChannels.size, 1);
+    assert.notEqual(calendar.watchChannels.keys().next().value, firstChannelId);
+
+    await bot.stop();
+    assert.equal(calendar.watchChannels.size, 0);
+});
+
+test('polls as before when the HTTP server is off', async () => {
+    harness = createTestBot({ settings: { push: { enabled: true, webhookUrl: WEBHOOK_URL } } });
+    await start(harness);
+
+    assert.equal(harness.calendar.callsTo('watch').length, 0);
+    assert.ok(harness.bot.logs.some(entry => entry.level === 'warn' && /need the HTTP server/.test(entry.message)));
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, classifyError, getDiscordBucket } = require('../rate-limiter');
+const { createTestBot } = require('./harness');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function httpError(status, { headers = {}, reasons = [] } = {}) {
+    return Object.assign(new Error(`Request failed with status ${status}`), {
+        status,
+        response: { status, headers, data: { error: { errors: reasons.map(reason => ({ reason })) } } }
+    });
+}
+
+test('sends no more requests per window than configured', async () => {
+    const limiter = new RateLimiter({ name: 'Test', limit: 2, windowMs: 100 });
+    const sentAt = [];
+    const started = Date.now();
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => limiter.schedule(async () => sentAt.push(Date.now() - started))));
+
+    assert.equal(sentAt.filter(time => time < 90).length, 2);
+    assert.ok(sentAt[4] >= 190, `the fifth request was sent after ${sentAt[4]}ms`);
+});
+
+test('a bucket waiting for its reset does not hold up other buckets', async () => {
+    const limiter = new RateLimiter({ name: 'Test', limit: 50, windowMs: 1000 });
+    limiter.updateBucket('/guilds/1', { limit: 5, remaining: 0, resetAfterMs: 100 });
+    const finished = [];
+
+    await Promise.all([
+        limiter.schedule(async () => finished.push('guild 1'), '/guilds/1'),
+        limiter.schedule(async () => finished.push('guild 2'), '/guilds/2')
+    ]);
+
+    assert.deepEqual(finished, ['guild 2', 'guild 1']);
+});
+
+test('pauses a bucket for as long as a rate-limited response asks', async () => {
+    const rateLimited = [];
+    const limiter = new RateLimiter({ name: 'Test', limit: 50, windowMs: 1000, onRateLimited: info => rateLimited.push(info) });
+
+    await assert.rejects(
+        limiter.schedule(async () => { throw httpError(429, { headers: { 'retry-after': '0.15' } }); }, 'calendar@test')
+    );
+    const started = Date.now();
+    await limiter.schedule(async () => {}, 'calendar@test');
+
+    assert.ok(Date.now() - started >= 140);
+    assert.deepEqual(rateLimited, [{ bucket: 'calendar@test', pauseMs: 150 }]);
+});
+
+test('rejects requests once the queue is full', async () => {
+    const limiter = new RateLimiter({ name: 'Test', limit: 1, windowMs: 60000, maxQueueSize: 2 });
+
+    await limiter.schedule(async () => {});
+    const waiting = [limiter.schedule(async () => {}), limiter.schedule(async () => {})];
+    await assert.rejects(limiter.schedule(async () => {}), { code: 'QUEUE_FULL' });
+    assert.equal(limiter.length, 2);
+
+    limiter.stop();
+    for (const request of waiting) {
+        await assert.rejects(request, /queue stopped/);
+    }
+});
+
+test('classifies rate limits, transient and permanent errors', () => {
+    assert.deepEqual(classifyError(httpError(429, { headers: { 'retry-after': '2' } })), { type: 'rate-limit', retryAfterMs: 2000, global: false });
+    assert.equal(classifyError(httpError(403, { reasons: ['rateLimitExceeded'] })).type, 'rate-limit');
+    assert.equal(classifyError(Object.assign(new Error('limited'), { name: 'RateLimitError', retryAfter: 300, global: true })).global, true);
+
+    assert.equal(classifyError(httpError(503)).type, 'transient');
+    assert.equal(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).type, 'transient');
+
+    assert.equal(classifyError(httpError(400)).type, 'permanent');
+    assert.equal(classifyError(httpError(403, { reasons: ['forbidden'] })).type, 'permanent');
+    assert.equal(classifyError(Object.assign(new Error('Unknown Guild Scheduled Event'), { status: 404, code: 10070 })).type, 'permanent');
+});
+
+test('maps Discord routes to their major parameter', () => {
+    assert.equal(getDiscordBucket('/guilds/123/scheduled-events/456'), '/guilds/123');
+    assert.equal(getDiscordBucket('https://discord.com/api/v10/channels/789/messages'), '/channels/789');
+    assert.equal(getDiscordBucket('/gateway/bot'), null);
+});
+
+test('retries transient errors but fails fast on permanent ones', async () => {
+    const { bot } = createTestBot({ settings: { retry: { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 1000 } } });
+
+    let attempts = 0;
+    const result = await bot.retryOperation(async () => {
+        if (++attempts < 3) {
+            throw httpError(502);
+        }
+        return 'done';
+    });
+    assert.equal(result, 'done');
+    assert.equal(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(bot.retryOperation(async () => {
+        attempts++;
+        throw httpError(400);
+    }), /status 400/);
+    assert.equal(attempts, 1);
+});
+
+test('waits the delay the API asks for before retrying a rate limit', async () => {
+    const { bot } = createTestBot({ settings: { retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1000 } } });
+    const attemptedAt = [];
+
+    await bot.retryOperation(async () => {
+        attemptedAt.push(Date.now());
+        if (attemptedAt.length === 1) {
+            throw httpError(429, { headers: { 'retry-after': '0.1' } });
+        }
+    });
+
+    assert.ok(attemptedAt[1] - attemptedAt[0] >= 95);
+    assert.match(bot.logs.find(entry => entry.level === 'warn').message, /\(rate-limit\), retrying in 100ms/);
+});
@@ -0,0 +1,82 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, googleEvent, discordEvent } = require('./harness');
+
+const running = [];
+
+afterEach(async () => {
+    await Promise.all(running.splice(0).map(harness => harness.bot.stop()));
+});
+
+async function startBot(options) {
+    const harness = createTestBot(options);
+    running.push(harness);
+    await start(harness);
+    return harness;
+}
+
+// Stops the bot and starts a new one against the same Discord guild, Google
+// calendar and saved mappings
+async function restart(harness) {
+    await harness.bot.stop();
+    const { guild, calendar, mappingStore } = harness;
+    return startBot({ guild, calendar, mappingStore });
+}
+
+test('keeps using the synced events after a restart', async () => {
+    const first = await startBot();
+    const calEvent = first.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await first.bot.syncCalendarToDiscord(first.pair);
+    await settle(first);
+    const discordEventId = first.pair.googleToDiscordMap.get(calEvent.id);
+
+    const second = await restart(first);
+
+    assert.equal(second.pair.googleToDiscordMap.get(calEvent.id), discordEventId);
+    assert.equal(second.guild.scheduledEvents.cache.size, 1);
+    assert.deepEqual(second.calendar.callsTo('insert'), []);
+    assert.deepEqual(second.bot.errors(), []);
+});
+
+test('applies Google changes made while the bot was offline to the existing Discord event', async () => {
+    const first = await startBot();
+    const calEvent = first.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await first.bot.syncCalendarToDiscord(first.pair);
+    await settle(first);
+    const discordEventId = first.pair.googleToDiscordMap.get(calEvent.id);
+    await first.bot.stop();
+
+    first.calendar.editEvent(CALENDAR_ID, calEvent.id, { summary: 'Renamed while offline' });
+    const second = await restart(first);
+
+    assert.equal(second.guild.scheduledEvents.cache.size, 1);
+    assert.equal(second.guild.scheduledEvents.cache.get(discordEventId).name, 'Renamed while offline');
+});
+
+test('does not copy Discord-created events again after a restart', async () => {
+    const first = await startBot();
+    const event = await first.guild.scheduledEvents.createAs(createUser(), discordEvent());
+    await settle(first);
+
+    const second = await restart(first);
+    await event.edit({ name: 'Edited after restart' });
+    await settle(second);
+
+    const calEvents = second.calendar.listEvents(CALENDAR_ID);
+    assert.equal(calEvents.length, 1);
+    assert.equal(calEvents[0].summary, 'Edited after restart');
+    assert.equal(second.guild.scheduledEvents.cache.size, 1);
+    assert.deepEqual(second.bot.errors(), []);
+});
+
+test('persists the sync token so the first sync after a restart is incremental', async () => {
+    const first = await startBot();
+    first.calendar.addEvent(CALENDAR_ID, googleEvent());
+    await first.bot.syncCalendarToDiscord(first.pair);
+    await settle(first);
+
+    const second = await restart(first);
+
+    const [lastList] = second.calendar.callsTo('list').slice(-1);
+    assert.ok(lastList.params.syncToken);
+});
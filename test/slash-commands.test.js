@@ -0,0 +1,60 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CALENDAR_ID, createTestBot, createUser, settle, start, googleEvent, discordEvent } = require('./harness');
+const { FakeCommandInteraction } = require('./fakes/fake-discord');
+
+const member = createUser({ username: 'member' });
+
+let harness;
+
+afterEach(async () => {
+    await harness.bot.stop();
+});
+
+// Uses /sync <subcommand> and returns the reply
+async function useCommand(subcommand, options = {}) {
+    const interaction = new FakeCommandInteraction(harness.guild, { subcommand, options });
+    await harness.bot.syncCommands.handle(interaction);
+    return interaction.replies.at(-1);
+}
+
+test('/sync link applies the Google version, even after the Discord event changed', async () => {
+    harness = createTestBot();
+    // Created while the bot was offline, so neither is synced yet
+    const event = await harness.guild.scheduledEvents.createAs(member, discordEvent());
+    await start(harness);
+    const calEvent = harness.calendar.addEvent(CALENDAR_ID, googleEvent());
+    const { calendar, pair, bot } = harness;
+
+    assert.match(await useCommand('link', { discord_event_id: event.id, google_event_id: calEvent.id }), /Linked \*\*Movie Night\*\*/);
+
+    // A member edit before the next sync only passes on what it changed
+    await event.edit({ description: 'Popcorn and drinks' });
+    await settle(harness);
+
+    const linked = calendar.getEvent(CALENDAR_ID, calEvent.id);
+    assert.equal(linked.summary, 'Game Night');
+    assert.equal(linked.location, 'Library');
+
+    await bot.syncCalendarToDiscord(pair);
+    await settle(harness);
+
+    assert.equal(event.name, 'Game Night');
+    assert.equal(event.entityMetadata.location, 'Library');
+    assert.deepEqual(bot.errors(), []);
+});
+
+test('/sync now does not report the previous run while a sync is still going', async () => {
+    harness = createTestBot();
+    await start(harness);
+    const { calendar, pair } = harness;
+
+    const listsBefore = calendar.callsTo('list').length;
+    pair.syncing = true;
+    assert.match(await useCommand('now'), /is already syncing/);
+    assert.equal(calendar.callsTo('list').length, listsBefore);
+
+    pair.syncing = false;
+    assert.match(await useCommand('now'), /✅ `.+` synced in \d+ms/);
+    assert.equal(calendar.callsTo('list').length, listsBefore + 1);
+});